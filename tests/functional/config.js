@@ -8,17 +8,54 @@
  */
 
 const fs = require('fs');
+const os = require('os');
 const path = require('path');
 
 // Shared state file to ensure all test files use the same tenant
 const STATE_FILE = path.join(__dirname, '.test-state.json');
 
+// Reports written during a run (retries, diagnostics)
+const REPORTS_DIR = path.join(__dirname, 'reports');
+
+/**
+ * Parse a comma-separated env var, e.g. "502,503" -> [502, 503]
+ */
+function parseList(value, fallback, mapItem = item => item) {
+  if (!value) {
+    return fallback;
+  }
+  return value.split(',').map(item => item.trim()).filter(Boolean).map(mapItem);
+}
+
+/**
+ * A PRNG seed from an env var (0 included), or a time-based one when it is
+ * unset or not an integer, so the logged seed always replays the run
+ */
+function parseSeed(value) {
+  return /^\s*-?\d+\s*$/.test(value || '') ? parseInt(value, 10) : Date.now() % 2147483647;
+}
+
+/**
+ * Shared state written by setup.js, or null before there is one
+ */
+function readState() {
+  try {
+    if (fs.existsSync(STATE_FILE)) {
+      return JSON.parse(fs.readFileSync(STATE_FILE, 'utf8'));
+    }
+  } catch (e) {
+    // Ignore read errors
+  }
+  return null;
+}
+
 /**
  * Get the test tenant name. Priority:
  * 1. EXISTING_TENANT env var (use pre-existing tenant)
- * 2. TEST_TENANT env var (explicit tenant name)
- * 3. Shared state file (created by setup.js)
- * 4. Generate new name (fallback)
+ * 2. This Jest worker's tenant (PARALLEL runs, from the state file)
+ * 3. TEST_TENANT env var (explicit tenant name)
+ * 4. Shared state file (created by setup.js)
+ * 5. Generate new name (fallback)
  */
 function getTestTenant() {
   // If using existing tenant, return that
@@ -26,21 +63,22 @@ function getTestTenant() {
     return process.env.EXISTING_TENANT;
   }
 
+  const state = readState();
+
+  // In parallel runs setup.js creates one tenant per worker; TEST_TENANT only names them
+  const workerTenant = state?.workerTenants?.[process.env.JEST_WORKER_ID];
+  if (workerTenant) {
+    return workerTenant;
+  }
+
   // If explicit TEST_TENANT set, use that
   if (process.env.TEST_TENANT) {
     return process.env.TEST_TENANT;
   }
 
-  // Try to read from shared state file (created by setup.js)
-  try {
-    if (fs.existsSync(STATE_FILE)) {
-      const state = JSON.parse(fs.readFileSync(STATE_FILE, 'utf8'));
-      if (state.testTenant) {
-        return state.testTenant;
-      }
-    }
-  } catch (e) {
-    // Ignore read errors
+  // Shared state file (created by setup.js)
+  if (state?.testTenant) {
+    return state.testTenant;
   }
 
   // Fallback: generate new name (should only happen in setup.js)
@@ -51,8 +89,10 @@ const config = {
   // API Configuration
   API_BASE_URL: process.env.API_URL || 'http://localhost:5286',
 
-  // Keycloak Authentication
-  KEYCLOAK_URL: process.env.KEYCLOAK_URL || 'http://localhost:8180',
+  // Keycloak Authentication (with OIDC_STUB=true, KEYCLOAK_URL defaults to the stub)
+  get KEYCLOAK_URL() {
+    return process.env.KEYCLOAK_URL || (this.OIDC_STUB ? this.OIDC_STUB_URL : 'http://localhost:8180');
+  },
   KEYCLOAK_REALM: process.env.KEYCLOAK_REALM || 'xr50',
   KEYCLOAK_CLIENT_ID: process.env.KEYCLOAK_CLIENT || 'xr50-training-app',
   KEYCLOAK_CLIENT_SECRET: process.env.KEYCLOAK_CLIENT_SECRET || '',
@@ -73,21 +113,114 @@ const config = {
   // Existing tenant for material/asset tests (if you don't want to create new)
   EXISTING_TENANT: process.env.EXISTING_TENANT || '',
 
+  // Run suites concurrently, each Jest worker in a tenant of its own (see setup.js)
+  PARALLEL: process.env.PARALLEL === 'true',
+  PARALLEL_WORKERS: parseInt(process.env.PARALLEL_WORKERS) || Math.max(1, os.cpus().length - 1),
+
   // Timeouts
   REQUEST_TIMEOUT: parseInt(process.env.REQUEST_TIMEOUT) || 10000,
 
+  // Refresh the access token this many seconds before it expires
+  TOKEN_REFRESH_SKEW: parseInt(process.env.TOKEN_REFRESH_SKEW) || 30,
+
+  // Retry policy for transient failures (idempotent methods, or opt-in per call)
+  RETRY_MAX_ATTEMPTS: parseInt(process.env.RETRY_MAX_ATTEMPTS) || 3,
+  RETRY_BASE_DELAY: parseInt(process.env.RETRY_BASE_DELAY) || 500,
+  RETRY_MAX_DELAY: parseInt(process.env.RETRY_MAX_DELAY) || 8000,
+  RETRY_STATUSES: parseList(process.env.RETRY_STATUSES, [502, 503, 504], Number),
+  RETRY_ERROR_CODES: parseList(process.env.RETRY_ERROR_CODES, ['ECONNRESET', 'ETIMEDOUT', 'ECONNABORTED', 'EPIPE', 'EAI_AGAIN']),
+
   // Debug mode
   DEBUG: process.env.DEBUG === 'true',
 
   // Skip cleanup (useful for debugging failed tests)
   SKIP_CLEANUP: process.env.SKIP_CLEANUP === 'true',
 
+  // Allow suites that drop and rebuild tenant databases (troubleshooting)
+  ALLOW_DESTRUCTIVE: process.env.ALLOW_DESTRUCTIVE === 'true',
+
+  // Schema operations (create tables, rebuild, force-recreate) outlast REQUEST_TIMEOUT
+  TROUBLESHOOTING_TIMEOUT: parseInt(process.env.TROUBLESHOOTING_TIMEOUT) || 60000,
+
+  // Material payload fuzzing (suite 18); FUZZ_SEED replays a run's cases
+  FUZZ: process.env.FUZZ === 'true',
+  FUZZ_SEED: parseSeed(process.env.FUZZ_SEED),
+  FUZZ_CASES: parseInt(process.env.FUZZ_CASES) || 60,
+  FUZZ_HUGE_STRING_LENGTH: parseInt(process.env.FUZZ_HUGE_STRING_LENGTH) || 70000,
+  FUZZ_MINIMIZE_ATTEMPTS: parseInt(process.env.FUZZ_MINIMIZE_ATTEMPTS) || 40,
+
+  // Hierarchy property tests (suite 19); HIERARCHY_SEED replays a run's steps
+  HIERARCHY_SEED: parseSeed(process.env.HIERARCHY_SEED),
+  HIERARCHY_RUNS: parseInt(process.env.HIERARCHY_RUNS) || 3,
+  HIERARCHY_STEPS: parseInt(process.env.HIERARCHY_STEPS) || 20,
+  HIERARCHY_MATERIALS: parseInt(process.env.HIERARCHY_MATERIALS) || 5,
+  HIERARCHY_SHRINK_ATTEMPTS: parseInt(process.env.HIERARCHY_SHRINK_ATTEMPTS) || 30,
+
   // No authentication mode (for testing without Keycloak)
   NO_AUTH: process.env.NO_AUTH === 'true',
 
   // State file path (for setup/teardown coordination)
   STATE_FILE,
 
+  // Report output
+  REPORTS_DIR,
+  RETRY_REPORT_FILE: path.join(REPORTS_DIR, 'retries.jsonl'),
+
+  // Cassettes: 'record', 'replay' (offline, no API/Keycloak/S3) or 'passthrough'
+  RECORD_MODE: process.env.RECORD_MODE || 'passthrough',
+  CASSETTE_DIR: process.env.CASSETTE_DIR || path.join(__dirname, 'cassettes'),
+
+  // HAR capture per test: 'failed' (default), 'all' or 'off'
+  HAR_MODE: process.env.HAR_MODE || 'failed',
+  HAR_DIR: path.join(REPORTS_DIR, 'har'),
+  HAR_MAX_BODY_SIZE: parseInt(process.env.HAR_MAX_BODY_SIZE) || 256 * 1024,
+
+  // OpenAPI contract checks per response: 'report' (default), 'strict' or 'off'
+  CONTRACT_MODE: process.env.CONTRACT_MODE || 'report',
+  CONTRACT_DIR: path.join(REPORTS_DIR, 'contract'),
+  // IntToStringConverter writes ints as strings; the spec still declares them integer
+  CONTRACT_INTEGER_STRINGS: process.env.CONTRACT_INTEGER_STRINGS !== 'false',
+  // Where setup.js saves the spec; setting it validates against that file instead
+  OPENAPI_SPEC_FILE: process.env.OPENAPI_SPEC_FILE || path.join(REPORTS_DIR, 'openapi.json'),
+
+  // Endpoint coverage: per-suite counts, the merged report, and the minimum
+  // percentage of spec operations hit (0 reports without failing)
+  COVERAGE_DIR: path.join(REPORTS_DIR, 'coverage'),
+  COVERAGE_FILE: path.join(REPORTS_DIR, 'coverage.json'),
+  COVERAGE_THRESHOLD: parseFloat(process.env.COVERAGE_THRESHOLD) || 0,
+
+  // Fuzz findings with minimized reproducers, one file per target
+  FUZZ_DIR: path.join(REPORTS_DIR, 'fuzz'),
+
+  // Local DataLens stand-in (helpers/datalens-stub.js), started by setup.js.
+  // Point the API's ChatbotApi__BaseUrl at DATALENS_STUB_API_URL.
+  DATALENS_STUB: process.env.DATALENS_STUB === 'true',
+  DATALENS_STUB_PORT: parseInt(process.env.DATALENS_STUB_PORT) || 5001,
+  DATALENS_STUB_HOST: process.env.DATALENS_STUB_HOST || '0.0.0.0',
+
+  // How long to wait for AiStatusSyncService to poll the stub (ms)
+  DATALENS_SYNC_TIMEOUT: parseInt(process.env.DATALENS_SYNC_TIMEOUT) || 90000,
+
+  // Local chatbot stand-in (helpers/chatbot-stub.js), started by setup.js.
+  // Chatbot materials point their chatbotConfig at it.
+  CHATBOT_STUB: process.env.CHATBOT_STUB === 'true',
+  CHATBOT_STUB_PORT: parseInt(process.env.CHATBOT_STUB_PORT) || 5002,
+  CHATBOT_STUB_HOST: process.env.CHATBOT_STUB_HOST || '0.0.0.0',
+
+  // How long ChatService waits for a chatbot (ms); .NET's HttpClient default is 100s
+  CHATBOT_UPSTREAM_TIMEOUT: parseInt(process.env.CHATBOT_UPSTREAM_TIMEOUT) || 100000,
+  // Run the chat test that waits out CHATBOT_UPSTREAM_TIMEOUT
+  CHATBOT_TIMEOUT_TEST: process.env.CHATBOT_TIMEOUT_TEST === 'true',
+
+  // Local Keycloak stand-in (helpers/oidc-stub.js), started by setup.js.
+  // Point the API's IAM__Authority, IAM__Issuer and IAM__Audience at it.
+  OIDC_STUB: process.env.OIDC_STUB === 'true',
+  OIDC_STUB_PORT: parseInt(process.env.OIDC_STUB_PORT) || 8181,
+  OIDC_STUB_HOST: process.env.OIDC_STUB_HOST || '0.0.0.0',
+  OIDC_STUB_AUDIENCE: process.env.OIDC_STUB_AUDIENCE || 'xr50-training-api',
+  OIDC_STUB_TOKEN_LIFETIME: parseInt(process.env.OIDC_STUB_TOKEN_LIFETIME) || 300,
+  OIDC_STUB_REFRESH_LIFETIME: parseInt(process.env.OIDC_STUB_REFRESH_LIFETIME) || 1800,
+
   // Test Tenant - computed once per config load
   get TEST_TENANT() {
     // Cache the value to ensure consistency within a single test file
@@ -97,6 +230,20 @@ const config = {
     return this._testTenant;
   },
 
+  /**
+   * Learners for the quiz progress suite, from QUIZ_LEARNERS="user:password,...".
+   * Defaults to the test user and the admin user.
+   */
+  get QUIZ_LEARNERS() {
+    const fallback = [`${this.TEST_USER}:${this.TEST_PASSWORD}`, `${this.ADMIN_USER}:${this.ADMIN_PASSWORD}`];
+    return parseList(process.env.QUIZ_LEARNERS, fallback).map(pair => {
+      const separator = pair.indexOf(':');
+      return separator === -1
+        ? { user: pair, password: '' }
+        : { user: pair.slice(0, separator), password: pair.slice(separator + 1) };
+    });
+  },
+
   // Computed values
   get KEYCLOAK_TOKEN_URL() {
     return `${this.KEYCLOAK_URL}/realms/${this.KEYCLOAK_REALM}/protocol/openid-connect/token`;
@@ -106,6 +253,14 @@ const config = {
     return `${this.API_BASE_URL}/xr50/trainingAssetRepository/tenants`;
   },
 
+  get OPENAPI_URL() {
+    return process.env.OPENAPI_URL || `${this.API_BASE_URL}/swagger/all/swagger.json`;
+  },
+
+  get TROUBLESHOOTING_API_URL() {
+    return `${this.API_BASE_URL}/api/troubleshooting`;
+  },
+
   get MATERIALS_API_URL() {
     const tenant = this.EXISTING_TENANT || this.TEST_TENANT;
     return `${this.API_BASE_URL}/api/${tenant}/materials`;
@@ -121,6 +276,46 @@ const config = {
     return `${this.API_BASE_URL}/api/${tenant}/programs`;
   },
 
+  // The DataLens stub as the tests reach it
+  get DATALENS_STUB_URL() {
+    return process.env.DATALENS_STUB_URL || `http://localhost:${this.DATALENS_STUB_PORT}`;
+  },
+
+  // The DataLens stub as the API reaches it (e.g. http://host.docker.internal:5001)
+  get DATALENS_STUB_API_URL() {
+    return process.env.DATALENS_STUB_API_URL || this.DATALENS_STUB_URL;
+  },
+
+  // The chatbot stub as the tests reach it
+  get CHATBOT_STUB_URL() {
+    return process.env.CHATBOT_STUB_URL || `http://localhost:${this.CHATBOT_STUB_PORT}`;
+  },
+
+  // The chatbot stub as the API reaches it
+  get CHATBOT_STUB_API_URL() {
+    return process.env.CHATBOT_STUB_API_URL || this.CHATBOT_STUB_URL;
+  },
+
+  // The OIDC stub as the tests reach it
+  get OIDC_STUB_URL() {
+    return process.env.OIDC_STUB_URL || `http://localhost:${this.OIDC_STUB_PORT}`;
+  },
+
+  // The OIDC stub as the API reaches it (JWKS and token endpoints in discovery)
+  get OIDC_STUB_API_URL() {
+    return process.env.OIDC_STUB_API_URL || this.OIDC_STUB_URL;
+  },
+
+  // `iss` of stub tokens; must equal the API's IAM__Issuer
+  get OIDC_STUB_ISSUER() {
+    return process.env.OIDC_STUB_ISSUER || `${this.OIDC_STUB_URL}/realms/${this.KEYCLOAK_REALM}`;
+  },
+
+  // Secret the stub expects for client_credentials
+  get OIDC_STUB_CLIENT_SECRET() {
+    return this.KEYCLOAK_CLIENT_SECRET || 'stub-client-secret';
+  },
+
   get USERS_API_URL() {
     const tenant = this.EXISTING_TENANT || this.TEST_TENANT;
     return `${this.API_BASE_URL}/api/${tenant}/users`;
@@ -0,0 +1,232 @@
+const fs = require('fs');
+const path = require('path');
+const NodeEnvironment = require('jest-environment-node').TestEnvironment;
+const config = require('./config');
+const { createHarLog } = require('./helpers/har-recorder');
+const { formatViolation } = require('./helpers/contract');
+
+/**
+ * Jest test environment that keeps a HAR of every API exchange per test.
+ *
+ * ApiClient pushes entries into global.__HAR__ (see helpers/har-recorder.js).
+ * The buffer is reset when a test starts and written to
+ * reports/har/<suite>/<test>.har when it finishes:
+ *   HAR_MODE=failed  keep HARs for failing tests and failing hooks (default)
+ *   HAR_MODE=all     keep HARs for every test
+ *   HAR_MODE=off     record nothing
+ *
+ * It also collects OpenAPI contract violations in global.__CONTRACT__ (see
+ * helpers/contract.js) and writes them to reports/contract/<suite>.json.
+ * With CONTRACT_MODE=strict a test fails on the violations of its own
+ * requests, and the suite fails on those of beforeAll/afterAll hooks.
+ *
+ * Calls per OpenAPI operation and status go to global.__COVERAGE__ (see
+ * helpers/coverage.js) and are written to reports/coverage/<suite>.json.
+ *
+ * With RECORD_MODE=record, exchanges go to global.__CASSETTE__ (see
+ * helpers/cassette.js) and are written to cassettes/<suite>.json.
+ */
+class HarEnvironment extends NodeEnvironment {
+  constructor(projectConfig, context) {
+    super(projectConfig, context);
+
+    this.suiteName = path.basename(context.testPath).replace(/\.test\.js$/, '');
+    this.recorder = { entries: [] };
+    this.global.__HAR__ = this.recorder;
+
+    // `test` names the test or hook whose requests are being checked
+    this.contract = { test: null, violations: [] };
+    this.global.__CONTRACT__ = this.contract;
+    this.testViolationsFrom = 0;
+    this.testViolations = new Set();
+
+    this.coverage = { operations: {}, undocumented: {} };
+    this.global.__COVERAGE__ = this.coverage;
+
+    this.cassette = { tenant: null, interactions: [] };
+    if (config.RECORD_MODE === 'record') {
+      this.global.__CASSETTE__ = this.cassette;
+    }
+  }
+
+  async teardown() {
+    this.writeContractReport();
+    this.writeCoverage();
+    this.writeCassette();
+    await super.teardown();
+  }
+
+  async handleTestEvent(event, state) {
+    // Before the HAR handling, so a strict failure keeps the test's HAR
+    this.handleContractEvent(event, state);
+
+    if (config.HAR_MODE === 'off') {
+      return;
+    }
+
+    switch (event.name) {
+      case 'test_start':
+        this.recorder.entries = [];
+        break;
+
+      case 'test_done': {
+        const failed = event.test.errors.length > 0;
+        if (failed || config.HAR_MODE === 'all') {
+          this.writeHar(testTitle(event.test), failed);
+        }
+        this.recorder.entries = [];
+        break;
+      }
+
+      case 'hook_failure':
+        // beforeAll/afterAll requests are otherwise never written
+        this.writeHar(`${testTitle(event.hook.parent)} ${event.hook.type}`, true);
+        this.recorder.entries = [];
+        break;
+
+      default:
+        break;
+    }
+  }
+
+  handleContractEvent(event, state) {
+    if (config.CONTRACT_MODE === 'off') {
+      return;
+    }
+
+    switch (event.name) {
+      case 'hook_start':
+        if (event.hook.type === 'beforeAll' || event.hook.type === 'afterAll') {
+          this.contract.test = [testTitle(event.hook.parent), event.hook.type].filter(Boolean).join(' ');
+        }
+        break;
+
+      case 'test_start':
+        this.contract.test = testTitle(event.test);
+        this.testViolationsFrom = this.contract.violations.length;
+        break;
+
+      case 'test_done': {
+        const violations = this.contract.violations.slice(this.testViolationsFrom);
+        violations.forEach(violation => this.testViolations.add(violation));
+        if (config.CONTRACT_MODE === 'strict' && violations.length > 0) {
+          event.test.errors.push(contractError(violations));
+        }
+        this.contract.test = null;
+        break;
+      }
+
+      case 'run_finish': {
+        const violations = this.contract.violations.filter(violation => !this.testViolations.has(violation));
+        if (config.CONTRACT_MODE === 'strict' && violations.length > 0) {
+          state.unhandledErrors.push(contractError(violations));
+        }
+        break;
+      }
+
+      default:
+        break;
+    }
+  }
+
+  writeContractReport() {
+    if (this.contract.violations.length === 0) {
+      return;
+    }
+
+    const file = path.join(config.CONTRACT_DIR, `${this.suiteName}.json`);
+    const report = {
+      suite: this.suiteName,
+      spec: config.OPENAPI_SPEC_FILE,
+      violations: this.contract.violations
+    };
+
+    try {
+      fs.mkdirSync(config.CONTRACT_DIR, { recursive: true });
+      fs.writeFileSync(file, JSON.stringify(report, null, 2));
+      console.log(`${report.violations.length} contract violations written to ${path.relative(__dirname, file)}`);
+    } catch (error) {
+      console.warn(`Could not write contract report ${file}: ${error.message}`);
+    }
+  }
+
+  writeCoverage() {
+    if (Object.keys(this.coverage.operations).length === 0 && Object.keys(this.coverage.undocumented).length === 0) {
+      return;
+    }
+
+    const file = path.join(config.COVERAGE_DIR, `${this.suiteName}.json`);
+    try {
+      fs.mkdirSync(config.COVERAGE_DIR, { recursive: true });
+      fs.writeFileSync(file, JSON.stringify({ suite: this.suiteName, ...this.coverage }, null, 2));
+    } catch (error) {
+      console.warn(`Could not write coverage ${file}: ${error.message}`);
+    }
+  }
+
+  writeCassette() {
+    if (this.cassette.interactions.length === 0) {
+      return;
+    }
+
+    const file = path.join(config.CASSETTE_DIR, `${this.suiteName}.json`);
+    try {
+      fs.mkdirSync(config.CASSETTE_DIR, { recursive: true });
+      fs.writeFileSync(file, JSON.stringify({ recordedAt: new Date().toISOString(), ...this.cassette }, null, 2));
+    } catch (error) {
+      console.warn(`Could not write cassette ${file}: ${error.message}`);
+    }
+  }
+
+  writeHar(title, failed) {
+    if (this.recorder.entries.length === 0) {
+      return;
+    }
+
+    const dir = path.join(config.HAR_DIR, this.suiteName);
+    const file = path.join(dir, `${slugify(title)}.har`);
+
+    try {
+      fs.mkdirSync(dir, { recursive: true });
+      fs.writeFileSync(file, JSON.stringify(createHarLog(this.recorder.entries, title), null, 2));
+      if (failed) {
+        console.log(`HAR for failed test written to ${path.relative(__dirname, file)}`);
+      }
+    } catch (error) {
+      console.warn(`Could not write HAR ${file}: ${error.message}`);
+    }
+  }
+}
+
+/**
+ * Full title of a test or describe block, e.g. "Material Hierarchy > Assign Relationships > ..."
+ */
+function testTitle(block) {
+  const names = [];
+  for (let node = block; node; node = node.parent) {
+    if (node.name && node.name !== 'ROOT_DESCRIBE_BLOCK') {
+      names.unshift(node.name);
+    }
+  }
+  return names.join(' > ');
+}
+
+/**
+ * Test failure listing each violation once
+ */
+function contractError(violations) {
+  const lines = [...new Set(violations.map(formatViolation))];
+  const error = new Error(`Response does not match the OpenAPI document (CONTRACT_MODE=strict):\n  ${lines.join('\n  ')}`);
+  error.stack = error.message;
+  return error;
+}
+
+function slugify(title) {
+  return title
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+    .substring(0, 150) || 'unnamed';
+}
+
+module.exports = HarEnvironment;
@@ -1,48 +1,164 @@
+const fs = require('fs');
+const path = require('path');
 const axios = require('axios');
+const FormData = require('form-data');
 const config = require('../config');
+const { parseProblem } = require('./problem-details');
+const { captureRequest, recordExchange } = require('./har-recorder');
+const { checkResponse, operationFor } = require('./contract');
+const { recordCoverage } = require('./coverage');
+const { createCassetteAdapter } = require('./cassette');
+
+const IDEMPOTENT_METHODS = ['get', 'head', 'options', 'put', 'delete'];
+
+/**
+ * Resolve the retry policy for one call from config and the per-call option
+ */
+function retryPolicy(method, retry) {
+  if (retry === false) {
+    return { maxAttempts: 1 };
+  }
+
+  const enabled = retry !== undefined || IDEMPOTENT_METHODS.includes(method.toLowerCase());
+  if (!enabled) {
+    return { maxAttempts: 1 };
+  }
+
+  return {
+    maxAttempts: (typeof retry === 'object' && retry.maxAttempts) || config.RETRY_MAX_ATTEMPTS
+  };
+}
+
+/**
+ * Describe why a response or error is worth retrying, or return null
+ */
+function retryReason(response, error) {
+  if (error) {
+    return config.RETRY_ERROR_CODES.includes(error.code) ? error.code : null;
+  }
+  return config.RETRY_STATUSES.includes(response.status) ? `HTTP ${response.status}` : null;
+}
+
+/**
+ * Exponential backoff with equal jitter: half the delay is fixed, half random
+ */
+function backoffDelay(attempt) {
+  const exponential = Math.min(config.RETRY_MAX_DELAY, config.RETRY_BASE_DELAY * 2 ** (attempt - 1));
+  return Math.round(exponential / 2 + Math.random() * (exponential / 2));
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Request body for form fields, url-encoded or multipart; empty fields are left out
+ */
+function formBody(fields, multipart = false) {
+  const entries = Object.entries(fields).filter(([, value]) => value !== undefined && value !== null);
+
+  if (multipart) {
+    const form = new FormData();
+    for (const [key, value] of entries) {
+      form.append(key, value);
+    }
+    return { data: form, headers: form.getHeaders() };
+  }
+
+  return {
+    data: new URLSearchParams(entries).toString(),
+    headers: { 'Content-Type': 'application/x-www-form-urlencoded' }
+  };
+}
 
 /**
  * API Client with authentication support
+ *
+ * Each instance holds its own identity, token and interceptors, so one suite
+ * can act as several users at once (see createClient below).
  */
 class ApiClient {
-  constructor() {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.user] - Username used by authenticate() when none is passed
+   * @param {string} [options.password] - Password used by authenticate() when none is passed
+   * @param {string} [options.label] - Tag prefixed to debug output for this client
+   */
+  constructor({ user = config.TEST_USER, password = config.TEST_PASSWORD, label = '' } = {}) {
+    this.user = user;
+    this.password = password;
+    this.label = label;
+    this.logPrefix = label ? `[${label}] ` : '';
+
+    // Tenant for /api/{tenant}/... calls; null follows config.getEffectiveTenant()
+    this.tenant = null;
+
     this.token = null;
     this.tokenExpiry = null;
+    this.refreshToken = null;
+    this.refreshExpiry = null;
+
+    // Credentials from the last password grant, reused when a refresh fails
+    this.credentials = null;
+    this.pendingRefresh = null;
+
+    // RECORD_MODE=record|replay swaps the HTTP adapter for the cassette one
+    const cassetteAdapter = createCassetteAdapter();
 
     this.client = axios.create({
       timeout: config.REQUEST_TIMEOUT,
-      validateStatus: () => true // Don't throw on non-2xx status
+      validateStatus: () => true, // Don't throw on non-2xx status
+      ...(cassetteAdapter && { adapter: cassetteAdapter })
     });
 
     // Debug logging - always enabled for better test diagnostics
     this.client.interceptors.request.use(req => {
+      captureRequest(req);
+
       if (config.DEBUG) {
-        console.log(`\n[API REQUEST] ${req.method.toUpperCase()} ${req.url}`);
+        console.log(`\n${this.logPrefix}[API REQUEST] ${req.method.toUpperCase()} ${req.url}`);
         if (req.data && typeof req.data === 'object' && !(req.data instanceof FormData)) {
-          console.log('[API REQUEST BODY]', JSON.stringify(req.data, null, 2));
+          console.log(`${this.logPrefix}[API REQUEST BODY]`, JSON.stringify(req.data, null, 2));
         }
         if (req.headers) {
           const headers = { ...req.headers };
           if (headers.Authorization) {
             headers.Authorization = headers.Authorization.substring(0, 20) + '...';
           }
-          console.log('[API REQUEST HEADERS]', headers);
+          console.log(`${this.logPrefix}[API REQUEST HEADERS]`, headers);
         }
       }
       return req;
     });
 
     this.client.interceptors.response.use(res => {
+      // Expose application/problem+json bodies as response.problem
+      res.problem = parseProblem(res);
+
+      // Matched OpenAPI operation, e.g. "GET /api/{tenantName}/materials" (null if none)
+      res.operation = operationFor(res.config);
+
+      recordExchange(res.config, res);
+      recordCoverage(res);
+      // Validate the body against the OpenAPI document (CONTRACT_MODE)
+      checkResponse(res);
+
       if (config.DEBUG) {
-        console.log(`[API RESPONSE] ${res.status} ${res.statusText}`);
+        console.log(`${this.logPrefix}[API RESPONSE] ${res.status} ${res.statusText}`);
         if (res.data) {
           const dataStr = typeof res.data === 'string'
             ? res.data.substring(0, 500)
             : JSON.stringify(res.data, null, 2).substring(0, 500);
-          console.log('[API RESPONSE BODY]', dataStr);
+          console.log(`${this.logPrefix}[API RESPONSE BODY]`, dataStr);
         }
       }
       return res;
+    }, error => {
+      // Network failures never reach the success handler above
+      if (error.config) {
+        recordExchange(error.config, null, error);
+      }
+      return Promise.reject(error);
     });
   }
 
@@ -50,19 +166,80 @@ class ApiClient {
    * Get authentication token from Keycloak
    * If NO_AUTH mode is enabled, skip authentication
    */
-  async authenticate(username = config.TEST_USER, password = config.TEST_PASSWORD) {
+  async authenticate(username = this.user, password = this.password) {
     // Skip authentication in NO_AUTH mode
     if (config.NO_AUTH) {
-      this.token = null;
-      this.tokenExpiry = null;
+      this.clearToken();
       return { noAuth: true };
     }
 
+    const tokenData = await this.requestToken({
+      grant_type: 'password',
+      username,
+      password
+    });
+
+    this.credentials = { username, password };
+    this.storeToken(tokenData);
+
+    return tokenData;
+  }
+
+  /**
+   * Exchange the stored refresh token for a new access token.
+   * Falls back to the password grant when the refresh token is missing,
+   * expired or rejected by Keycloak.
+   */
+  async refresh() {
+    if (config.NO_AUTH || !this.credentials) {
+      return null;
+    }
+
+    // Concurrent requests share one refresh round-trip
+    if (!this.pendingRefresh) {
+      this.pendingRefresh = this.renewToken().finally(() => {
+        this.pendingRefresh = null;
+      });
+    }
+
+    return this.pendingRefresh;
+  }
+
+  async renewToken() {
+    if (this.refreshToken && (!this.refreshExpiry || Date.now() < this.refreshExpiry)) {
+      try {
+        const tokenData = await this.requestToken({
+          grant_type: 'refresh_token',
+          refresh_token: this.refreshToken
+        });
+        this.storeToken(tokenData);
+        this.debug('[API AUTH] Access token refreshed');
+        return tokenData;
+      } catch (error) {
+        this.debug(`[API AUTH] Refresh failed, re-running password grant: ${error.message}`);
+      }
+    }
+
+    const { username, password } = this.credentials;
+    const tokenData = await this.requestToken({
+      grant_type: 'password',
+      username,
+      password
+    });
+    this.storeToken(tokenData);
+    this.debug('[API AUTH] Re-authenticated with password grant');
+    return tokenData;
+  }
+
+  /**
+   * POST a grant to the Keycloak token endpoint
+   */
+  async requestToken(grant) {
     const params = new URLSearchParams();
-    params.append('grant_type', 'password');
     params.append('client_id', config.KEYCLOAK_CLIENT_ID);
-    params.append('username', username);
-    params.append('password', password);
+    for (const [key, value] of Object.entries(grant)) {
+      params.append(key, value);
+    }
 
     if (config.KEYCLOAK_CLIENT_SECRET) {
       params.append('client_secret', config.KEYCLOAK_CLIENT_SECRET);
@@ -76,12 +253,46 @@ class ApiClient {
       throw new Error(`Authentication failed: ${response.status} - ${JSON.stringify(response.data)}`);
     }
 
-    this.token = response.data.access_token;
-    this.tokenExpiry = Date.now() + (response.data.expires_in * 1000);
-
     return response.data;
   }
 
+  storeToken(tokenData) {
+    const now = Date.now();
+    this.token = tokenData.access_token;
+    this.tokenExpiry = now + (tokenData.expires_in * 1000);
+    this.refreshToken = tokenData.refresh_token || null;
+    // refresh_expires_in of 0 means an offline token without a fixed expiry
+    this.refreshExpiry = tokenData.refresh_expires_in
+      ? now + (tokenData.refresh_expires_in * 1000)
+      : null;
+  }
+
+  clearToken() {
+    this.token = null;
+    this.tokenExpiry = null;
+    this.refreshToken = null;
+    this.refreshExpiry = null;
+  }
+
+  /**
+   * Refresh ahead of expiry so long uploads don't start with a dying token
+   */
+  async ensureFreshToken() {
+    if (!this.token || !this.tokenExpiry || !this.credentials) {
+      return;
+    }
+
+    if (Date.now() >= this.tokenExpiry - config.TOKEN_REFRESH_SKEW * 1000) {
+      await this.refresh();
+    }
+  }
+
+  debug(message) {
+    if (config.DEBUG) {
+      console.log(`${this.logPrefix}${message}`);
+    }
+  }
+
   /**
    * Get headers with optional auth
    */
@@ -108,81 +319,205 @@ class ApiClient {
     return this.token && this.tokenExpiry && Date.now() < this.tokenExpiry;
   }
 
+  // Tenant scoping
+
+  /**
+   * Base URL of a tenant-scoped resource, e.g. tenantUrl('materials')
+   */
+  tenantUrl(resource) {
+    const tenant = this.tenant || config.getEffectiveTenant();
+    return `${config.API_BASE_URL}/api/${tenant}/${resource}`;
+  }
+
+  /**
+   * Return a view of this client bound to another tenant.
+   *
+   * The view has the same method set but builds /api/{tenantName}/... URLs.
+   * It shares the identity and token of this client; authenticating through
+   * the view authenticates this client.
+   *
+   * Usage:
+   *   const other = apiClient.forTenant('tenant-b');
+   *   await other.listMaterials(); // GET /api/tenant-b/materials
+   */
+  forTenant(tenantName) {
+    return Object.create(this, {
+      tenant: { value: tenantName, enumerable: true },
+      authenticate: { value: this.authenticate.bind(this) },
+      refresh: { value: this.refresh.bind(this) },
+      clearToken: { value: this.clearToken.bind(this) }
+    });
+  }
+
   // HTTP Methods
 
+  /**
+   * Send a request, attaching the current bearer token.
+   *
+   * Requests that use the client's own token are refreshed ahead of expiry
+   * and replayed once after a 401. Callers that pass `auth: false` or their
+   * own Authorization header are sent as-is.
+   *
+   * Transient failures (network errors, RETRY_STATUSES) are retried with
+   * backoff for idempotent methods. Pass `retry: true` to opt a POST in,
+   * `retry: false` to opt out, or `retry: { maxAttempts }` to override.
+   *
+   * `data` may be a function returning `{ data, headers }`; it is called for
+   * every attempt so streamed multipart bodies can be rebuilt.
+   */
+  async request(method, url, data, options = {}) {
+    const { auth, headers, retry, ...axiosOptions } = options;
+    const useClientToken = auth !== false && !headers?.Authorization;
+    const policy = retryPolicy(method, retry);
+
+    const send = async () => {
+      if (useClientToken) {
+        await this.ensureFreshToken();
+      }
+
+      const body = typeof data === 'function' ? data() : { data };
+
+      return this.client.request({
+        method,
+        url,
+        data: body.data,
+        ...axiosOptions,
+        headers: {
+          ...this.getHeaders(auth !== false),
+          ...body.headers,
+          ...headers
+        }
+      });
+    };
+
+    // Streams passed directly are consumed by the first attempt
+    const replayable = !(data && typeof data.pipe === 'function');
+
+    let attempt = 1;
+    let authRetried = false;
+
+    for (;;) {
+      let response = null;
+      let error = null;
+
+      try {
+        response = await send();
+      } catch (err) {
+        error = err;
+      }
+
+      if (response?.status === 401 && useClientToken && this.credentials && replayable && !authRetried) {
+        this.debug('[API AUTH] 401 received, refreshing token and retrying once');
+        authRetried = true;
+        await this.refresh();
+        continue;
+      }
+
+      const reason = retryReason(response, error);
+
+      if (reason && replayable && attempt < policy.maxAttempts) {
+        const delay = backoffDelay(attempt);
+        this.recordRetry({ method, url, attempt, maxAttempts: policy.maxAttempts, reason, delay });
+        await sleep(delay);
+        attempt++;
+        continue;
+      }
+
+      if (error) {
+        throw error;
+      }
+
+      response.attempts = attempt;
+      return response;
+    }
+  }
+
+  /**
+   * Log a retry to the console (shown under the suite in Jest output) and
+   * append it to RETRY_REPORT_FILE for the end-of-run summary.
+   */
+  recordRetry({ method, url, attempt, maxAttempts, reason, delay }) {
+    const testName = typeof expect !== 'undefined' ? expect.getState().currentTestName : undefined;
+
+    console.warn(
+      `${this.logPrefix}[API RETRY] ${method.toUpperCase()} ${url} failed with ${reason}; ` +
+      `attempt ${attempt + 1}/${maxAttempts} in ${delay}ms`
+    );
+
+    const entry = {
+      time: new Date().toISOString(),
+      test: testName,
+      client: this.label || undefined,
+      method: method.toUpperCase(),
+      url,
+      attempt,
+      reason,
+      delay
+    };
+
+    try {
+      fs.mkdirSync(path.dirname(config.RETRY_REPORT_FILE), { recursive: true });
+      fs.appendFileSync(config.RETRY_REPORT_FILE, JSON.stringify(entry) + '\n');
+    } catch (err) {
+      this.debug(`[API RETRY] Could not write retry report: ${err.message}`);
+    }
+  }
+
   async get(url, options = {}) {
-    return this.client.get(url, {
-      headers: this.getHeaders(options.auth !== false),
-      ...options
-    });
+    return this.request('get', url, undefined, options);
   }
 
   async post(url, data, options = {}) {
-    return this.client.post(url, data, {
-      headers: this.getHeaders(options.auth !== false),
-      ...options
-    });
+    return this.request('post', url, data, options);
   }
 
   async put(url, data, options = {}) {
-    return this.client.put(url, data, {
-      headers: this.getHeaders(options.auth !== false),
-      ...options
-    });
+    return this.request('put', url, data, options);
   }
 
   async delete(url, options = {}) {
-    return this.client.delete(url, {
-      headers: this.getHeaders(options.auth !== false),
-      ...options
-    });
+    return this.request('delete', url, undefined, options);
   }
 
   /**
    * Upload file with multipart form data
+   *
+   * Uploads are POSTs, so pass `{ retry: true }` to retry transient failures.
    */
-  async uploadFile(url, filePath, additionalFields = {}) {
-    const FormData = require('form-data');
-    const fs = require('fs');
-    const path = require('path');
+  async uploadFile(url, filePath, additionalFields = {}, options = {}) {
+    const buildForm = () => {
+      const form = new FormData();
 
-    const form = new FormData();
+      // Add file
+      form.append('file', fs.createReadStream(filePath));
 
-    // Add file
-    form.append('file', fs.createReadStream(filePath));
+      // Add additional fields
+      for (const [key, value] of Object.entries(additionalFields)) {
+        form.append(key, value);
+      }
 
-    // Add additional fields
-    for (const [key, value] of Object.entries(additionalFields)) {
-      form.append(key, value);
-    }
+      return { data: form, headers: form.getHeaders() };
+    };
 
-    return this.client.post(url, form, {
-      headers: {
-        ...this.getHeaders(),
-        ...form.getHeaders()
-      }
-    });
+    return this.post(url, buildForm, options);
   }
 
   /**
    * Upload file from buffer (for test files)
    */
-  async uploadBuffer(url, buffer, filename, additionalFields = {}) {
-    const FormData = require('form-data');
+  async uploadBuffer(url, buffer, filename, additionalFields = {}, options = {}) {
+    const buildForm = () => {
+      const form = new FormData();
+      form.append('file', buffer, { filename });
 
-    const form = new FormData();
-    form.append('file', buffer, { filename });
+      for (const [key, value] of Object.entries(additionalFields)) {
+        form.append(key, value);
+      }
 
-    for (const [key, value] of Object.entries(additionalFields)) {
-      form.append(key, value);
-    }
+      return { data: form, headers: form.getHeaders() };
+    };
 
-    return this.client.post(url, form, {
-      headers: {
-        ...this.getHeaders(),
-        ...form.getHeaders()
-      }
-    });
+    return this.post(url, buildForm, options);
   }
 
   // Convenience methods for common endpoints
@@ -199,6 +534,10 @@ class ApiClient {
     return this.get(`${config.API_BASE_URL}/swagger/index.html`, { auth: false });
   }
 
+  async openApiSpec(options = {}) {
+    return this.get(config.OPENAPI_URL, { auth: false, ...options });
+  }
+
   // Tenant operations
 
   async listTenants() {
@@ -209,8 +548,8 @@ class ApiClient {
     return this.get(`${config.TENANT_API_URL}/${tenantName}`);
   }
 
-  async createTenant(tenantData) {
-    return this.post(config.TENANT_API_URL, tenantData);
+  async createTenant(tenantData, options = {}) {
+    return this.post(config.TENANT_API_URL, tenantData, options);
   }
 
   async deleteTenant(tenantName) {
@@ -225,114 +564,540 @@ class ApiClient {
     return this.get(`${config.TENANT_API_URL}/${tenantName}/storage-stats`);
   }
 
-  // Material operations (uses configured tenant)
+  // Troubleshooting (api/troubleshooting). Schema operations take
+  // TROUBLESHOOTING_TIMEOUT unless options.timeout says otherwise; the
+  // delete/rebuild/force-recreate calls destroy tenant data.
+
+  async diagnoseTenant(tenantName) {
+    return this.get(`${config.TROUBLESHOOTING_API_URL}/diagnose/${tenantName}`);
+  }
+
+  async testTenantConnection(tenantName) {
+    return this.get(`${config.TROUBLESHOOTING_API_URL}/test-connection/${tenantName}`);
+  }
+
+  async listTenantDatabases() {
+    return this.get(`${config.TROUBLESHOOTING_API_URL}/databases`);
+  }
+
+  async getTenantTables(tenantName) {
+    return this.get(`${config.TROUBLESHOOTING_API_URL}/tables/${tenantName}`);
+  }
+
+  async getTenantsHealthCheck(options = {}) {
+    return this.get(`${config.TROUBLESHOOTING_API_URL}/health-check`,
+      { timeout: config.TROUBLESHOOTING_TIMEOUT, ...options });
+  }
+
+  async createTestTenant(tenantName, options = {}) {
+    return this.post(`${config.TROUBLESHOOTING_API_URL}/create-test-tenant/${tenantName}`, undefined,
+      { timeout: config.TROUBLESHOOTING_TIMEOUT, ...options });
+  }
+
+  async repairTenant(tenantName, options = {}) {
+    return this.post(`${config.TROUBLESHOOTING_API_URL}/repair/${tenantName}`, undefined,
+      { timeout: config.TROUBLESHOOTING_TIMEOUT, ...options });
+  }
+
+  async createTenantTables(tenantName, options = {}) {
+    return this.post(`${config.TROUBLESHOOTING_API_URL}/create-tables/${tenantName}`, undefined,
+      { timeout: config.TROUBLESHOOTING_TIMEOUT, ...options });
+  }
+
+  async rebuildTenant(tenantName, options = {}) {
+    return this.post(`${config.TROUBLESHOOTING_API_URL}/rebuild/${tenantName}`, undefined,
+      { timeout: config.TROUBLESHOOTING_TIMEOUT, ...options });
+  }
+
+  async forceRecreateTenant(tenantName, options = {}) {
+    return this.post(`${config.TROUBLESHOOTING_API_URL}/force-recreate/${tenantName}`, undefined,
+      { timeout: config.TROUBLESHOOTING_TIMEOUT, ...options });
+  }
+
+  // Data migrations; each checks the schema first, so re-running one is a no-op
+
+  async migrateAnnotations(tenantName, options = {}) {
+    return this.post(`${config.TROUBLESHOOTING_API_URL}/migrate-annotations/${tenantName}`, undefined,
+      { timeout: config.TROUBLESHOOTING_TIMEOUT, ...options });
+  }
+
+  async migrateQuizAnswers(tenantName, options = {}) {
+    return this.post(`${config.TROUBLESHOOTING_API_URL}/migrate-quiz-answers/${tenantName}`, undefined,
+      { timeout: config.TROUBLESHOOTING_TIMEOUT, ...options });
+  }
+
+  async migrateQuizEvaluation(tenantName, options = {}) {
+    return this.post(`${config.TROUBLESHOOTING_API_URL}/migrate-quiz-evaluation/${tenantName}`, undefined,
+      { timeout: config.TROUBLESHOOTING_TIMEOUT, ...options });
+  }
+
+  async migrateAIAssistantCollections(tenantName, options = {}) {
+    return this.post(`${config.TROUBLESHOOTING_API_URL}/migrate-ai-assistant-collections/${tenantName}`, undefined,
+      { timeout: config.TROUBLESHOOTING_TIMEOUT, ...options });
+  }
+
+  async migrateAIAssistantMaterialAssetJobs(tenantName, options = {}) {
+    return this.post(`${config.TROUBLESHOOTING_API_URL}/migrate-ai-assistant-material-asset-jobs/${tenantName}`, undefined,
+      { timeout: config.TROUBLESHOOTING_TIMEOUT, ...options });
+  }
+
+  async deleteTenantDatabase(tenantName) {
+    return this.delete(`${config.TROUBLESHOOTING_API_URL}/delete-database/${tenantName}`);
+  }
+
+  async deleteTenantCompletely(tenantName) {
+    return this.delete(`${config.TROUBLESHOOTING_API_URL}/delete-completely/${tenantName}`);
+  }
+
+  // Material operations (tenant-scoped, see forTenant)
 
   async listMaterials() {
-    return this.get(config.MATERIALS_API_URL);
+    return this.get(this.tenantUrl('materials'));
   }
 
   async getMaterial(id) {
-    return this.get(`${config.MATERIALS_API_URL}/${id}`);
+    return this.get(`${this.tenantUrl('materials')}/${id}`);
   }
 
   async getMaterialDetail(id) {
-    return this.get(`${config.MATERIALS_API_URL}/${id}/detail`);
+    return this.get(`${this.tenantUrl('materials')}/${id}/detail`);
+  }
+
+  async createMaterial(materialData, options = {}) {
+    return this.post(this.tenantUrl('materials'), materialData, options);
   }
 
-  async createMaterial(materialData) {
-    return this.post(config.MATERIALS_API_URL, materialData);
+  async createMaterialJson(materialData, options = {}) {
+    return this.post(`${this.tenantUrl('materials')}/json`, materialData, options);
   }
 
-  async updateMaterial(id, materialData) {
-    return this.put(`${config.MATERIALS_API_URL}/${id}`, materialData);
+  // Deprecated route, still served
+  async createMaterialAdvanced(materialData, options = {}) {
+    return this.post(`${this.tenantUrl('materials')}/advanced`, materialData, options);
+  }
+
+  /**
+   * Create a material from multipart/form-data with the material JSON in one
+   * field: `material` for POST materials, `materialData` for the deprecated
+   * detail-with-asset route. No file is attached.
+   */
+  async createMaterialForm(material, { route = '', field = 'material', ...options } = {}) {
+    const url = route ? `${this.tenantUrl('materials')}/${route}` : this.tenantUrl('materials');
+    const json = typeof material === 'string' ? material : JSON.stringify(material);
+    return this.post(url, () => formBody({ [field]: json }, true), options);
+  }
+
+  async updateMaterial(id, materialData, options = {}) {
+    return this.put(`${this.tenantUrl('materials')}/${id}`, materialData, options);
   }
 
   async deleteMaterial(id) {
-    return this.delete(`${config.MATERIALS_API_URL}/${id}`);
+    return this.delete(`${this.tenantUrl('materials')}/${id}`);
   }
 
   async getMaterialChildren(id) {
-    return this.get(`${config.MATERIALS_API_URL}/${id}/children`);
+    return this.get(`${this.tenantUrl('materials')}/${id}/children`);
   }
 
   async getMaterialParents(id) {
-    return this.get(`${config.MATERIALS_API_URL}/${id}/parents`);
+    return this.get(`${this.tenantUrl('materials')}/${id}/parents`);
   }
 
   async assignMaterialChild(parentId, childId) {
-    return this.post(`${config.MATERIALS_API_URL}/${parentId}/assign-material/${childId}`);
+    return this.post(`${this.tenantUrl('materials')}/${parentId}/assign-material/${childId}`);
+  }
+
+  async removeMaterialChild(parentId, childId) {
+    return this.delete(`${this.tenantUrl('materials')}/${parentId}/remove-material/${childId}`);
+  }
+
+  /**
+   * Tree of a material's descendants; maxDepth defaults to 5 server-side
+   */
+  async getMaterialHierarchy(id, { maxDepth } = {}) {
+    return this.get(`${this.tenantUrl('materials')}/${id}/hierarchy`, {
+      params: { maxDepth }
+    });
+  }
+
+  // Typed material sub-resources (video timestamps, checklist entries, workflow steps)
+
+  async getVideoWithTimestamps(videoId) {
+    return this.get(`${this.tenantUrl('materials')}/videos/${videoId}/with-timestamps`);
+  }
+
+  async addVideoTimestamp(videoId, timestamp) {
+    return this.post(`${this.tenantUrl('materials')}/videos/${videoId}/timestamps`, timestamp);
+  }
+
+  async removeVideoTimestamp(videoId, timestampId) {
+    return this.delete(`${this.tenantUrl('materials')}/videos/${videoId}/timestamps/${timestampId}`);
+  }
+
+  async getChecklistWithEntries(checklistId) {
+    return this.get(`${this.tenantUrl('materials')}/checklists/${checklistId}/with-entries`);
+  }
+
+  async addChecklistEntry(checklistId, entry) {
+    return this.post(`${this.tenantUrl('materials')}/checklists/${checklistId}/entries`, entry);
+  }
+
+  async removeChecklistEntry(checklistId, entryId) {
+    return this.delete(`${this.tenantUrl('materials')}/checklists/${checklistId}/entries/${entryId}`);
+  }
+
+  async getWorkflowWithSteps(workflowId) {
+    return this.get(`${this.tenantUrl('materials')}/workflows/${workflowId}/with-steps`);
+  }
+
+  async addWorkflowStep(workflowId, step) {
+    return this.post(`${this.tenantUrl('materials')}/workflows/${workflowId}/steps`, step);
+  }
+
+  async removeWorkflowStep(workflowId, stepId) {
+    return this.delete(`${this.tenantUrl('materials')}/workflows/${workflowId}/steps/${stepId}`);
   }
 
   // Asset operations
 
   async listAssets() {
-    return this.get(config.ASSETS_API_URL);
+    return this.get(this.tenantUrl('assets'));
   }
 
   async getAsset(id) {
-    return this.get(`${config.ASSETS_API_URL}/${id}`);
+    return this.get(`${this.tenantUrl('assets')}/${id}`);
   }
 
   async getAssetFileInfo(id) {
-    return this.get(`${config.ASSETS_API_URL}/${id}/file-info`);
+    return this.get(`${this.tenantUrl('assets')}/${id}/file-info`);
   }
 
   async downloadAsset(id) {
-    return this.get(`${config.ASSETS_API_URL}/${id}/download`, {
+    return this.get(`${this.tenantUrl('assets')}/${id}/download`, {
       responseType: 'arraybuffer'
     });
   }
 
   async deleteAsset(id) {
-    return this.delete(`${config.ASSETS_API_URL}/${id}`);
+    return this.delete(`${this.tenantUrl('assets')}/${id}`);
+  }
+
+  // Asset sharing (storage backends with SupportsSharing, i.e. OwnCloud)
+
+  async createAssetShare(assetId) {
+    return this.post(`${this.tenantUrl('assets')}/${assetId}/share`);
+  }
+
+  async getAssetShares(assetId) {
+    return this.get(`${this.tenantUrl('assets')}/${assetId}/shares`);
+  }
+
+  async listShares() {
+    return this.get(`${this.tenantUrl('assets')}/shares`);
+  }
+
+  async getShare(shareId) {
+    return this.get(`${this.tenantUrl('assets')}/shares/${shareId}`);
+  }
+
+  async deleteShare(shareId) {
+    return this.delete(`${this.tenantUrl('assets')}/shares/${shareId}`);
+  }
+
+  async getAssetShareUrl(assetId) {
+    return this.get(`${this.tenantUrl('assets')}/${assetId}/share-url`);
+  }
+
+  /**
+   * Fetch a share URL the way an outside consumer would: no bearer token
+   */
+  async fetchSharedFile(shareUrl) {
+    return this.get(shareUrl, { auth: false, responseType: 'arraybuffer' });
   }
 
   // Program operations
 
   async listPrograms() {
-    return this.get(config.PROGRAMS_API_URL);
+    return this.get(this.tenantUrl('programs'));
   }
 
   async getProgram(id) {
-    return this.get(`${config.PROGRAMS_API_URL}/${id}`);
+    return this.get(`${this.tenantUrl('programs')}/${id}`);
   }
 
   async getProgramDetail(id) {
-    return this.get(`${config.PROGRAMS_API_URL}/${id}/detail`);
+    return this.get(`${this.tenantUrl('programs')}/${id}/detail`);
   }
 
   async createProgram(programData) {
-    return this.post(config.PROGRAMS_API_URL, programData);
+    return this.post(this.tenantUrl('programs'), programData);
   }
 
   async deleteProgram(id) {
-    return this.delete(`${config.PROGRAMS_API_URL}/${id}`);
+    return this.delete(`${this.tenantUrl('programs')}/${id}`);
   }
 
   async assignMaterialToProgram(programId, materialId) {
-    return this.post(`${config.PROGRAMS_API_URL}/${programId}/assign-material/${materialId}`);
+    return this.post(`${this.tenantUrl('programs')}/${programId}/assign-material/${materialId}`);
+  }
+
+  async removeMaterialFromProgram(programId, materialId) {
+    return this.delete(`${this.tenantUrl('programs')}/${programId}/remove-material/${materialId}`);
+  }
+
+  // Learning path operations
+
+  async listLearningPaths() {
+    return this.get(this.tenantUrl('learningpaths'));
+  }
+
+  async getLearningPath(id) {
+    return this.get(`${this.tenantUrl('learningpaths')}/${id}`);
+  }
+
+  async createLearningPath(learningPathData) {
+    return this.post(this.tenantUrl('learningpaths'), learningPathData);
+  }
+
+  async updateLearningPath(id, learningPathData) {
+    return this.put(`${this.tenantUrl('learningpaths')}/${id}`, learningPathData);
+  }
+
+  async deleteLearningPath(id) {
+    return this.delete(`${this.tenantUrl('learningpaths')}/${id}`);
+  }
+
+  async getProgramLearningPaths(programId) {
+    return this.get(`${this.tenantUrl('learningpaths')}/program/${programId}`);
+  }
+
+  async assignLearningPathToProgram(learningPathId, programId) {
+    return this.post(`${this.tenantUrl('learningpaths')}/${learningPathId}/assign/${programId}`);
+  }
+
+  async unassignLearningPathFromProgram(learningPathId, programId) {
+    return this.delete(`${this.tenantUrl('learningpaths')}/${learningPathId}/unassign/${programId}`);
+  }
+
+  async getLearningPathMaterials(learningPathId, { includeOrder = true } = {}) {
+    return this.get(`${this.tenantUrl('learningpaths')}/${learningPathId}/materials`, {
+      params: { includeOrder }
+    });
+  }
+
+  /**
+   * Assign one material; relationshipType defaults to "contains" server-side
+   */
+  async assignMaterialToLearningPath(learningPathId, materialId, { relationshipType, displayOrder } = {}) {
+    return this.post(`${this.tenantUrl('learningpaths')}/${learningPathId}/assign-material/${materialId}`, undefined, {
+      params: { relationshipType, displayOrder }
+    });
+  }
+
+  /**
+   * Assign several materials at once.
+   * materials: [{ materialId, relationshipType, displayOrder }]
+   */
+  async assignMaterialsToLearningPath(learningPathId, materials) {
+    return this.post(`${this.tenantUrl('learningpaths')}/${learningPathId}/assign-materials`, { materials });
+  }
+
+  async removeMaterialFromLearningPath(learningPathId, materialId) {
+    return this.delete(`${this.tenantUrl('learningpaths')}/${learningPathId}/remove-material/${materialId}`);
+  }
+
+  /**
+   * Set display orders; orderMap maps material id to position, e.g. { 12: 1, 15: 2 }
+   */
+  async reorderLearningPathMaterials(learningPathId, orderMap) {
+    return this.put(`${this.tenantUrl('learningpaths')}/${learningPathId}/reorder-materials`, orderMap);
+  }
+
+  async createLearningPathDetail(learningPathData) {
+    return this.post(`${this.tenantUrl('learningpaths')}/detail`, learningPathData);
+  }
+
+  async getLearningPathDetail(id) {
+    return this.get(`${this.tenantUrl('learningpaths')}/${id}/detail`);
+  }
+
+  async listLearningPathDetails() {
+    return this.get(`${this.tenantUrl('learningpaths')}/detail`);
   }
 
   // User operations
 
   async listUsers() {
-    return this.get(config.USERS_API_URL);
+    return this.get(this.tenantUrl('users'));
   }
 
   async getUser(userName) {
-    return this.get(`${config.USERS_API_URL}/${userName}`);
+    return this.get(`${this.tenantUrl('users')}/${userName}`);
   }
 
   async createUser(userData) {
-    return this.post(config.USERS_API_URL, userData);
+    return this.post(this.tenantUrl('users'), userData);
   }
 
   async updateUser(userName, userData) {
-    return this.put(`${config.USERS_API_URL}/${userName}`, userData);
+    return this.put(`${this.tenantUrl('users')}/${userName}`, userData);
   }
 
   async deleteUser(userName) {
-    return this.delete(`${config.USERS_API_URL}/${userName}`);
+    return this.delete(`${this.tenantUrl('users')}/${userName}`);
+  }
+
+  // Learner progress (recorded for the user in this client's token)
+
+  /**
+   * Submit quiz answers.
+   * submission: { program_id?, questions: [{ question_id, answer: { answer_ids | value | text } }] }
+   */
+  async submitQuizAnswers(materialId, submission) {
+    return this.post(`${this.tenantUrl('materials')}/${materialId}/submit`, submission);
+  }
+
+  /**
+   * Mark a non-scored material complete within a program
+   */
+  async completeMaterial(materialId, programId) {
+    return this.post(`${this.tenantUrl('materials')}/${materialId}/complete`, { program_id: programId });
+  }
+
+  async getUserProgress(userId) {
+    return this.get(`${this.tenantUrl('users')}/${userId}/progress`);
+  }
+
+  async getAllUsersProgress() {
+    return this.get(`${this.tenantUrl('users')}/progress`);
+  }
+
+  async getUserMaterialProgress(userId, materialId) {
+    return this.get(`${this.tenantUrl('users')}/${userId}/materials/${materialId}`);
+  }
+
+  async getUserProgramMaterials(userId, programId) {
+    return this.get(`${this.tenantUrl('users')}/${userId}/programs/${programId}/materials`);
+  }
+
+  async getProgramProgress(programId) {
+    return this.get(`${this.tenantUrl('program-progress')}/program/${programId}`);
+  }
+
+  // Quiz progress (admins see every learner; others only their own scores)
+
+  async getTenantQuizProgress() {
+    return this.get(`${this.tenantUrl('quiz-progress')}/tenant`);
+  }
+
+  async getProgramQuizProgress(programId) {
+    return this.get(`${this.tenantUrl('quiz-progress')}/program/${programId}`);
+  }
+
+  async getLearningPathQuizProgress(learningPathId) {
+    return this.get(`${this.tenantUrl('quiz-progress')}/learning-path/${learningPathId}`);
+  }
+
+  async getMaterialQuizProgress(materialId) {
+    return this.get(`${this.tenantUrl('quiz-progress')}/material/${materialId}`);
+  }
+
+  // AI assistant conversations. Without an aiAssistantId the call goes to the
+  // tenant's default DataLens collection; with one, to that AIAssistantMaterial.
+
+  aiAssistantUrl(aiAssistantId) {
+    const base = this.tenantUrl('ai-assistant');
+    return aiAssistantId === undefined || aiAssistantId === null ? base : `${base}/${aiAssistantId}`;
+  }
+
+  async listAIAssistants() {
+    return this.get(this.aiAssistantUrl());
+  }
+
+  async getAIAssistant(aiAssistantId) {
+    return this.get(this.aiAssistantUrl(aiAssistantId));
+  }
+
+  /**
+   * Ask a question.
+   * request: { query, sessionId? }
+   */
+  async askAIAssistant(request, aiAssistantId) {
+    return this.post(`${this.aiAssistantUrl(aiAssistantId)}/ask`, request);
+  }
+
+  /**
+   * Ask a question as form fields (query, session_id).
+   *
+   * The API consumes application/x-www-form-urlencoded; pass
+   * `{ multipart: true }` to send multipart/form-data instead.
+   */
+  async askAIAssistantForm({ query, sessionId } = {}, aiAssistantId, { multipart = false, ...options } = {}) {
+    return this.post(`${this.aiAssistantUrl(aiAssistantId)}/ask/form`,
+      () => formBody({ query, session_id: sessionId }, multipart), options);
+  }
+
+  /**
+   * Upload a document for DataLens to index. It goes straight to the
+   * collection and is not recorded as an asset of the assistant.
+   */
+  async uploadAIAssistantDocument(buffer, filename, aiAssistantId, options = {}) {
+    return this.uploadBuffer(`${this.aiAssistantUrl(aiAssistantId)}/documents`, buffer, filename, {}, options);
+  }
+
+  /**
+   * List the assistant's assets with their DataLens status
+   */
+  async getAIAssistantDocuments(aiAssistantId) {
+    return this.get(`${this.aiAssistantUrl(aiAssistantId)}/documents`);
+  }
+
+  async getAIAssistantHealth(aiAssistantId) {
+    return this.get(`${this.aiAssistantUrl(aiAssistantId)}/health`);
+  }
+
+  /**
+   * Drop the stored DataLens session; the next ask starts a new one
+   */
+  async invalidateAIAssistantSession(aiAssistantId) {
+    return this.post(`${this.aiAssistantUrl(aiAssistantId)}/session/invalidate`);
+  }
+
+  // Chat, proxied to a chatbot material's endpoint (chatbotConfig). Without a
+  // chatbotId the call goes to the API's default chatbot (ChatbotApi:BaseUrl).
+
+  chatUrl(chatbotId) {
+    const base = this.tenantUrl('chat');
+    return chatbotId === undefined || chatbotId === null ? base : `${base}/${chatbotId}`;
+  }
+
+  async listChatbots() {
+    return this.get(this.chatUrl());
+  }
+
+  async getChatbot(chatbotId) {
+    return this.get(this.chatUrl(chatbotId));
+  }
+
+  /**
+   * Ask a question.
+   * request: { query, sessionId? }
+   */
+  async askChat(request, chatbotId) {
+    return this.post(`${this.chatUrl(chatbotId)}/ask`, request);
+  }
+
+  /**
+   * Ask a question as url-encoded form fields (query, session_id).
+   * Pass `{ multipart: true }` to send multipart/form-data instead.
+   */
+  async askChatForm({ query, sessionId } = {}, chatbotId, { multipart = false, ...options } = {}) {
+    return this.post(`${this.chatUrl(chatbotId)}/ask/form`,
+      () => formBody({ query, session_id: sessionId }, multipart), options);
+  }
+
+  async getChatHealth(chatbotId) {
+    return this.get(`${this.chatUrl(chatbotId)}/health`);
   }
 }
 
@@ -352,7 +1117,22 @@ function logResponse(response, context = '') {
   }
 }
 
-// Export singleton instance and helper
+/**
+ * Create an independent client with its own identity and token.
+ *
+ * Usage:
+ *   const admin = createClient({ user: config.ADMIN_USER, password: config.ADMIN_PASSWORD, label: 'admin' });
+ *   const anonymous = createClient({ label: 'anonymous' }); // never authenticated
+ */
+function createClient(options = {}) {
+  return new ApiClient(options);
+}
+
+ApiClient.prototype.logResponse = logResponse;
+
+// The default export stays a ready-made client for the test user, so existing
+// suites keep working; the factory and class hang off it for new ones.
 const apiClient = new ApiClient();
-apiClient.logResponse = logResponse;
+apiClient.createClient = createClient;
+apiClient.ApiClient = ApiClient;
 module.exports = apiClient;
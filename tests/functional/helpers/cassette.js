@@ -0,0 +1,390 @@
+const fs = require('fs');
+const path = require('path');
+const axios = require('axios');
+const config = require('../config');
+
+/**
+ * Record/replay cassettes for ApiClient traffic.
+ *
+ * RECORD_MODE=record       send requests for real and write every exchange to
+ *                          cassettes/<suite>.json when the suite finishes
+ * RECORD_MODE=replay       serve responses from the suite's cassette; no API,
+ *                          Keycloak or S3 is contacted
+ * RECORD_MODE=passthrough  plain HTTP (default)
+ *
+ * Requests are matched on method, normalized URL and normalized body. The
+ * tenant name, 13-digit timestamps, ISO dates and numeric ids are templated so
+ * a cassette recorded against test-1704729600000 replays for any later run.
+ * Identical requests are replayed in recorded order; the last recording is
+ * reused once they run out (polling loops).
+ *
+ * Each interaction also keeps the timestamps and dates its request carried.
+ * Replay pairs them with the ones this run sent and puts this run's values
+ * (and tenant) back into every later response body of the suite, so a name
+ * generated with Date.now() reads back as sent.
+ */
+
+// Fields generated randomly per run (see test-data.js)
+const VOLATILE_FIELDS = ['unique_id'];
+
+// Form fields that carry credentials; never written to a cassette
+const SECRET_FIELDS = ['password', 'client_secret', 'refresh_token'];
+
+const ID_KEY = /(^id$|Id$|_id$|Ids$|_ids$)/;
+
+// What normalizeString() templates, besides the tenant
+const GENERATED_VALUE = /\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.\d+)?Z?|\d{13}/g;
+
+function normalizeString(value) {
+  const tenant = config.getEffectiveTenant();
+
+  let result = value;
+  if (tenant) {
+    result = result.split(tenant).join('{tenant}');
+  }
+
+  return result
+    .replace(/\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.\d+)?Z?/g, '{date}')
+    .replace(/\d{13}/g, '{timestamp}');
+}
+
+function pathOf(url) {
+  try {
+    const parsed = new URL(url);
+    return parsed.pathname + parsed.search;
+  } catch (error) {
+    // Already relative
+    return url;
+  }
+}
+
+/**
+ * Strip the origin and template tenant, timestamps and numeric path segments
+ */
+function normalizeUrl(url) {
+  return normalizeString(pathOf(url)).replace(/\/\d+(?=\/|\?|$)/g, '/{id}');
+}
+
+function normalizeValue(value, key) {
+  if (Array.isArray(value)) {
+    return value.map(item => normalizeValue(item, key));
+  }
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value)
+      .filter(([field]) => !VOLATILE_FIELDS.includes(field))
+      .sort(([a], [b]) => a.localeCompare(b))
+      .map(([field, item]) => [field, normalizeValue(item, field)]));
+  }
+  if (key && ID_KEY.test(key) && (typeof value === 'number' || /^\d+$/.test(value))) {
+    return '{id}';
+  }
+  if (typeof value === 'string') {
+    return normalizeString(value);
+  }
+  return value;
+}
+
+/**
+ * Sort object keys, leaving values as they are
+ */
+function sortKeys(value) {
+  if (Array.isArray(value)) {
+    return value.map(sortKeys);
+  }
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value)
+      .sort(([a], [b]) => a.localeCompare(b))
+      .map(([field, item]) => [field, sortKeys(item)]));
+  }
+  return value;
+}
+
+/**
+ * Normalize a request body as it reaches the adapter (already serialized).
+ * `normalize` is applied to the parsed body.
+ */
+function normalizeBody(request, normalize = normalizeValue) {
+  const data = request.data;
+  if (data === undefined || data === null || data === '') {
+    return null;
+  }
+
+  if (request.multipartSummary) {
+    return normalize({ multipart: request.multipartSummary });
+  }
+
+  if (typeof data === 'string') {
+    try {
+      return normalize(JSON.parse(data));
+    } catch (error) {
+      const params = new URLSearchParams(data);
+      const fields = {};
+      for (const [name, value] of params) {
+        fields[name] = SECRET_FIELDS.includes(name) ? '{secret}' : value;
+      }
+      return normalize(fields);
+    }
+  }
+
+  if (Buffer.isBuffer(data)) {
+    return `{binary:${data.length}}`;
+  }
+
+  return normalize(data);
+}
+
+/**
+ * Timestamps and dates in a request's URL and body, in a stable order (body
+ * keys sorted, tenant name left out): the values normalization templates
+ */
+function generatedValues(request) {
+  const tenant = config.getEffectiveTenant();
+  const text = JSON.stringify([pathOf(axios.getUri(request)), normalizeBody(request, sortKeys)]);
+  return (tenant ? text.split(tenant).join('') : text).match(GENERATED_VALUE) || [];
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Replace recorded values with this run's, longest first so a tenant name
+ * wins over the timestamp inside it
+ */
+function restoreValues(text, values) {
+  if (values.size === 0) {
+    return text;
+  }
+  const pattern = new RegExp([...values.keys()].sort((a, b) => b.length - a.length).map(escapeRegExp).join('|'), 'g');
+  return text.replace(pattern, match => values.get(match));
+}
+
+function interactionKey(request) {
+  return JSON.stringify([request.method, request.url, request.body]);
+}
+
+/**
+ * The suite a request belongs to, from Jest's current test path.
+ * Requests made outside a suite (global setup/teardown) are not taped.
+ */
+function currentSuite() {
+  if (typeof expect === 'undefined') {
+    return null;
+  }
+  const testPath = expect.getState().testPath;
+  return testPath ? path.basename(testPath).replace(/\.test\.js$/, '') : null;
+}
+
+function cassetteFile(suite) {
+  return path.join(config.CASSETTE_DIR, `${suite}.json`);
+}
+
+// Module state is per test file: Jest gives each suite its own registry
+const replayQueues = new Map();
+// Per suite: recorded tenant, timestamp or date -> this run's
+const replayValues = new Map();
+
+function describeRequest(request) {
+  return {
+    method: (request.method || 'get').toUpperCase(),
+    url: normalizeUrl(axios.getUri(request)),
+    body: normalizeBody(request)
+  };
+}
+
+/**
+ * Keep token claims readable (02-auth inspects them) but drop the signature
+ * and any refresh/id tokens, so cassettes hold nothing that authenticates.
+ */
+function redactTokens(data) {
+  if (typeof data !== 'string' || !data.includes('access_token')) {
+    return data;
+  }
+
+  try {
+    const body = JSON.parse(data);
+    if (typeof body.access_token === 'string') {
+      const [header, payload] = body.access_token.split('.');
+      body.access_token = `${header}.${payload}.redacted`;
+    }
+    for (const field of ['refresh_token', 'id_token']) {
+      if (body[field]) {
+        body[field] = 'redacted';
+      }
+    }
+    return JSON.stringify(body);
+  } catch (error) {
+    return data;
+  }
+}
+
+function serializeResponse(response) {
+  const headers = typeof response.headers?.toJSON === 'function'
+    ? response.headers.toJSON()
+    : { ...response.headers };
+  delete headers['set-cookie'];
+
+  const data = redactTokens(response.data);
+  const binary = Buffer.isBuffer(data);
+
+  return {
+    status: response.status,
+    statusText: response.statusText,
+    headers,
+    encoding: binary ? 'base64' : undefined,
+    data: binary ? data.toString('base64') : data
+  };
+}
+
+/**
+ * Add an exchange to the suite's cassette; har-environment.js writes it to
+ * cassettes/<suite>.json once, when the suite finishes
+ */
+function saveInteraction(interaction) {
+  const cassette = global.__CASSETTE__;
+  if (!cassette) {
+    return;
+  }
+  cassette.tenant = config.getEffectiveTenant();
+  cassette.interactions.push(interaction);
+}
+
+function loadQueues(suite) {
+  if (replayQueues.has(suite)) {
+    return replayQueues.get(suite);
+  }
+
+  const file = cassetteFile(suite);
+  if (!fs.existsSync(file)) {
+    throw new Error(`No cassette for suite "${suite}" at ${file}. Record one with RECORD_MODE=record.`);
+  }
+
+  const cassette = JSON.parse(fs.readFileSync(file, 'utf8'));
+  const tenant = config.getEffectiveTenant();
+  replayValues.set(suite, new Map(cassette.tenant && tenant && cassette.tenant !== tenant ? [[cassette.tenant, tenant]] : []));
+
+  const queues = new Map();
+  for (const interaction of cassette.interactions) {
+    const key = interactionKey(interaction.request);
+    if (!queues.has(key)) {
+      queues.set(key, { items: [], next: 0 });
+    }
+    queues.get(key).items.push(interaction);
+  }
+
+  replayQueues.set(suite, queues);
+  return queues;
+}
+
+function replayInteraction(suite, description) {
+  const queue = loadQueues(suite).get(interactionKey(description));
+  if (!queue) {
+    throw new Error(
+      `No recorded interaction in cassette "${suite}" for ${description.method} ${description.url}` +
+      (description.body ? ` with body ${JSON.stringify(description.body)}` : '')
+    );
+  }
+
+  const interaction = queue.items[Math.min(queue.next, queue.items.length - 1)];
+  queue.next++;
+  return interaction;
+}
+
+/**
+ * Pair the values a recorded request carried with the ones this run sent
+ */
+function learnValues(suite, recordedValues = [], currentValues = []) {
+  const values = replayValues.get(suite);
+  recordedValues.forEach((value, index) => {
+    if (currentValues[index] !== undefined && currentValues[index] !== value) {
+      values.set(value, currentValues[index]);
+    }
+  });
+}
+
+function toAxiosResponse(recordedResponse, request, values) {
+  const data = recordedResponse.encoding === 'base64'
+    ? Buffer.from(recordedResponse.data, 'base64')
+    : typeof recordedResponse.data === 'string' ? restoreValues(recordedResponse.data, values) : recordedResponse.data;
+
+  return {
+    data,
+    status: recordedResponse.status,
+    statusText: recordedResponse.statusText,
+    headers: axios.AxiosHeaders.from(recordedResponse.headers),
+    config: request,
+    request: {}
+  };
+}
+
+/**
+ * Build the axios adapter for the configured RECORD_MODE, or null for
+ * passthrough.
+ */
+function createCassetteAdapter() {
+  if (config.RECORD_MODE === 'passthrough') {
+    return null;
+  }
+
+  if (!['record', 'replay'].includes(config.RECORD_MODE)) {
+    throw new Error(`Unknown RECORD_MODE "${config.RECORD_MODE}" (expected record, replay or passthrough)`);
+  }
+
+  const httpAdapter = axios.getAdapter(axios.defaults.adapter);
+
+  if (config.RECORD_MODE === 'record') {
+    return async request => {
+      const suite = currentSuite();
+      if (!suite) {
+        return httpAdapter(request);
+      }
+
+      const description = describeRequest(request);
+      const values = generatedValues(request);
+      try {
+        const response = await httpAdapter(request);
+        saveInteraction({ request: description, values, response: serializeResponse(response) });
+        return response;
+      } catch (error) {
+        if (error.response) {
+          saveInteraction({ request: description, values, response: serializeResponse(error.response) });
+        } else {
+          saveInteraction({ request: description, values, error: { code: error.code, message: error.message } });
+        }
+        throw error;
+      }
+    };
+  }
+
+  return async request => {
+    const suite = currentSuite();
+    if (!suite) {
+      throw new Error(`RECORD_MODE=replay: no suite for ${request.method} ${request.url}`);
+    }
+
+    const interaction = replayInteraction(suite, describeRequest(request));
+    learnValues(suite, interaction.values, generatedValues(request));
+
+    if (interaction.error) {
+      throw new axios.AxiosError(interaction.error.message, interaction.error.code, request);
+    }
+
+    const response = toAxiosResponse(interaction.response, request, replayValues.get(suite));
+    if (request.validateStatus && !request.validateStatus(response.status)) {
+      throw new axios.AxiosError(
+        `Request failed with status code ${response.status}`,
+        axios.AxiosError.ERR_BAD_RESPONSE,
+        request,
+        null,
+        response
+      );
+    }
+    return response;
+  };
+}
+
+module.exports = {
+  createCassetteAdapter,
+  normalizeUrl,
+  normalizeBody
+};
@@ -0,0 +1,152 @@
+const crypto = require('crypto');
+const config = require('../config');
+const { createStubServer, StubControl, send } = require('./stub-server');
+
+/**
+ * Local stand-in for the chatbot endpoints ChatService proxies to.
+ *
+ * setup.js starts it when CHATBOT_STUB=true. Each chatbot material's
+ * chatbotConfig points at a bot under /bots/{bot}; ChatService calls:
+ *
+ *   GET  /bots/{bot}        health (any 2xx means available)
+ *   POST /bots/{bot}/ask    url-encoded query and session_id
+ *
+ * Answers are shaped like ChatAskResponse, which the API deserializes and
+ * returns as-is. A new session id is issued when session_id is empty.
+ *
+ * Tests script it over HTTP through ChatbotStubControl. Each operation can
+ * succeed, fail with a status, hang, drop the connection or be delayed.
+ * Routes under /__stub are the control API (stub-server.js), not part of any
+ * chatbot.
+ */
+
+const OPERATIONS = ['health', 'ask'];
+
+const ROUTES = [
+  ['GET', /^\/bots\/([^/]+)\/?$/, 'health'],
+  ['POST', /^\/bots\/([^/]+)\/ask$/, 'ask']
+];
+
+function matchRoute(method, pathname) {
+  for (const [routeMethod, pattern, operation] of ROUTES) {
+    const match = method === routeMethod && pattern.exec(pathname);
+    if (match) {
+      return { operation, bot: decodeURIComponent(match[1]) };
+    }
+  }
+  return null;
+}
+
+function createState() {
+  return {
+    sessions: new Set(),
+    requests: []
+  };
+}
+
+/**
+ * Create the stub server (not yet listening)
+ */
+function createChatbotStub() {
+  let state = createState();
+
+  const handlers = {
+    health: ({ bot }) => [200, { status: 'ok', bot }],
+
+    ask: ({ bot }, { form }) => {
+      const query = form.query || '';
+      const sessionId = form.session_id || crypto.randomUUID();
+      state.sessions.add(sessionId);
+      const text = `Stub reply from ${bot} to: ${query}`;
+      return [200, {
+        sessionId,
+        query,
+        response: {
+          speech: { text, link: null },
+          markdown: text,
+          images: []
+        },
+        reasoning: null,
+        sources: []
+      }];
+    }
+  };
+
+  async function handle(req, res, { url, body, scripted }) {
+    const route = matchRoute(req.method, url.pathname);
+    if (!route) {
+      return send(res, 404, { detail: `No chatbot route for ${req.method} ${url.pathname}` });
+    }
+
+    // ChatService posts application/x-www-form-urlencoded
+    const form = Object.fromEntries(new URLSearchParams(body.toString('utf8')));
+
+    state.requests.push({
+      operation: route.operation,
+      bot: route.bot,
+      method: req.method,
+      path: url.pathname,
+      contentType: req.headers['content-type'] || null,
+      form,
+      at: new Date().toISOString()
+    });
+
+    const { answered, behavior } = await scripted(route.operation);
+    if (answered) {
+      return undefined;
+    }
+
+    const [status, responseBody] = handlers[route.operation](route, { form });
+    return send(res, status, behavior?.body ? { ...responseBody, ...behavior.body } : responseBody);
+  }
+
+  return createStubServer({
+    handle,
+    operations: OPERATIONS,
+    failureDetail: 'Scripted chatbot failure',
+    requests: () => state.requests,
+    state: () => ({ sessions: [...state.sessions] }),
+    reset: () => {
+      state = createState();
+    },
+    port: config.CHATBOT_STUB_PORT,
+    host: config.CHATBOT_STUB_HOST
+  });
+}
+
+/**
+ * Start the stub on CHATBOT_STUB_HOST:CHATBOT_STUB_PORT (used by setup.js)
+ */
+async function startChatbotStub(options = {}) {
+  const stub = createChatbotStub();
+  await stub.listen(options.port, options.host);
+  return stub;
+}
+
+/**
+ * Endpoint of a stub bot as the API reaches it, for a material's chatbotConfig
+ */
+function chatbotStubEndpoint(bot = 'default') {
+  return `${config.CHATBOT_STUB_API_URL}/bots/${encodeURIComponent(bot)}`;
+}
+
+/**
+ * Scripts a running stub from a test file; behaviors are described in stub-server.js
+ */
+class ChatbotStubControl extends StubControl {
+  constructor(baseUrl = config.CHATBOT_STUB_URL) {
+    super(baseUrl, { name: 'chatbot', operations: OPERATIONS });
+  }
+
+  endpoint(bot) {
+    return chatbotStubEndpoint(bot);
+  }
+}
+
+module.exports = {
+  createChatbotStub,
+  startChatbotStub,
+  chatbotStubEndpoint,
+  ChatbotStubControl,
+  OPERATIONS
+};
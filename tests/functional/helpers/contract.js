@@ -0,0 +1,372 @@
+const fs = require('fs');
+const config = require('../config');
+
+/**
+ * OpenAPI contract checks for ApiClient responses.
+ *
+ * setup.js saves the Swagger document once per run (OPENAPI_SPEC_FILE).
+ * ApiClient hands every response to checkResponse(), which finds the
+ * operation for its method and path, and validates the body against the
+ * schema declared for its status code. Violations go to the collector that
+ * har-environment.js installs as global.__CONTRACT__; the environment writes
+ * them to reports/contract/<suite>.json and, with CONTRACT_MODE=strict,
+ * fails the test that received the response.
+ *
+ * Only the OpenAPI 3.0 subset Swashbuckle emits is understood: $ref into
+ * components, type/format, nullable, enum, properties, required,
+ * additionalProperties, items and allOf/oneOf/anyOf.
+ */
+
+// Keep the report readable when a list response is wrong in every item
+const MAX_ERRORS_PER_RESPONSE = 20;
+
+const JSON_CONTENT_TYPES = ['application/json', 'text/json', 'application/problem+json', 'text/plain'];
+
+let cached;
+
+/**
+ * Spec and compiled path templates, read from OPENAPI_SPEC_FILE once per
+ * test file. Null when there is no spec (setup could not fetch it).
+ */
+function loadContract() {
+  if (cached !== undefined) {
+    return cached;
+  }
+
+  cached = null;
+  try {
+    const spec = JSON.parse(fs.readFileSync(config.OPENAPI_SPEC_FILE, 'utf8'));
+    cached = { spec, operations: compileOperations(spec) };
+  } catch (error) {
+    if (config.DEBUG && error.code !== 'ENOENT') {
+      console.log(`[CONTRACT] Could not read ${config.OPENAPI_SPEC_FILE}: ${error.message}`);
+    }
+  }
+  return cached;
+}
+
+/**
+ * One matcher per (method, path template), most literal segments first, so
+ * /materials/videos wins over /materials/{id}
+ */
+function compileOperations(spec) {
+  const operations = [];
+
+  for (const [template, pathItem] of Object.entries(spec.paths || {})) {
+    const segments = template.split('/').filter(Boolean);
+    const pattern = new RegExp(`^/${segments
+      .map(segment => (/^\{.+\}$/.test(segment) ? '[^/]+' : escapeRegExp(segment)))
+      .join('/')}/?$`, 'i');
+    const literals = segments.filter(segment => !segment.startsWith('{')).length;
+
+    for (const [method, operation] of Object.entries(pathItem)) {
+      if (typeof operation === 'object' && operation.responses) {
+        operations.push({ method: method.toUpperCase(), template, pattern, literals, operation });
+      }
+    }
+  }
+
+  return operations.sort((a, b) => b.literals - a.literals);
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Operation for a request, or null when the spec has no such path/method
+ */
+function findOperation(contract, method, url) {
+  let pathname;
+  try {
+    pathname = new URL(url, config.API_BASE_URL).pathname;
+  } catch (error) {
+    return null;
+  }
+
+  const basePath = new URL(config.API_BASE_URL).pathname.replace(/\/+$/, '');
+  if (basePath && pathname.startsWith(basePath)) {
+    pathname = pathname.substring(basePath.length) || '/';
+  }
+
+  return contract.operations.find(entry =>
+    entry.method === method.toUpperCase() && entry.pattern.test(pathname)
+  ) || null;
+}
+
+/**
+ * Declared response for a status: exact code, then 2XX-style ranges, then default
+ */
+function declaredResponse(operation, status) {
+  const responses = operation.responses || {};
+  return responses[String(status)] || responses[`${String(status)[0]}XX`] || responses.default || null;
+}
+
+function responseSchema(declared) {
+  const content = declared.content || {};
+  const type = JSON_CONTENT_TYPES.find(name => content[name]?.schema)
+    || Object.keys(content).find(name => /json/.test(name) && content[name].schema);
+  return type ? content[type].schema : null;
+}
+
+function resolveRef(spec, ref) {
+  if (!ref.startsWith('#/')) {
+    return null;
+  }
+  return ref.substring(2).split('/').reduce(
+    (node, key) => node?.[key.replace(/~1/g, '/').replace(/~0/g, '~')],
+    spec
+  ) || null;
+}
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  return typeof value;
+}
+
+function describeValue(value) {
+  const text = JSON.stringify(value);
+  return text && text.length > 40 ? `${text.substring(0, 37)}...` : text;
+}
+
+function matchesType(type, value) {
+  switch (type) {
+    case 'object':
+      return typeOf(value) === 'object';
+    case 'array':
+      return Array.isArray(value);
+    case 'string':
+      return typeof value === 'string';
+    case 'boolean':
+      return typeof value === 'boolean';
+    case 'number':
+      return typeof value === 'number' && Number.isFinite(value);
+    case 'integer':
+      return Number.isInteger(value)
+        || (config.CONTRACT_INTEGER_STRINGS && typeof value === 'string' && /^-?\d+$/.test(value));
+    default:
+      return true;
+  }
+}
+
+function matchesFormat(format, value) {
+  if (typeof value !== 'string') {
+    return true;
+  }
+  switch (format) {
+    case 'date-time':
+      return !Number.isNaN(Date.parse(value));
+    case 'uuid':
+      return /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(value);
+    default:
+      return true;
+  }
+}
+
+/**
+ * Validate a value against a schema. Returns [{ location, message }];
+ * array indices are written as [] so one wrong field in a list reads once.
+ */
+function validate(spec, schema, value, location = '$', seen = []) {
+  if (!schema) {
+    return [];
+  }
+
+  if (schema.$ref) {
+    // OpenAPI 3.0 cannot mark a $ref nullable, so Swashbuckle never does
+    if (value === null || seen.length > 64) {
+      return [];
+    }
+    const target = resolveRef(spec, schema.$ref);
+    if (!target) {
+      return [{ location, message: `unresolvable $ref ${schema.$ref}` }];
+    }
+    return validate(spec, target, value, location, [...seen, schema.$ref]);
+  }
+
+  if (value === null) {
+    return schema.nullable || (!schema.type && !schema.allOf && !schema.properties)
+      ? []
+      : [{ location, message: 'is null, but not nullable' }];
+  }
+
+  const errors = [];
+
+  if (schema.allOf) {
+    for (const part of schema.allOf) {
+      errors.push(...validate(spec, part, value, location, seen));
+    }
+  }
+
+  for (const keyword of ['oneOf', 'anyOf']) {
+    if (schema[keyword]) {
+      const passing = schema[keyword].filter(part => validate(spec, part, value, location, seen).length === 0).length;
+      if (keyword === 'oneOf' ? passing !== 1 : passing === 0) {
+        errors.push({ location, message: `matches ${passing} of the ${keyword} schemas` });
+      }
+    }
+  }
+
+  const type = schema.type || (schema.properties || schema.additionalProperties !== undefined ? 'object' : null);
+  if (type && !matchesType(type, value)) {
+    errors.push({ location, message: `expected ${type}${schema.format ? ` (${schema.format})` : ''}, got ${typeOf(value)} ${describeValue(value)}` });
+    return errors;
+  }
+
+  if (schema.enum && !schema.enum.some(option => option === value || String(option) === String(value))) {
+    errors.push({ location, message: `${describeValue(value)} is not one of ${schema.enum.join(', ')}` });
+  }
+
+  if (schema.format && !matchesFormat(schema.format, value)) {
+    errors.push({ location, message: `${describeValue(value)} is not a valid ${schema.format}` });
+  }
+
+  if (type === 'array' && schema.items) {
+    const itemErrors = new Map();
+    for (const item of value) {
+      for (const error of validate(spec, schema.items, item, `${location}[]`, seen)) {
+        itemErrors.set(`${error.location} ${error.message}`, error);
+      }
+    }
+    errors.push(...itemErrors.values());
+  }
+
+  if (type === 'object') {
+    const properties = schema.properties || {};
+
+    for (const name of schema.required || []) {
+      if (!(name in value)) {
+        errors.push({ location: `${location}.${name}`, message: 'is required, but missing' });
+      }
+    }
+
+    for (const [name, item] of Object.entries(value)) {
+      if (properties[name]) {
+        errors.push(...validate(spec, properties[name], item, `${location}.${name}`, seen));
+      } else if (schema.additionalProperties === false) {
+        errors.push({ location: `${location}.${name}`, message: 'is not declared' });
+      } else if (typeof schema.additionalProperties === 'object') {
+        errors.push(...validate(spec, schema.additionalProperties, item, `${location}.${name}`, seen));
+      }
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Violations of one response against the contract:
+ *   undocumented-operation  no path/method in the spec matches the request
+ *   undocumented-status     a 2xx status the operation does not declare
+ *   schema                  the body does not match the declared schema
+ * Non-2xx statuses without a declaration (problem responses) are not checked.
+ */
+function contractViolations(contract, method, url, status, body) {
+  const match = findOperation(contract, method, url);
+  if (!match) {
+    return { operation: null, violations: [{ kind: 'undocumented-operation', location: '', message: 'no operation in the spec for this method and path' }] };
+  }
+
+  const operation = `${match.method} ${match.template}`;
+  const declared = declaredResponse(match.operation, status);
+  if (!declared) {
+    return {
+      operation,
+      violations: status >= 200 && status < 300
+        ? [{ kind: 'undocumented-status', location: '', message: `status not declared (the spec declares ${Object.keys(match.operation.responses).join(', ')})` }]
+        : []
+    };
+  }
+
+  const schema = responseSchema(declared);
+  if (!schema || body === undefined || body === '') {
+    return { operation, violations: [] };
+  }
+
+  return {
+    operation,
+    violations: validate(contract.spec, schema, body)
+      .slice(0, MAX_ERRORS_PER_RESPONSE)
+      .map(error => ({ kind: 'schema', ...error }))
+  };
+}
+
+function isApiUrl(url) {
+  return Boolean(url)
+    && url.startsWith(config.API_BASE_URL)
+    && !url.startsWith(`${config.API_BASE_URL}/swagger`);
+}
+
+/**
+ * Operation a request matched, e.g. "GET /api/{tenantName}/materials"; null
+ * without a spec, for other hosts, or when the spec has no such operation
+ */
+function operationFor(request) {
+  if (!isApiUrl(request?.url)) {
+    return null;
+  }
+
+  const contract = loadContract();
+  const match = contract && findOperation(contract, request.method, request.url);
+  return match ? `${match.method} ${match.template}` : null;
+}
+
+/**
+ * Check an API response and hand its violations to the current suite's
+ * collector. Responses from Keycloak, the stubs and Swagger itself are not
+ * API operations.
+ */
+function checkResponse(response) {
+  const collector = global.__CONTRACT__;
+  const request = response?.config;
+  if (!collector || config.CONTRACT_MODE === 'off' || !isApiUrl(request?.url)) {
+    return;
+  }
+
+  const contract = loadContract();
+  if (!contract) {
+    return;
+  }
+
+  try {
+    const { operation, violations } = contractViolations(
+      contract, request.method, request.url, response.status, response.data
+    );
+    for (const violation of violations) {
+      collector.violations.push({
+        test: collector.test,
+        method: request.method.toUpperCase(),
+        url: request.url,
+        operation,
+        status: response.status,
+        ...violation
+      });
+    }
+  } catch (err) {
+    // A contract check must never fail a request
+    if (config.DEBUG) {
+      console.log(`[CONTRACT] Could not check ${request.url}: ${err.message}`);
+    }
+  }
+}
+
+/**
+ * One line per violation, e.g. "GET /api/{tenantName}/materials 200 $[].id: expected integer, got ..."
+ */
+function formatViolation(violation) {
+  const where = violation.operation || `${violation.method} ${violation.url}`;
+  const location = violation.location ? ` ${violation.location}:` : ':';
+  return `${where} ${violation.status}${location} ${violation.message}`;
+}
+
+module.exports = {
+  checkResponse,
+  contractViolations,
+  findOperation,
+  formatViolation,
+  isApiUrl,
+  loadContract,
+  operationFor,
+  validate
+};
@@ -0,0 +1,107 @@
+const { isApiUrl, loadContract } = require('./contract');
+
+/**
+ * Endpoint coverage against the OpenAPI operation list.
+ *
+ * ApiClient tags every response with the operation it matched
+ * (response.operation, see contract.operationFor) and hands it to
+ * recordCoverage(), which counts it in the collector har-environment.js
+ * installs as global.__COVERAGE__. The environment writes one
+ * reports/coverage/<suite>.json per suite; teardown merges them with the
+ * spec's operations into reports/coverage.json.
+ */
+
+/**
+ * Count a response against its operation and status code. API calls that
+ * match no operation are counted by path, with numeric ids folded to {id}.
+ */
+function recordCoverage(response) {
+  const collector = global.__COVERAGE__;
+  const request = response?.config;
+  if (!collector || !isApiUrl(request?.url) || !loadContract()) {
+    return;
+  }
+
+  let bucket = collector.operations;
+  let key = response.operation;
+  if (!key) {
+    const { pathname } = new URL(request.url);
+    bucket = collector.undocumented;
+    key = `${request.method.toUpperCase()} ${pathname.replace(/\/\d+(?=\/|$)/g, '/{id}')}`;
+  }
+
+  const entry = bucket[key] || (bucket[key] = { calls: 0, statuses: {} });
+  entry.calls++;
+  entry.statuses[response.status] = (entry.statuses[response.status] || 0) + 1;
+}
+
+function mergeCounts(target, counts) {
+  target.calls += counts.calls;
+  for (const [status, calls] of Object.entries(counts.statuses)) {
+    target.statuses[status] = (target.statuses[status] || 0) + calls;
+  }
+}
+
+/**
+ * Merge per-suite counts into one report over every operation in the spec
+ *
+ * @param {Object} contract - Result of loadContract()
+ * @param {Array<Object>} suites - Contents of reports/coverage/<suite>.json
+ */
+function buildCoverageReport(contract, suites) {
+  const operations = contract.operations
+    .map(({ method, template, operation }) => {
+      const name = `${method} ${template}`;
+      const entry = {
+        operation: name,
+        tag: operation.tags?.[0] || '',
+        hit: false,
+        calls: 0,
+        statuses: {},
+        declaredStatuses: Object.keys(operation.responses),
+        suites: []
+      };
+
+      for (const suite of suites) {
+        if (suite.operations[name]) {
+          mergeCounts(entry, suite.operations[name]);
+          entry.suites.push(suite.suite);
+        }
+      }
+      entry.hit = entry.calls > 0;
+      return entry;
+    })
+    .sort((a, b) => a.tag.localeCompare(b.tag) || a.operation.localeCompare(b.operation));
+
+  const undocumented = {};
+  for (const suite of suites) {
+    for (const [name, counts] of Object.entries(suite.undocumented)) {
+      mergeCounts(undocumented[name] || (undocumented[name] = { calls: 0, statuses: {} }), counts);
+    }
+  }
+
+  const byTag = new Map();
+  for (const entry of operations) {
+    const tag = byTag.get(entry.tag) || { tag: entry.tag, total: 0, hit: 0 };
+    tag.total++;
+    tag.hit += entry.hit ? 1 : 0;
+    byTag.set(entry.tag, tag);
+  }
+
+  const hit = operations.filter(entry => entry.hit).length;
+
+  return {
+    total: operations.length,
+    hit,
+    percent: operations.length ? Math.round((hit / operations.length) * 1000) / 10 : 0,
+    suites: suites.map(suite => suite.suite),
+    byTag: [...byTag.values()],
+    operations,
+    undocumented
+  };
+}
+
+module.exports = {
+  buildCoverageReport,
+  recordCoverage
+};
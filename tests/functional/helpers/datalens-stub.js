@@ -0,0 +1,314 @@
+const crypto = require('crypto');
+const config = require('../config');
+const { createStubServer, StubControl, parseJson, send } = require('./stub-server');
+
+/**
+ * Local stand-in for the DataLens v1 API (the API's ChatbotApi:BaseUrl).
+ *
+ * setup.js starts it when DATALENS_STUB=true; run the sandbox API with
+ * ChatbotApi__BaseUrl pointing at it. It implements the calls made by
+ * ChatbotApiService and AIAssistantService:
+ *
+ *   GET  /health
+ *   GET  /api/v1/collections/{collection}                       404 until created
+ *   POST /api/v1/collections                                    { name }
+ *   GET  /api/v1/collections/{collection}/documents/{document}  404 until uploaded
+ *   POST /api/v1/collections/{collection}/documents             multipart "file"
+ *   PUT  /api/v1/collections/{collection}/documents/{document}  multipart "file"
+ *   GET  /api/v1/collections/{collection}/jobs/{jobId}
+ *   POST /api/v1/collections/{collection}/inferences?query=&session_id=&source_files=
+ *
+ * GET /files/{name} serves a small text document, so assets created by
+ * reference to it give the API something to download and submit.
+ *
+ * Tests script it over HTTP through DataLensStubControl. Each operation can
+ * succeed, fail with a status, hang or be delayed; each job reports the next
+ * of its scripted statuses on every poll (processing, then completed, by
+ * default). Routes under /__stub are the control API (stub-server.js) plus
+ * PUT /__stub/jobs[/{jobId}], not part of DataLens.
+ */
+
+const OPERATIONS = [
+  'health',
+  'getCollection',
+  'createCollection',
+  'getDocument',
+  'uploadDocument',
+  'updateDocument',
+  'jobStatus',
+  'inference'
+];
+
+const DEFAULT_JOB_STATUSES = ['processing', 'completed'];
+
+const ROUTES = [
+  ['GET', /^\/health$/, 'health', []],
+  ['GET', /^\/api\/v1\/collections\/([^/]+)$/, 'getCollection', ['collection']],
+  ['POST', /^\/api\/v1\/collections$/, 'createCollection', []],
+  ['GET', /^\/api\/v1\/collections\/([^/]+)\/documents\/([^/]+)$/, 'getDocument', ['collection', 'document']],
+  ['POST', /^\/api\/v1\/collections\/([^/]+)\/documents$/, 'uploadDocument', ['collection']],
+  ['PUT', /^\/api\/v1\/collections\/([^/]+)\/documents\/([^/]+)$/, 'updateDocument', ['collection', 'document']],
+  ['GET', /^\/api\/v1\/collections\/([^/]+)\/jobs\/([^/]+)$/, 'jobStatus', ['collection', 'jobId']],
+  ['POST', /^\/api\/v1\/collections\/([^/]+)\/inferences$/, 'inference', ['collection']]
+];
+
+function matchRoute(method, pathname) {
+  for (const [routeMethod, pattern, operation, names] of ROUTES) {
+    const match = method === routeMethod && pattern.exec(pathname);
+    if (match) {
+      const params = Object.fromEntries(names.map((name, index) => [name, decodeURIComponent(match[index + 1])]));
+      return { operation, params };
+    }
+  }
+  return null;
+}
+
+function createState() {
+  return {
+    jobStatuses: DEFAULT_JOB_STATUSES,
+    jobError: null,
+    collections: new Set(),
+    documents: new Map(), // `${collection}/${document}` -> { collection, document, size, jobId }
+    jobs: new Map(), // jobId -> { jobId, collection, document, statuses, error, polls, createdAt }
+    sessions: new Set(),
+    requests: []
+  };
+}
+
+/**
+ * Filename of the "file" part of a multipart body (enough for what the API sends)
+ */
+function multipartFilename(buffer) {
+  const match = /filename\*?=(?:UTF-8'')?"?([^";\r\n]+)"?/i.exec(buffer.toString('latin1'));
+  return match ? decodeURIComponent(match[1]) : null;
+}
+
+/**
+ * Create the stub server (not yet listening)
+ */
+function createDataLensStub() {
+  let state = createState();
+
+  function createJob(collection, document) {
+    const jobId = crypto.randomUUID();
+    state.jobs.set(jobId, {
+      jobId,
+      collection,
+      document,
+      statuses: [...state.jobStatuses],
+      error: state.jobError,
+      polls: 0,
+      createdAt: new Date().toISOString()
+    });
+    return jobId;
+  }
+
+  function storeDocument(collection, document, size) {
+    const jobId = createJob(collection, document);
+    state.documents.set(`${collection}/${document}`, { collection, document, size, jobId });
+    return {
+      job_id: jobId,
+      status: 'pending',
+      document,
+      collection_name: collection,
+      created_at: new Date().toISOString(),
+      queue_position: 1
+    };
+  }
+
+  // Default DataLens behaviour per operation
+  const handlers = {
+    health: () => [200, { status: 'ok' }],
+
+    getCollection: ({ collection }) => state.collections.has(collection)
+      ? [200, { name: collection, documents: [...state.documents.values()].filter(d => d.collection === collection).length }]
+      : [404, { detail: `Collection ${collection} not found` }],
+
+    createCollection: (params, { json }) => {
+      if (!json.name) {
+        return [422, { detail: 'name is required' }];
+      }
+      state.collections.add(json.name);
+      return [201, { name: json.name }];
+    },
+
+    getDocument: ({ collection, document }) => state.documents.has(`${collection}/${document}`)
+      ? [200, state.documents.get(`${collection}/${document}`)]
+      : [404, { detail: `Document ${document} not found` }],
+
+    uploadDocument: ({ collection }, { body, filename }) => {
+      if (!state.collections.has(collection)) {
+        return [404, { detail: `Collection ${collection} not found` }];
+      }
+      if (!filename) {
+        return [422, { detail: 'file is required' }];
+      }
+      return [200, storeDocument(collection, filename, body.length)];
+    },
+
+    updateDocument: ({ collection, document }, { body }) => {
+      if (!state.documents.has(`${collection}/${document}`)) {
+        return [404, { detail: `Document ${document} not found` }];
+      }
+      return [200, storeDocument(collection, document, body.length)];
+    },
+
+    jobStatus: ({ collection, jobId }) => {
+      const job = state.jobs.get(jobId);
+      if (!job || job.collection !== collection) {
+        return [404, { detail: `Job ${jobId} not found` }];
+      }
+      const status = job.statuses[Math.min(job.polls, job.statuses.length - 1)];
+      job.polls++;
+      return [200, {
+        job_id: job.jobId,
+        status,
+        document: job.document,
+        collection_name: job.collection,
+        created_at: job.createdAt,
+        completed_at: status === 'completed' || status === 'failed' ? new Date().toISOString() : null,
+        error: status === 'failed' ? (job.error || 'Processing failed') : null,
+        queue_position: status === 'pending' ? 1 : null,
+        total_in_queue: status === 'pending' ? 1 : null
+      }];
+    },
+
+    inference: ({ collection }, { query }) => {
+      const sessionId = query.get('session_id') || crypto.randomUUID();
+      state.sessions.add(sessionId);
+      const sourceFiles = query.get('source_files');
+      const text = `Stub answer to: ${query.get('query') || ''}`;
+      return [200, {
+        session_id: sessionId,
+        query: query.get('query'),
+        collection_name: collection,
+        response: {
+          speech: { text, link: null },
+          markdown: text,
+          images: []
+        },
+        reasoning: null,
+        sources: sourceFiles ? sourceFiles.split(',') : []
+      }];
+    }
+  };
+
+  // Job scripts, on top of the shared control routes
+  function control(req, res, { resource, id, json }) {
+    if (req.method === 'PUT' && resource === 'jobs' && !id) {
+      state.jobStatuses = json.statuses?.length ? json.statuses : DEFAULT_JOB_STATUSES;
+      state.jobError = json.error || null;
+      return send(res, 200, { statuses: state.jobStatuses, error: state.jobError });
+    }
+    if (req.method === 'PUT' && resource === 'jobs' && state.jobs.has(id)) {
+      const job = state.jobs.get(id);
+      job.statuses = json.statuses?.length ? json.statuses : job.statuses;
+      job.error = json.error ?? job.error;
+      job.polls = 0;
+      return send(res, 200, job);
+    }
+    return false;
+  }
+
+  async function handle(req, res, { url, body, scripted }) {
+    if (req.method === 'GET' && url.pathname.startsWith('/files/')) {
+      const name = decodeURIComponent(url.pathname.slice('/files/'.length));
+      return send(res, 200, `DataLens stub document ${name}\n`);
+    }
+
+    const route = matchRoute(req.method, url.pathname);
+    if (!route) {
+      return send(res, 404, { detail: `No DataLens route for ${req.method} ${url.pathname}` });
+    }
+
+    const filename = route.operation === 'uploadDocument' || route.operation === 'updateDocument'
+      ? multipartFilename(body)
+      : null;
+
+    state.requests.push({
+      operation: route.operation,
+      method: req.method,
+      path: url.pathname,
+      params: route.params,
+      query: Object.fromEntries(url.searchParams),
+      filename,
+      authorization: req.headers.authorization || null,
+      at: new Date().toISOString()
+    });
+
+    const { answered, behavior } = await scripted(route.operation);
+    if (answered) {
+      return undefined;
+    }
+
+    const [status, responseBody] = handlers[route.operation](route.params, {
+      body,
+      json: parseJson(body),
+      query: url.searchParams,
+      filename
+    });
+    return send(res, status, behavior?.body ? { ...responseBody, ...behavior.body } : responseBody);
+  }
+
+  return createStubServer({
+    handle,
+    control,
+    operations: OPERATIONS,
+    failureDetail: 'Scripted DataLens failure',
+    requests: () => state.requests,
+    state: () => ({
+      collections: [...state.collections],
+      documents: [...state.documents.values()],
+      jobs: [...state.jobs.values()],
+      sessions: [...state.sessions]
+    }),
+    reset: () => {
+      state = createState();
+    },
+    port: config.DATALENS_STUB_PORT,
+    host: config.DATALENS_STUB_HOST
+  });
+}
+
+/**
+ * Start the stub on DATALENS_STUB_HOST:DATALENS_STUB_PORT (used by setup.js)
+ */
+async function startDataLensStub(options = {}) {
+  const stub = createDataLensStub();
+  await stub.listen(options.port, options.host);
+  return stub;
+}
+
+/**
+ * Scripts a running stub from a test file; behaviors are described in stub-server.js
+ */
+class DataLensStubControl extends StubControl {
+  constructor(baseUrl = config.DATALENS_STUB_URL) {
+    super(baseUrl, { name: 'DataLens', operations: OPERATIONS });
+  }
+
+  /**
+   * Statuses reported, one per poll, by jobs created from now on (last one repeats)
+   */
+  async scriptJobs(statuses, { error } = {}) {
+    await this.http.put('/jobs', { statuses, error });
+  }
+
+  async scriptJob(jobId, statuses, { error } = {}) {
+    await this.http.put(`/jobs/${encodeURIComponent(jobId)}`, { statuses, error });
+  }
+
+  /**
+   * URL of a stub-served document, as the API reaches it
+   */
+  fileUrl(name) {
+    return `${config.DATALENS_STUB_API_URL}/files/${encodeURIComponent(name)}`;
+  }
+}
+
+module.exports = {
+  createDataLensStub,
+  startDataLensStub,
+  DataLensStubControl,
+  OPERATIONS
+};
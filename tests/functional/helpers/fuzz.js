@@ -0,0 +1,323 @@
+const { contractViolations, loadContract } = require('./contract');
+
+/**
+ * Payload fuzzing for endpoints that take free-form JSON.
+ *
+ * Cases start from a valid payload (one of the test-data.js generators) and
+ * apply one mutation each: a field removed, set to null, set to a value of
+ * the wrong type or to a huge string, an undeclared property, a property the
+ * OpenAPI component declares but the seed does not set, or a body that is
+ * not an object at all. Field types come from the spec component when there
+ * is one, and from the seed's own values otherwise.
+ *
+ * A response fails on a 5xx, a dropped connection or a contract violation.
+ * minimizePayload() shrinks a failing payload to a reproducer by dropping
+ * properties and array items and halving strings while the failure stays
+ * the same.
+ */
+
+const REMOVE = Symbol('remove');
+
+// Longest field path that is mutated, counting array items, e.g. config.questions[0].answers[0].text
+const MAX_DEPTH = 6;
+
+const WRONG_VALUES = {
+  string: [12345, true, {}, []],
+  integer: ['not a number', 1.5, 2147483648, -1],
+  number: ['not a number', true],
+  boolean: ['yes', 1],
+  array: [{}, 'not an array', [null]],
+  object: [[], 'not an object', 42]
+};
+
+const SAMPLE_VALUES = {
+  string: 'fuzz',
+  integer: 1,
+  number: 1.5,
+  boolean: true,
+  array: [],
+  object: {}
+};
+
+/**
+ * Seeded PRNG (mulberry32), so FUZZ_SEED replays the same cases
+ */
+function createRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+function shuffle(items, random) {
+  const result = [...items];
+  for (let i = result.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    [result[i], result[j]] = [result[j], result[i]];
+  }
+  return result;
+}
+
+/**
+ * Follow $ref and merge allOf, so properties of a derived component include
+ * those of its base
+ */
+function resolveSchema(contract, schema, depth = 0) {
+  if (!contract || !schema || depth > 16) {
+    return schema || null;
+  }
+  if (schema.$ref) {
+    const name = schema.$ref.split('/').pop();
+    return resolveSchema(contract, contract.spec.components?.schemas?.[name], depth + 1);
+  }
+  if (schema.allOf) {
+    return schema.allOf
+      .map(part => resolveSchema(contract, part, depth + 1) || {})
+      .reduce((merged, part) => ({
+        ...merged,
+        ...part,
+        properties: { ...merged.properties, ...part.properties }
+      }), { ...schema, allOf: undefined });
+  }
+  return schema;
+}
+
+/**
+ * Component schema by name, e.g. "VideoMaterial"; null without a spec
+ */
+function componentSchema(contract, name) {
+  return resolveSchema(contract, contract?.spec.components?.schemas?.[name] ? { $ref: `#/components/schemas/${name}` } : null);
+}
+
+function kindOf(schema, value) {
+  if (schema?.type && SAMPLE_VALUES[schema.type] !== undefined) {
+    return schema.type;
+  }
+  if (schema?.properties) {
+    return 'object';
+  }
+  if (Array.isArray(value)) {
+    return 'array';
+  }
+  if (Number.isInteger(value)) {
+    return 'integer';
+  }
+  return SAMPLE_VALUES[typeof value] !== undefined ? typeof value : null;
+}
+
+/**
+ * Property names are matched case-insensitively, like the API's parser
+ */
+function propertySchema(contract, schema, name) {
+  const properties = schema?.properties || {};
+  const key = Object.keys(properties).find(candidate => candidate.toLowerCase() === String(name).toLowerCase());
+  return key ? resolveSchema(contract, properties[key]) : null;
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Every field of a payload as [path, value, schema], descending into objects
+ * and the first item of arrays
+ */
+function fieldsOf(contract, value, schema, path = []) {
+  if (path.length >= MAX_DEPTH) {
+    return [];
+  }
+
+  const fields = [];
+  if (isPlainObject(value)) {
+    for (const [name, item] of Object.entries(value)) {
+      const itemSchema = propertySchema(contract, schema, name);
+      fields.push([[...path, name], item, itemSchema]);
+      fields.push(...fieldsOf(contract, item, itemSchema, [...path, name]));
+    }
+  } else if (Array.isArray(value) && value.length > 0) {
+    const itemSchema = resolveSchema(contract, schema?.items);
+    fields.push(...fieldsOf(contract, value[0], itemSchema, [...path, 0]));
+  }
+  return fields;
+}
+
+/**
+ * e.g. ['config', 'assets', 0, 'id'] -> "config.assets[0].id"
+ */
+function formatPath(path) {
+  return path.reduce((text, key) => (typeof key === 'number' ? `${text}[${key}]` : text ? `${text}.${key}` : key), '');
+}
+
+/**
+ * Copy of `root` with the value at `path` replaced, or removed with REMOVE
+ */
+function withValue(root, path, value) {
+  const copy = structuredClone(root);
+  const parent = path.slice(0, -1).reduce((node, key) => node[key], copy);
+  const key = path[path.length - 1];
+
+  if (value !== REMOVE) {
+    parent[key] = value;
+  } else if (Array.isArray(parent)) {
+    parent.splice(key, 1);
+  } else {
+    delete parent[key];
+  }
+  return copy;
+}
+
+/**
+ * Valid and near-valid variants of a seed payload: [{ mutation, payload }],
+ * the unchanged seed first
+ *
+ * @param {Object} seed - Valid payload
+ * @param {Object} [options]
+ * @param {string} [options.schemaName] - Spec component describing the payload
+ * @param {number} [options.hugeStringLength] - Length of the huge strings
+ */
+function mutatePayload(seed, { schemaName, hugeStringLength = 70000 } = {}) {
+  const contract = loadContract();
+  const schema = componentSchema(contract, schemaName);
+  const cases = [{ mutation: 'valid', payload: seed }];
+  const add = (mutation, payload) => cases.push({ mutation, payload });
+
+  for (const [path, value, fieldSchema] of fieldsOf(contract, seed, schema)) {
+    const name = formatPath(path);
+    const kind = kindOf(fieldSchema, value);
+
+    add(`${name} removed`, withValue(seed, path, REMOVE));
+    add(`${name} null`, withValue(seed, path, null));
+    for (const wrong of WRONG_VALUES[kind] || []) {
+      add(`${name} = ${JSON.stringify(wrong)}`, withValue(seed, path, wrong));
+    }
+    if (kind === 'string') {
+      add(`${name} huge string`, withValue(seed, path, 'x'.repeat(hugeStringLength)));
+    }
+    if (kind === 'array' && value.length > 0) {
+      add(`${name} empty`, withValue(seed, path, []));
+    }
+  }
+
+  // Declared by the spec, but not set by the seed
+  for (const [name, property] of Object.entries(schema?.properties || {})) {
+    if (!Object.keys(seed).some(key => key.toLowerCase() === name.toLowerCase())) {
+      const kind = kindOf(resolveSchema(contract, property));
+      if (kind) {
+        add(`${name} added`, { ...seed, [name]: SAMPLE_VALUES[kind] });
+      }
+    }
+  }
+
+  add('undeclared property', { ...seed, unexpectedProperty: 'fuzz' });
+  add('body is an array', [seed]);
+  add('body is a string', JSON.stringify(seed));
+  add('body is null', null);
+
+  return cases;
+}
+
+/**
+ * What is wrong with an outcome, or null: "HTTP 500", "network ECONNRESET" or
+ * the first contract violation of the response
+ *
+ * @param {Object} outcome - { response } or { error }
+ */
+function failureOf({ response, error }) {
+  if (error) {
+    return `network ${error.code || error.message}`;
+  }
+  if (response.status >= 500) {
+    return `HTTP ${response.status}`;
+  }
+
+  const contract = loadContract();
+  if (!contract) {
+    return null;
+  }
+
+  const request = response.config;
+  const { violations } = contractViolations(contract, request.method, request.url, response.status, response.data);
+  if (violations.length === 0) {
+    return null;
+  }
+  return `HTTP ${response.status} ${violations[0].location} ${violations[0].message}`.replace(/\s+/g, ' ');
+}
+
+/**
+ * Smaller variants of a payload, biggest cuts first: each property or array
+ * item removed, then each long string halved
+ */
+function shrinkCandidates(payload) {
+  if (!isPlainObject(payload) && !Array.isArray(payload)) {
+    return [];
+  }
+
+  const paths = [];
+  const walk = (value, path) => {
+    const entries = Array.isArray(value) ? value.map((item, index) => [index, item]) : Object.entries(value);
+    for (const [key, item] of entries) {
+      paths.push([[...path, key], item]);
+    }
+    for (const [key, item] of entries) {
+      if (item !== null && typeof item === 'object') {
+        walk(item, [...path, key]);
+      }
+    }
+  };
+  walk(payload, []);
+
+  return [
+    ...paths.map(([path]) => withValue(payload, path, REMOVE)),
+    ...paths
+      .filter(([, value]) => typeof value === 'string' && value.length > 16)
+      .map(([path, value]) => withValue(payload, path, value.substring(0, Math.ceil(value.length / 2))))
+  ];
+}
+
+/**
+ * Shrink a failing payload while `stillFails(candidate)` resolves true,
+ * calling it at most `attempts` times
+ */
+async function minimizePayload(payload, stillFails, attempts) {
+  let current = payload;
+  let remaining = attempts;
+  let shrunk = true;
+
+  while (shrunk && remaining > 0) {
+    shrunk = false;
+    for (const candidate of shrinkCandidates(current)) {
+      if (remaining-- <= 0) {
+        break;
+      }
+      if (await stillFails(candidate)) {
+        current = candidate;
+        shrunk = true;
+        break;
+      }
+    }
+  }
+
+  return current;
+}
+
+/**
+ * JSON for a failure message, long strings shortened to "xxxx...(70000 chars)"
+ */
+function describePayload(payload) {
+  return JSON.stringify(payload, (key, value) => (
+    typeof value === 'string' && value.length > 64 ? `${value.substring(0, 16)}...(${value.length} chars)` : value
+  ));
+}
+
+module.exports = {
+  createRandom,
+  describePayload,
+  failureOf,
+  minimizePayload,
+  mutatePayload,
+  shuffle
+};
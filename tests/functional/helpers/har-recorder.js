@@ -0,0 +1,269 @@
+const axios = require('axios');
+const config = require('../config');
+
+/**
+ * HAR (HTTP Archive 1.2) capture for ApiClient exchanges.
+ *
+ * ApiClient interceptors turn every request/response pair into a HAR entry
+ * and hand it to the recorder that har-environment.js installs as
+ * global.__HAR__. The environment writes one .har file per test, which opens
+ * directly in browser devtools (Network tab -> Import HAR).
+ */
+
+const REDACTED = '[REDACTED]';
+
+// Header, form field and JSON keys whose values never leave the process
+const SECRET_HEADERS = ['authorization', 'cookie', 'set-cookie', 'proxy-authorization'];
+const SECRET_FIELDS = ['password', 'client_secret', 'refresh_token', 'access_token', 'id_token'];
+
+function toHarHeaders(headers = {}) {
+  const plain = typeof headers.toJSON === 'function' ? headers.toJSON() : headers;
+
+  return Object.entries(plain)
+    .filter(([, value]) => value !== undefined && value !== null)
+    .map(([name, value]) => ({
+      name,
+      value: SECRET_HEADERS.includes(name.toLowerCase()) ? REDACTED : String(value)
+    }));
+}
+
+function toHarQueryString(url) {
+  try {
+    return [...new URL(url).searchParams].map(([name, value]) => ({ name, value }));
+  } catch (error) {
+    return [];
+  }
+}
+
+function redactJson(value) {
+  if (Array.isArray(value)) {
+    return value.map(redactJson);
+  }
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [
+      key,
+      SECRET_FIELDS.includes(key) ? REDACTED : redactJson(item)
+    ]));
+  }
+  return value;
+}
+
+function redactForm(text) {
+  const params = new URLSearchParams(text);
+  for (const field of SECRET_FIELDS) {
+    if (params.has(field)) {
+      params.set(field, REDACTED);
+    }
+  }
+  return params.toString();
+}
+
+function truncate(text) {
+  if (text.length <= config.HAR_MAX_BODY_SIZE) {
+    return text;
+  }
+  return `${text.substring(0, config.HAR_MAX_BODY_SIZE)}... [truncated ${text.length - config.HAR_MAX_BODY_SIZE} chars]`;
+}
+
+/**
+ * Describe a form-data body part by part instead of dumping file bytes.
+ * form-data keeps each part as a header string followed by its value.
+ */
+function summarizeMultipart(form) {
+  const parts = [];
+  const streams = form._streams || [];
+
+  for (let i = 0; i < streams.length; i++) {
+    const header = streams[i];
+    if (typeof header !== 'string' || !header.includes('Content-Disposition')) {
+      continue;
+    }
+
+    const name = /name="([^"]*)"/.exec(header)?.[1];
+    const fileName = /filename="([^"]*)"/.exec(header)?.[1];
+    const contentType = /Content-Type: ([^\r\n]+)/.exec(header)?.[1];
+    const value = streams[i + 1];
+
+    if (fileName !== undefined) {
+      const size = Buffer.isBuffer(value) ? `${value.length} bytes` : 'streamed';
+      parts.push({ name, fileName, contentType, value: `[file: ${size}]` });
+    } else {
+      parts.push({ name, value: typeof value === 'string' ? value : String(value) });
+    }
+  }
+
+  return parts;
+}
+
+function requestPostData(request) {
+  const data = request.data;
+  if (data === undefined || data === null) {
+    return undefined;
+  }
+
+  const headers = typeof request.headers?.toJSON === 'function' ? request.headers.toJSON() : (request.headers || {});
+  const mimeType = headers['Content-Type'] || headers['content-type'] || '';
+
+  if (typeof data.getBoundary === 'function') {
+    const params = request.multipartSummary || summarizeMultipart(data);
+    return {
+      mimeType,
+      params,
+      text: `[multipart body: ${params.map(p => p.fileName ? `${p.name}=${p.fileName}` : p.name).join(', ')}]`
+    };
+  }
+
+  let text;
+  if (data instanceof URLSearchParams) {
+    text = redactForm(data.toString());
+  } else if (typeof data === 'string') {
+    if (mimeType.includes('x-www-form-urlencoded')) {
+      text = redactForm(data);
+    } else {
+      try {
+        text = JSON.stringify(redactJson(JSON.parse(data)));
+      } catch (error) {
+        text = data;
+      }
+    }
+  } else if (Buffer.isBuffer(data)) {
+    text = `[binary body: ${data.length} bytes]`;
+  } else {
+    text = JSON.stringify(redactJson(data));
+  }
+
+  return { mimeType, text: truncate(text) };
+}
+
+function responseContent(response) {
+  const mimeType = response.headers?.['content-type'] || '';
+  const data = response.data;
+
+  if (data === undefined || data === null || data === '') {
+    return { size: 0, mimeType };
+  }
+
+  if (Buffer.isBuffer(data) || data instanceof ArrayBuffer) {
+    const buffer = Buffer.from(data);
+    const textual = /json|text|xml/.test(mimeType);
+    return textual
+      ? { size: buffer.length, mimeType, text: truncate(buffer.toString('utf-8')) }
+      : { size: buffer.length, mimeType, text: truncate(buffer.toString('base64')), encoding: 'base64' };
+  }
+
+  const text = typeof data === 'string' ? data : JSON.stringify(redactJson(data));
+  return { size: Buffer.byteLength(text), mimeType, text: truncate(text) };
+}
+
+/**
+ * Build a HAR entry from an axios request config and its response or error
+ */
+function createHarEntry(request, response, error) {
+  const startedAt = request.harStartedAt || Date.now();
+  const time = Date.now() - startedAt;
+  const url = axios.getUri(request);
+
+  const entry = {
+    startedDateTime: new Date(startedAt).toISOString(),
+    time,
+    request: {
+      method: (request.method || 'get').toUpperCase(),
+      url,
+      httpVersion: 'HTTP/1.1',
+      cookies: [],
+      headers: toHarHeaders(request.headers),
+      queryString: toHarQueryString(url),
+      headersSize: -1,
+      bodySize: -1
+    },
+    response: response
+      ? {
+        status: response.status,
+        statusText: response.statusText || '',
+        httpVersion: 'HTTP/1.1',
+        cookies: [],
+        headers: toHarHeaders(response.headers),
+        content: responseContent(response),
+        redirectURL: response.headers?.location || '',
+        headersSize: -1,
+        bodySize: -1
+      }
+      : {
+        // Network failure: HAR has no field for it, so use status 0 and _error
+        status: 0,
+        statusText: '',
+        httpVersion: 'HTTP/1.1',
+        cookies: [],
+        headers: [],
+        content: { size: 0, mimeType: '' },
+        redirectURL: '',
+        headersSize: -1,
+        bodySize: -1,
+        _error: error ? `${error.code || 'ERROR'}: ${error.message}` : 'unknown error'
+      },
+    cache: {},
+    timings: { send: 0, wait: time, receive: 0 }
+  };
+
+  const postData = requestPostData(request);
+  if (postData) {
+    entry.request.postData = postData;
+  }
+
+  return entry;
+}
+
+/**
+ * Wrap entries in a HAR log document
+ */
+function createHarLog(entries, title) {
+  const startedDateTime = entries[0]?.startedDateTime || new Date().toISOString();
+
+  return {
+    log: {
+      version: '1.2',
+      creator: { name: 'xr50-functional-tests', version: '1.0.0' },
+      pages: [{ startedDateTime, id: 'page_1', title, pageTimings: {} }],
+      entries: entries.map(entry => ({ pageref: 'page_1', ...entry }))
+    }
+  };
+}
+
+/**
+ * Snapshot a multipart body before it is sent; form-data consumes its
+ * parts while streaming, so they cannot be read back afterwards.
+ * Cassettes match on the same summary.
+ */
+function captureRequest(request) {
+  request.harStartedAt = Date.now();
+  if (typeof request.data?.getBoundary === 'function') {
+    request.multipartSummary = summarizeMultipart(request.data);
+  }
+}
+
+/**
+ * Hand an exchange to the recorder of the current test, if there is one
+ */
+function recordExchange(request, response, error) {
+  const recorder = global.__HAR__;
+  if (!recorder || config.HAR_MODE === 'off') {
+    return;
+  }
+
+  try {
+    recorder.entries.push(createHarEntry(request, response, error));
+  } catch (err) {
+    // Capture must never fail a test
+    if (config.DEBUG) {
+      console.log(`[HAR] Could not record ${request.url}: ${err.message}`);
+    }
+  }
+}
+
+module.exports = {
+  captureRequest,
+  createHarEntry,
+  createHarLog,
+  recordExchange,
+  REDACTED
+};
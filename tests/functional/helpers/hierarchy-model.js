@@ -0,0 +1,196 @@
+const { createRandom } = require('./fuzz');
+
+/**
+ * Reference model for the material hierarchy property tests (suite 19).
+ *
+ * Materials are labelled A, B, C... and a step is
+ * { action: 'assign' | 'remove', parent, child } on those labels. The
+ * ReferenceGraph applies steps the way the API should: an assignment is
+ * accepted exactly when it creates no cycle and the edge is new, and a
+ * removal succeeds exactly when the edge exists. It also gives the children,
+ * parents and hierarchy tree the API should return after each step.
+ *
+ * generateSteps() draws a step sequence from a seed; shrinkSteps() drops
+ * steps from a failing sequence while it still fails.
+ */
+
+const LABELS = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ';
+
+// Share of steps that are removals, once there are edges to remove
+const REMOVE_RATE = 0.25;
+// Share of removals aimed at an edge that does not exist
+const MISSING_REMOVE_RATE = 0.2;
+// Share of assignments of a material to itself
+const SELF_ASSIGN_RATE = 0.1;
+
+function labelsFor(count) {
+  return LABELS.substring(0, Math.min(count, LABELS.length)).split('');
+}
+
+class ReferenceGraph {
+  constructor(labels) {
+    this.labels = labels;
+    // Children in the order they were assigned, which is the API's displayOrder
+    this.edges = new Map(labels.map(label => [label, []]));
+  }
+
+  children(label) {
+    return [...this.edges.get(label)];
+  }
+
+  parents(label) {
+    return this.labels.filter(parent => this.edges.get(parent).includes(label));
+  }
+
+  hasEdge(parent, child) {
+    return this.edges.get(parent).includes(child);
+  }
+
+  /**
+   * Whether `to` can be reached from `from` (a material reaches itself)
+   */
+  reaches(from, to) {
+    const pending = [from];
+    const seen = new Set();
+    while (pending.length > 0) {
+      const label = pending.pop();
+      if (label === to) {
+        return true;
+      }
+      if (!seen.has(label)) {
+        seen.add(label);
+        pending.push(...this.edges.get(label));
+      }
+    }
+    return false;
+  }
+
+  /**
+   * Outcome the API should report for a step: 'accepted', 'cycle' or
+   * 'duplicate' for an assignment, 'removed' or 'missing' for a removal
+   */
+  expect({ action, parent, child }) {
+    if (action === 'remove') {
+      return this.hasEdge(parent, child) ? 'removed' : 'missing';
+    }
+    if (this.reaches(child, parent)) {
+      return 'cycle';
+    }
+    return this.hasEdge(parent, child) ? 'duplicate' : 'accepted';
+  }
+
+  /**
+   * Apply a step and return its expected outcome
+   */
+  apply(step) {
+    const outcome = this.expect(step);
+    if (outcome === 'accepted') {
+      this.edges.get(step.parent).push(step.child);
+    } else if (outcome === 'removed') {
+      const children = this.edges.get(step.parent);
+      children.splice(children.indexOf(step.child), 1);
+    }
+    return outcome;
+  }
+
+  /**
+   * Descendants of a material as the hierarchy endpoint nests them:
+   * [{ material, depth, children }], a material shared by two parents
+   * appearing under each
+   */
+  tree(label, depth = 1) {
+    return this.edges.get(label).map(child => ({
+      material: child,
+      depth,
+      children: this.tree(child, depth + 1)
+    }));
+  }
+
+  edgeCount() {
+    return this.labels.reduce((count, label) => count + this.edges.get(label).length, 0);
+  }
+}
+
+/**
+ * Random step sequence; removals mostly target edges that exist at that point
+ *
+ * @param {number} seed
+ * @param {Object} options
+ * @param {number} options.materials - Number of materials (labels)
+ * @param {number} options.steps - Number of steps
+ */
+function generateSteps(seed, { materials, steps }) {
+  const random = createRandom(seed);
+  const labels = labelsFor(materials);
+  const graph = new ReferenceGraph(labels);
+  const pick = items => items[Math.floor(random() * items.length)];
+  const sequence = [];
+
+  while (sequence.length < steps) {
+    let step;
+    if (graph.edgeCount() > 0 && random() < REMOVE_RATE) {
+      if (random() < MISSING_REMOVE_RATE) {
+        step = { action: 'remove', parent: pick(labels), child: pick(labels) };
+      } else {
+        const parent = pick(labels.filter(label => graph.children(label).length > 0));
+        step = { action: 'remove', parent, child: pick(graph.children(parent)) };
+      }
+    } else {
+      const parent = pick(labels);
+      const child = random() < SELF_ASSIGN_RATE ? parent : pick(labels.filter(label => label !== parent));
+      step = { action: 'assign', parent, child };
+    }
+
+    graph.apply(step);
+    sequence.push(step);
+  }
+
+  return sequence;
+}
+
+/**
+ * Drop runs of steps, halving the run length down to single steps, while
+ * `stillFails(candidate)` resolves true; calls it at most `attempts` times
+ */
+async function shrinkSteps(steps, stillFails, attempts) {
+  let current = steps;
+  let remaining = attempts;
+  let size = Math.ceil(current.length / 2);
+
+  while (size >= 1 && remaining > 0) {
+    let shrunk = false;
+    for (let start = 0; start < current.length && remaining > 0; start += size) {
+      const candidate = [...current.slice(0, start), ...current.slice(start + size)];
+      if (candidate.length === 0) {
+        continue;
+      }
+      remaining--;
+      if (await stillFails(candidate)) {
+        current = candidate;
+        shrunk = true;
+        break;
+      }
+    }
+    if (!shrunk) {
+      size = Math.floor(size / 2);
+    }
+    size = Math.min(size, Math.ceil(current.length / 2));
+  }
+
+  return current;
+}
+
+/**
+ * e.g. "assign A -> B"
+ */
+function formatStep({ action, parent, child }) {
+  return `${action} ${parent} -> ${child}`;
+}
+
+module.exports = {
+  ReferenceGraph,
+  formatStep,
+  generateSteps,
+  labelsFor,
+  shrinkSteps
+};
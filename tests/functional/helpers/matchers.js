@@ -0,0 +1,74 @@
+const { parseProblem } = require('./problem-details');
+
+/**
+ * Custom Jest matchers, registered through setupFilesAfterEnv.
+ */
+
+/**
+ * Compare one expected problem member. RegExps are matched against the
+ * actual value, everything else (including asymmetric matchers such as
+ * expect.any(String)) goes through Jest's equality.
+ */
+function memberMatches(context, actual, expected) {
+  if (expected instanceof RegExp) {
+    return typeof actual === 'string' && expected.test(actual);
+  }
+  return context.equals(actual, expected);
+}
+
+function describeBody(response) {
+  if (response.problem) {
+    return JSON.stringify(response.problem.raw, null, 2);
+  }
+  if (typeof response.data === 'string') {
+    return response.data;
+  }
+  return JSON.stringify(response.data, null, 2);
+}
+
+expect.extend({
+  /**
+   * Assert a response is an RFC 7807 problem with the given status.
+   *
+   * Usage:
+   *   expect(response).toBeProblem(400);
+   *   expect(response).toBeProblem(400, { detail: /circular reference/ });
+   *   expect(response).toBeProblem(404, { errorCode: 'resource_not_found' });
+   */
+  toBeProblem(response, status, expected = {}) {
+    const problem = response.problem ?? parseProblem(response);
+    const failures = [];
+
+    if (!problem) {
+      failures.push(`content-type is ${JSON.stringify(response.headers?.['content-type'])}, not application/problem+json`);
+    } else {
+      if (response.status !== status) {
+        failures.push(`HTTP status is ${response.status}, expected ${status}`);
+      }
+      if (problem.status !== undefined && problem.status !== response.status) {
+        failures.push(`problem status ${problem.status} does not match HTTP status ${response.status}`);
+      }
+      for (const [member, value] of Object.entries(expected)) {
+        if (!memberMatches(this, problem[member], value)) {
+          failures.push(`${member} is ${this.utils.printReceived(problem[member])}, expected ${this.utils.printExpected(value)}`);
+        }
+      }
+    }
+
+    const pass = failures.length === 0;
+    const request = `${response.config?.method?.toUpperCase() || ''} ${response.config?.url || ''}`.trim();
+
+    return {
+      pass,
+      message: () => pass
+        ? `expected ${request} not to be a ${status} problem response`
+        : [
+          `expected ${request} to be a ${status} problem response:`,
+          ...failures.map(failure => `  - ${failure}`),
+          '',
+          'Response body:',
+          describeBody(response)
+        ].join('\n')
+    };
+  }
+});
@@ -0,0 +1,348 @@
+const crypto = require('crypto');
+const config = require('../config');
+const { createStubServer, StubControl, send } = require('./stub-server');
+
+/**
+ * Local stand-in for the Keycloak realm the API trusts.
+ *
+ * setup.js starts it when OIDC_STUB=true; KEYCLOAK_URL then defaults to it,
+ * so the suites authenticate without a live Keycloak. Run the API with
+ * IAM__Authority at OIDC_STUB_API_URL/realms/{realm}, IAM__Issuer at
+ * OIDC_STUB_ISSUER and IAM__Audience at OIDC_STUB_AUDIENCE. Keycloak's paths:
+ *
+ *   GET  /realms/{realm}/.well-known/openid-configuration
+ *   GET  /realms/{realm}/protocol/openid-connect/certs
+ *   POST /realms/{realm}/protocol/openid-connect/token
+ *        grant_type=password | client_credentials | refresh_token
+ *
+ * Password grants accept TEST_USER, ADMIN_USER and QUIZ_LEARNERS with their
+ * configured passwords; client_credentials needs OIDC_STUB_CLIENT_SECRET.
+ * Access tokens are RS256 JWTs shaped like Keycloak's (preferred_username,
+ * realm_access.roles, azp, ...), signed with a key generated at start-up.
+ *
+ * Tests mint tokens through OidcStubControl: validly signed but expired, for
+ * another audience or issuer, without roles, signed with a key the JWKS does
+ * not publish, or unsigned (alg "none"). Routes under /__stub are the
+ * control API (stub-server.js) plus POST /__stub/tokens, not part of Keycloak.
+ */
+
+const DEFAULT_ROLES = ['offline_access', 'uma_authorization'];
+
+function base64url(value) {
+  return Buffer.from(typeof value === 'string' ? value : JSON.stringify(value)).toString('base64url');
+}
+
+/**
+ * Decode a JWT's header and payload without verifying it
+ */
+function decodeJwt(token) {
+  const [header, payload] = token.split('.');
+  return {
+    header: JSON.parse(Buffer.from(header, 'base64url').toString('utf8')),
+    payload: JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'))
+  };
+}
+
+function createSigningKey() {
+  const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+  return { kid: crypto.randomUUID(), privateKey, publicKey };
+}
+
+function signJwt(header, payload, key) {
+  const input = `${base64url(header)}.${base64url(payload)}`;
+  if (header.alg === 'none') {
+    return `${input}.`;
+  }
+  const signature = crypto.sign('sha256', Buffer.from(input), key.privateKey);
+  return `${input}.${signature.toString('base64url')}`;
+}
+
+function verifyJwt(token, key) {
+  const [header, payload, signature] = token.split('.');
+  if (!signature) {
+    return false;
+  }
+  return crypto.verify('sha256', Buffer.from(`${header}.${payload}`), key.publicKey, Buffer.from(signature, 'base64url'));
+}
+
+/**
+ * Users the password grant accepts, by username
+ */
+function knownUsers() {
+  const users = new Map();
+  const add = (user, password, roles = []) => {
+    if (user && !users.has(user)) {
+      users.set(user, { user, password, roles });
+    }
+  };
+  add(config.ADMIN_USER, config.ADMIN_PASSWORD, ['admin']);
+  add(config.TEST_USER, config.TEST_PASSWORD);
+  for (const learner of config.QUIZ_LEARNERS) {
+    add(learner.user, learner.password);
+  }
+  return users;
+}
+
+// Stable per-user subject, like Keycloak's user ids
+function subjectFor(user) {
+  const hash = crypto.createHash('sha256').update(user).digest('hex');
+  return `${hash.slice(0, 8)}-${hash.slice(8, 12)}-${hash.slice(12, 16)}-${hash.slice(16, 20)}-${hash.slice(20, 32)}`;
+}
+
+// Token endpoint responses must not be cached (RFC 6749, 5.1)
+const NO_STORE = { 'Cache-Control': 'no-store' };
+
+/**
+ * Create the stub server (not yet listening)
+ */
+function createOidcStub() {
+  const realmKey = createSigningKey();
+  // Never published in the JWKS, for tokens the API must not trust
+  const foreignKey = createSigningKey();
+  const users = knownUsers();
+  let requests = [];
+
+  const realm = config.KEYCLOAK_REALM;
+  const realmPath = `/realms/${realm}`;
+  const endpoints = `${config.OIDC_STUB_API_URL}${realmPath}/protocol/openid-connect`;
+
+  function discovery() {
+    return {
+      issuer: config.OIDC_STUB_ISSUER,
+      token_endpoint: `${endpoints}/token`,
+      jwks_uri: `${endpoints}/certs`,
+      grant_types_supported: ['password', 'client_credentials', 'refresh_token'],
+      response_types_supported: ['token'],
+      subject_types_supported: ['public'],
+      id_token_signing_alg_values_supported: ['RS256'],
+      token_endpoint_auth_methods_supported: ['client_secret_post', 'client_secret_basic']
+    };
+  }
+
+  function jwks() {
+    return {
+      keys: [{ ...realmKey.publicKey.export({ format: 'jwk' }), kid: realmKey.kid, use: 'sig', alg: 'RS256' }]
+    };
+  }
+
+  /**
+   * Build and sign an access token.
+   * Options: { user, clientId, expiresIn, expired, notBefore, audience,
+   *            issuer, roles, alg, key, claims, omit }
+   */
+  function mint(options = {}) {
+    const now = Math.floor(Date.now() / 1000);
+    const user = options.user || config.TEST_USER;
+    const clientId = options.clientId || config.KEYCLOAK_CLIENT_ID;
+    const serviceAccount = user.startsWith('service-account-');
+    const iat = options.expired ? now - 7200 : now;
+    const exp = options.expired ? now - 3600 : now + (options.expiresIn ?? config.OIDC_STUB_TOKEN_LIFETIME);
+    const roles = options.roles === undefined
+      ? [`default-roles-${realm}`, ...DEFAULT_ROLES, ...(users.get(user)?.roles || [])]
+      : options.roles;
+
+    const payload = {
+      exp,
+      iat,
+      ...(options.notBefore !== undefined && { nbf: now + options.notBefore }),
+      jti: crypto.randomUUID(),
+      iss: options.issuer || config.OIDC_STUB_ISSUER,
+      aud: options.audience || config.OIDC_STUB_AUDIENCE,
+      sub: subjectFor(user),
+      typ: 'Bearer',
+      azp: clientId,
+      ...(!serviceAccount && { sid: crypto.randomUUID() }),
+      scope: serviceAccount ? 'profile email' : 'openid profile email',
+      ...(roles && { realm_access: { roles } }),
+      email_verified: !serviceAccount,
+      preferred_username: user,
+      ...(!serviceAccount && { name: user, email: `${user}@example.test` }),
+      ...(serviceAccount && { clientId }),
+      ...options.claims
+    };
+    for (const claim of options.omit || []) {
+      delete payload[claim];
+    }
+
+    const key = options.key === 'foreign' ? foreignKey : realmKey;
+    const alg = options.alg || 'RS256';
+    const header = alg === 'none' ? { alg, typ: 'JWT' } : { alg, typ: 'JWT', kid: key.kid };
+
+    return { access_token: signJwt(header, payload, key), header, claims: payload };
+  }
+
+  function tokenResponse(user, clientId, { withRefresh = true } = {}) {
+    const { access_token: accessToken } = mint({ user, clientId });
+    const now = Math.floor(Date.now() / 1000);
+    const response = {
+      access_token: accessToken,
+      expires_in: config.OIDC_STUB_TOKEN_LIFETIME,
+      refresh_expires_in: withRefresh ? config.OIDC_STUB_REFRESH_LIFETIME : 0,
+      token_type: 'Bearer',
+      'not-before-policy': 0,
+      scope: 'openid profile email'
+    };
+    if (withRefresh) {
+      response.refresh_token = signJwt({ alg: 'RS256', typ: 'JWT', kid: realmKey.kid }, {
+        exp: now + config.OIDC_STUB_REFRESH_LIFETIME,
+        iat: now,
+        jti: crypto.randomUUID(),
+        iss: config.OIDC_STUB_ISSUER,
+        aud: config.OIDC_STUB_ISSUER,
+        sub: subjectFor(user),
+        typ: 'Refresh',
+        azp: clientId,
+        preferred_username: user
+      }, realmKey);
+    }
+    return response;
+  }
+
+  const oauthError = (status, error, description) => [status, { error, error_description: description }];
+
+  function handleToken(req, form) {
+    const basic = /^Basic (.+)$/i.exec(req.headers.authorization || '');
+    const [basicId, basicSecret] = basic
+      ? Buffer.from(basic[1], 'base64').toString('utf8').split(':')
+      : [];
+    const clientId = form.client_id || basicId;
+    const clientSecret = form.client_secret || basicSecret;
+
+    if (clientId !== config.KEYCLOAK_CLIENT_ID) {
+      return oauthError(401, 'invalid_client', 'Invalid client or Invalid client credentials');
+    }
+    if (clientSecret && clientSecret !== config.OIDC_STUB_CLIENT_SECRET) {
+      return oauthError(401, 'unauthorized_client', 'Invalid client or Invalid client credentials');
+    }
+
+    switch (form.grant_type) {
+      case 'password': {
+        const account = users.get(form.username);
+        if (!account || account.password !== form.password) {
+          return oauthError(401, 'invalid_grant', 'Invalid user credentials');
+        }
+        return [200, tokenResponse(account.user, clientId)];
+      }
+      case 'client_credentials':
+        if (clientSecret !== config.OIDC_STUB_CLIENT_SECRET) {
+          return oauthError(401, 'unauthorized_client', 'Invalid client or Invalid client credentials');
+        }
+        // Keycloak issues no refresh token for service accounts
+        return [200, tokenResponse(`service-account-${clientId}`, clientId, { withRefresh: false })];
+      case 'refresh_token': {
+        const token = form.refresh_token || '';
+        let claims = null;
+        try {
+          claims = verifyJwt(token, realmKey) ? decodeJwt(token).payload : null;
+        } catch (error) {
+          claims = null;
+        }
+        if (!claims || claims.typ !== 'Refresh' || claims.azp !== clientId || claims.exp * 1000 < Date.now()) {
+          return oauthError(400, 'invalid_grant', 'Invalid refresh token');
+        }
+        return [200, tokenResponse(claims.preferred_username, clientId)];
+      }
+      default:
+        return oauthError(400, 'unsupported_grant_type', 'Unsupported grant_type');
+    }
+  }
+
+  // Minting, on top of the shared control routes
+  function control(req, res, { resource, json }) {
+    if (req.method === 'POST' && resource === 'tokens') {
+      return send(res, 200, mint(json));
+    }
+    return false;
+  }
+
+  async function handle(req, res, { url, body }) {
+    const route = req.method === 'GET' && url.pathname === `${realmPath}/.well-known/openid-configuration` ? 'discovery'
+      : req.method === 'GET' && url.pathname === `${realmPath}/protocol/openid-connect/certs` ? 'jwks'
+        : req.method === 'POST' && url.pathname === `${realmPath}/protocol/openid-connect/token` ? 'token'
+          : null;
+
+    if (!route) {
+      return url.pathname.startsWith(realmPath)
+        ? send(res, 404, { error: 'Unable to find matching target resource method' }, NO_STORE)
+        : send(res, 404, { error: 'Realm does not exist' }, NO_STORE);
+    }
+
+    const form = route === 'token' ? Object.fromEntries(new URLSearchParams(body.toString('utf8'))) : {};
+    requests.push({
+      operation: route,
+      grantType: form.grant_type || null,
+      clientId: form.client_id || null,
+      username: form.username || null,
+      at: new Date().toISOString()
+    });
+
+    if (route === 'discovery') {
+      return send(res, 200, discovery(), NO_STORE);
+    }
+    if (route === 'jwks') {
+      return send(res, 200, jwks(), NO_STORE);
+    }
+    const [status, responseBody] = handleToken(req, form);
+    return send(res, status, responseBody, NO_STORE);
+  }
+
+  return {
+    ...createStubServer({
+      handle,
+      control,
+      requests: () => requests,
+      reset: () => {
+        requests = [];
+      },
+      serverError: error => ({ error: 'server_error', error_description: error.message }),
+      port: config.OIDC_STUB_PORT,
+      host: config.OIDC_STUB_HOST
+    }),
+    mint
+  };
+}
+
+/**
+ * Start the stub on OIDC_STUB_HOST:OIDC_STUB_PORT (used by setup.js)
+ */
+async function startOidcStub(options = {}) {
+  const stub = createOidcStub();
+  await stub.listen(options.port, options.host);
+  return stub;
+}
+
+/**
+ * Mints tokens from a running stub (the stub, and its keys, live in the Jest
+ * parent process).
+ *
+ * Mint options: { user, clientId, expiresIn, expired, notBefore, audience,
+ *   issuer, roles, alg, key, claims, omit }
+ *   `expired` backdates the token an hour, past the API's five-minute clock
+ *   skew; `roles: null` drops realm_access; `key: 'foreign'` signs with a key
+ *   missing from the JWKS; `alg: 'none'` leaves the token unsigned; `claims`
+ *   overrides claims and `omit` removes them.
+ */
+class OidcStubControl extends StubControl {
+  constructor(baseUrl = config.OIDC_STUB_URL) {
+    super(baseUrl, { name: 'OIDC' });
+  }
+
+  /**
+   * Returns { access_token, header, claims }
+   */
+  async mint(options = {}) {
+    const response = await this.http.post('/tokens', options);
+    return response.data;
+  }
+
+  async token(options = {}) {
+    return (await this.mint(options)).access_token;
+  }
+}
+
+module.exports = {
+  createOidcStub,
+  startOidcStub,
+  OidcStubControl,
+  decodeJwt
+};
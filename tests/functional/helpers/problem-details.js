@@ -0,0 +1,63 @@
+/**
+ * RFC 7807 Problem Details
+ *
+ * The API reports errors as application/problem+json through the
+ * ProblemBadRequest/ProblemNotFound/... controller helpers and the global
+ * ApiExceptionHandler. Every problem carries the standard members plus the
+ * `traceId` and `errorCode` extensions.
+ */
+
+const PROBLEM_CONTENT_TYPE = 'application/problem+json';
+
+/**
+ * True when the response declares a problem+json body
+ */
+function isProblemResponse(response) {
+  const contentType = response?.headers?.['content-type'] || '';
+  return contentType.toLowerCase().includes(PROBLEM_CONTENT_TYPE);
+}
+
+/**
+ * Parse the problem document of a response, or return null.
+ *
+ * Handles bodies axios left as a string or buffer (e.g. requests made with
+ * responseType: 'arraybuffer').
+ */
+function parseProblem(response) {
+  if (!isProblemResponse(response)) {
+    return null;
+  }
+
+  let body = response.data;
+  if (Buffer.isBuffer(body) || body instanceof ArrayBuffer) {
+    body = Buffer.from(body).toString('utf-8');
+  }
+  if (typeof body === 'string') {
+    try {
+      body = JSON.parse(body);
+    } catch (error) {
+      return null;
+    }
+  }
+  if (!body || typeof body !== 'object') {
+    return null;
+  }
+
+  return {
+    type: body.type,
+    title: body.title,
+    status: body.status,
+    detail: body.detail,
+    instance: body.instance,
+    errors: body.errors,
+    traceId: body.traceId,
+    errorCode: body.errorCode,
+    raw: body
+  };
+}
+
+module.exports = {
+  PROBLEM_CONTENT_TYPE,
+  isProblemResponse,
+  parseProblem
+};
@@ -0,0 +1,244 @@
+const http = require('http');
+const axios = require('axios');
+
+/**
+ * Server side and test side shared by the local stand-ins (datalens-stub.js,
+ * chatbot-stub.js, oidc-stub.js).
+ *
+ * createStubServer() serves a stub's routes through its `handle` and answers
+ * the control API under /__stub, the same for every stub:
+ *
+ *   DELETE /__stub                   forget scripts, hanging requests and the stub's state
+ *   PUT    /__stub/behaviors/{op}    script an operation
+ *   GET    /__stub/requests          requests the stub recorded
+ *   GET    /__stub/state             what the stub holds (stubs that have state)
+ *
+ * plus the stub's own control routes. StubControl drives it from a test file.
+ *
+ * Behaviors: { mode: 'succeed' | 'fail' | 'hang' | 'drop', status, body, delayMs, times }
+ *   mode 'fail' answers with `status` (default 500); 'drop' closes the
+ *   connection without answering; 'succeed' merges an object `body` over the
+ *   normal response or sends a string `body` verbatim; `times` limits how
+ *   many requests it applies to (default: until the next reset).
+ */
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    req.on('data', chunk => chunks.push(chunk));
+    req.on('end', () => resolve(Buffer.concat(chunks)));
+    req.on('error', reject);
+  });
+}
+
+function parseJson(buffer) {
+  try {
+    return buffer.length > 0 ? JSON.parse(buffer.toString('utf8')) : {};
+  } catch (error) {
+    return {};
+  }
+}
+
+function send(res, status, body, headers = {}) {
+  const payload = typeof body === 'string' ? body : JSON.stringify(body);
+  res.writeHead(status, {
+    'Content-Type': typeof body === 'string' ? 'text/plain' : 'application/json',
+    'Content-Length': Buffer.byteLength(payload),
+    ...headers
+  });
+  res.end(payload);
+}
+
+const delay = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Create a stub server (not yet listening)
+ *
+ * @param {Object} options
+ * @param {Function} options.handle - (req, res, { url, body, scripted }) serves
+ *   the stub's own routes; `await scripted(operation)` runs the operation's
+ *   behavior and returns { answered, behavior }
+ * @param {string[]} [options.operations] - Operations tests can script
+ * @param {string} [options.failureDetail] - Detail of a scripted failure without a body
+ * @param {Function} options.requests - Recorded requests
+ * @param {Function} [options.state] - What the stub holds, for GET /__stub/state
+ * @param {Function} [options.reset] - Forget the stub's state
+ * @param {Function} [options.control] - (req, res, { resource, id, json })
+ *   answers further control routes; returns false for routes it does not know
+ * @param {Function} [options.serverError] - Body answered when `handle` throws
+ * @param {number} options.port - Default port for listen()
+ * @param {string} options.host - Default interface for listen()
+ */
+function createStubServer({
+  handle,
+  operations = [],
+  failureDetail = 'Scripted stub failure',
+  requests,
+  state,
+  reset = () => {},
+  control = () => false,
+  serverError = error => ({ detail: `Stub error: ${error.message}` }),
+  port: defaultPort,
+  host: defaultHost
+}) {
+  let behaviors = {};
+  const hanging = new Set();
+
+  function releaseHanging() {
+    for (const res of hanging) {
+      res.destroy();
+    }
+    hanging.clear();
+  }
+
+  /**
+   * Apply the scripted behavior of an operation. `answered` when it took care
+   * of the response; `behavior` while one applies.
+   */
+  async function runBehavior(operation, req, res) {
+    const behavior = behaviors[operation];
+    if (!behavior || (behavior.times !== undefined && behavior.used >= behavior.times)) {
+      return { answered: false, behavior: null };
+    }
+
+    behavior.used++;
+    if (behavior.delayMs) {
+      await delay(behavior.delayMs);
+    }
+    if (behavior.mode === 'hang') {
+      hanging.add(res);
+      res.on('close', () => hanging.delete(res));
+      return { answered: true, behavior };
+    }
+    if (behavior.mode === 'drop') {
+      req.socket.destroy();
+      return { answered: true, behavior };
+    }
+    if (behavior.mode === 'fail') {
+      send(res, behavior.status || 500, behavior.body || { detail: failureDetail });
+      return { answered: true, behavior };
+    }
+    if (typeof behavior.body === 'string') {
+      send(res, 200, behavior.body);
+      return { answered: true, behavior };
+    }
+    return { answered: false, behavior };
+  }
+
+  async function handleControl(req, res, url, body) {
+    const [resource, id] = url.pathname.split('/').slice(2);
+    const json = parseJson(body);
+
+    if (req.method === 'DELETE' && !resource) {
+      releaseHanging();
+      behaviors = {};
+      reset();
+      return send(res, 204, '');
+    }
+    if (req.method === 'PUT' && resource === 'behaviors' && operations.includes(id)) {
+      behaviors[id] = { ...json, used: 0 };
+      return send(res, 200, { operation: id, behavior: json });
+    }
+    if (req.method === 'GET' && resource === 'requests') {
+      return send(res, 200, requests());
+    }
+    if (req.method === 'GET' && resource === 'state' && state) {
+      return send(res, 200, state());
+    }
+    if (await control(req, res, { resource, id, json }) !== false) {
+      return undefined;
+    }
+    return send(res, 404, { detail: `Unknown stub control route ${req.method} ${url.pathname}` });
+  }
+
+  async function dispatch(req, res) {
+    const url = new URL(req.url, 'http://stub');
+    const body = await readBody(req);
+
+    if (url.pathname.startsWith('/__stub')) {
+      return handleControl(req, res, url, body);
+    }
+    return handle(req, res, { url, body, scripted: operation => runBehavior(operation, req, res) });
+  }
+
+  const server = http.createServer((req, res) => {
+    dispatch(req, res).catch(error => send(res, 500, serverError(error)));
+  });
+
+  return {
+    server,
+
+    listen(port = defaultPort, host = defaultHost) {
+      return new Promise((resolve, reject) => {
+        server.once('error', reject);
+        server.listen(port, host, () => {
+          server.off('error', reject);
+          resolve(server.address());
+        });
+      });
+    },
+
+    close() {
+      releaseHanging();
+      server.closeAllConnections();
+      return new Promise(resolve => server.close(() => resolve()));
+    }
+  };
+}
+
+/**
+ * Drives a running stub from a test file (stubs live in the Jest parent process)
+ */
+class StubControl {
+  /**
+   * @param {string} baseUrl - Stub URL as the tests reach it
+   * @param {Object} [options]
+   * @param {string} [options.name] - Stub name for error messages, e.g. "DataLens"
+   * @param {string[]} [options.operations] - Operations script() accepts
+   */
+  constructor(baseUrl, { name = 'stub', operations = [] } = {}) {
+    this.http = axios.create({ baseURL: `${baseUrl}/__stub`, timeout: 5000 });
+    this.name = name;
+    this.operations = operations;
+  }
+
+  /**
+   * Forget the stub's state, scripts and recorded requests
+   */
+  async reset() {
+    await this.http.delete('/');
+  }
+
+  async script(operation, behavior) {
+    if (!this.operations.includes(operation)) {
+      throw new Error(`Unknown ${this.name} operation "${operation}" (expected one of ${this.operations.join(', ')})`);
+    }
+    await this.http.put(`/behaviors/${operation}`, behavior);
+  }
+
+  async requests(operation) {
+    const response = await this.http.get('/requests');
+    return operation ? response.data.filter(request => request.operation === operation) : response.data;
+  }
+
+  async state() {
+    const response = await this.http.get('/state');
+    return response.data;
+  }
+
+  async isRunning() {
+    try {
+      await this.requests();
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+}
+
+module.exports = {
+  createStubServer,
+  StubControl,
+  parseJson,
+  send
+};
@@ -1,4 +1,7 @@
+const crypto = require('crypto');
+const fs = require('fs');
 const config = require('../config');
+const { chatbotStubEndpoint } = require('./chatbot-stub');
 
 /**
  * Test Data Generators
@@ -215,6 +218,102 @@ function createWorkflowMaterial(suffix = '') {
   };
 }
 
+/**
+ * Generate a quiz material with one boolean question (5 points) and one
+ * single-choice question (10 points). Question and answer ids are assigned
+ * by the server; read them back from GET materials/{id}/detail.
+ */
+function createQuizMaterial(suffix = '') {
+  return {
+    name: `Test Quiz ${suffix || timestamp}`,
+    description: 'A test quiz material',
+    type: 'Quiz',
+    evaluationMode: true,
+    minScore: 5,
+    config: {
+      questions: [
+        {
+          id: 1,
+          type: 'boolean',
+          text: 'The sky is blue',
+          score: 5,
+          answers: [
+            { text: 'True', correctAnswer: true, displayOrder: 1 },
+            { text: 'False', correctAnswer: false, displayOrder: 2 }
+          ]
+        },
+        {
+          id: 2,
+          type: 'choice',
+          text: 'Which value is prime?',
+          score: 10,
+          answers: [
+            { text: '4', correctAnswer: false, displayOrder: 1 },
+            { text: '7', correctAnswer: true, displayOrder: 2 },
+            { text: '9', correctAnswer: false, displayOrder: 3 }
+          ]
+        }
+      ]
+    }
+  };
+}
+
+/**
+ * Score picks against a quiz built by createQuizMaterial, the way the API
+ * evaluates boolean and choice questions: a question earns its score only when
+ * the picked answers are exactly its correct answers.
+ * picks: { [questionNumber]: ['answer text', ...] }
+ */
+function scoreQuizAnswers(quiz, picks) {
+  return quiz.config.questions.reduce((total, question) => {
+    const picked = [...new Set(picks[question.id] || [])].sort();
+    const correct = question.answers.filter(answer => answer.correctAnswer).map(answer => answer.text).sort();
+    const exact = picked.length > 0 && picked.join('\n') === correct.join('\n');
+    return total + (exact ? question.score : 0);
+  }, 0);
+}
+
+/**
+ * Build a quiz submission from the quiz detail view (server-assigned question
+ * and answer ids) and picks keyed by question number and answer text
+ */
+function buildQuizSubmission(quizDetail, picks, programId) {
+  const questions = Object.entries(picks).map(([questionNumber, texts]) => {
+    const question = quizDetail.config.questions.find(q => String(q.questionNumber) === String(questionNumber));
+    if (!question) {
+      throw new Error(`Quiz ${quizDetail.id} has no question ${questionNumber}`);
+    }
+    const answerIds = texts.map(text => {
+      const answer = question.answers.find(a => a.text === text);
+      if (!answer) {
+        throw new Error(`Question ${questionNumber} has no answer "${text}"`);
+      }
+      return Number(answer.id);
+    });
+    return { question_id: Number(question.id), answer: { answer_ids: answerIds } };
+  });
+
+  return programId ? { program_id: programId, questions } : { questions };
+}
+
+/**
+ * Generate a questionnaire material (unscored entries, no correct answers)
+ */
+function createQuestionnaireMaterial(suffix = '') {
+  return {
+    name: `Test Questionnaire ${suffix || timestamp}`,
+    description: 'A test questionnaire material',
+    type: 'Questionnaire',
+    questionnaireType: 'survey',
+    config: {
+      entries: [
+        { text: 'How clear was the training?', description: 'Rate from 1 to 5' },
+        { text: 'What should be improved?' }
+      ]
+    }
+  };
+}
+
 /**
  * Generate a composite material (parent)
  */
@@ -227,16 +326,17 @@ function createCompositeMaterial(suffix = '') {
 }
 
 /**
- * Generate a chatbot material
+ * Generate a chatbot material. The endpoint defaults to a bot on the local
+ * chatbot stub (see helpers/chatbot-stub.js).
  */
-function createChatbotMaterial(suffix = '', endpoint = 'https://test.xr50.work') {
+function createChatbotMaterial(suffix = '', endpoint = chatbotStubEndpoint(), { model = 'default', prompt } = {}) {
   return {
     name: `Test Chatbot ${suffix || timestamp}`,
     description: 'A test chatbot material for AI conversations',
     type: 'Chatbot',
     chatbotConfig: endpoint,
-    chatbotModel: 'default',
-    chatbotPrompt: 'You are a helpful assistant for testing purposes.'
+    chatbotModel: model,
+    chatbotPrompt: prompt || 'You are a helpful assistant for testing purposes.'
   };
 }
 
@@ -308,6 +408,24 @@ function createAIAssistantMaterialWithLegacyIds(assetId, suffix = '') {
   };
 }
 
+/**
+ * Generate a default material whose asset is created by reference to `url`
+ * (nothing is uploaded; AI processing downloads the asset from that URL).
+ */
+function createMaterialWithAssetReference(url, filename, suffix = '') {
+  return {
+    name: `Test Referenced Asset ${suffix || timestamp}`,
+    description: 'A material whose asset is created by reference',
+    type: 'default',
+    assetReference: {
+      filename,
+      filetype: filename.split('.').pop(),
+      description: 'Asset created by reference',
+      url
+    }
+  };
+}
+
 /**
  * Generate a training program
  */
@@ -350,6 +468,16 @@ function createProgramWithPaths(suffix = '') {
   };
 }
 
+/**
+ * Generate a standalone learning path (XR50LearningPathController)
+ */
+function createLearningPath(suffix = '') {
+  return {
+    learningPathName: `Test Learning Path ${suffix || timestamp}`,
+    description: 'A test learning path'
+  };
+}
+
 /**
  * Generate a test user
  */
@@ -413,57 +541,191 @@ function createTestImageFile() {
   };
 }
 
+// Age at which a lock on the state file counts as left behind by a worker
+// that died holding it (a live lock is held for milliseconds)
+const STATE_LOCK_TIMEOUT = 5000;
+
+const RESOURCE_KINDS = ['tenants', 'relationships', 'materials', 'programs', 'assets', 'users'];
+
+/**
+ * Milliseconds since a lock file was taken (0 once it is gone)
+ */
+function lockAge(lockFile) {
+  try {
+    return Date.now() - fs.statSync(lockFile).mtimeMs;
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return 0;
+    }
+    throw error;
+  }
+}
+
+/**
+ * Owner token written into a lock file (null once it is gone)
+ */
+function lockOwner(lockFile) {
+  try {
+    return fs.readFileSync(lockFile, 'utf8');
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return null;
+    }
+    throw error;
+  }
+}
+
+/**
+ * Remove a lock left behind by a worker that died holding it. The lock is
+ * renamed aside first, so only one waiter gets it, and put back if it turns
+ * out to be a lock another worker took since `staleOwner` was read.
+ */
+function removeStaleLock(lockFile, staleOwner, token) {
+  const aside = `${lockFile}.${token}`;
+  try {
+    fs.renameSync(lockFile, aside);
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return;
+    }
+    throw error;
+  }
+
+  if (fs.readFileSync(aside, 'utf8') !== staleOwner) {
+    try {
+      fs.linkSync(aside, lockFile);
+    } catch (error) {
+      if (error.code !== 'EEXIST') {
+        throw error;
+      }
+    }
+  }
+  fs.rmSync(aside, { force: true });
+}
+
 /**
- * Track created resources for cleanup
+ * Read, change and write the state file under a lock file, so trackers in
+ * several Jest workers never drop each other's entries
+ */
+function updateState(stateFile, update) {
+  const lockFile = `${stateFile}.lock`;
+  const token = `${process.pid}-${crypto.randomUUID()}`;
+  let lock;
+
+  while (lock === undefined) {
+    try {
+      lock = fs.openSync(lockFile, 'wx');
+      fs.writeSync(lock, token);
+    } catch (error) {
+      if (error.code !== 'EEXIST') {
+        throw error;
+      }
+      const owner = lockOwner(lockFile);
+      if (owner !== null && lockAge(lockFile) > STATE_LOCK_TIMEOUT) {
+        removeStaleLock(lockFile, owner, token);
+      } else {
+        Atomics.wait(new Int32Array(new SharedArrayBuffer(4)), 0, 0, 10);
+      }
+    }
+  }
+
+  try {
+    const state = JSON.parse(fs.readFileSync(stateFile, 'utf8'));
+    update(state);
+    const tempFile = `${stateFile}.${process.pid}.tmp`;
+    fs.writeFileSync(tempFile, JSON.stringify(state, null, 2));
+    fs.renameSync(tempFile, stateFile);
+  } finally {
+    fs.closeSync(lock);
+    // A lock held past STATE_LOCK_TIMEOUT may have been taken over since
+    if (lockOwner(lockFile) === token) {
+      fs.rmSync(lockFile, { force: true });
+    }
+  }
+}
+
+/**
+ * Track created resources for cleanup.
+ *
+ * Entries live in the createdResources block of the state file that setup.js
+ * writes, so every Jest worker adds to the same lists; teardown.js deletes
+ * them after the run. Without a state file (no global setup) nothing is
+ * tracked. Resources are recorded with their tenant, the test tenant unless
+ * another is passed.
+ *
+ * Usage:
+ *   testData.resourceTracker.trackMaterial(response.data.id);
+ *   testData.resourceTracker.trackRelationship('program', programId, materialId);
  */
 class TestResourceTracker {
-  constructor() {
-    this.tenants = [];
-    this.materials = [];
-    this.assets = [];
-    this.programs = [];
-    this.users = [];
+  constructor(stateFile = config.STATE_FILE) {
+    this.stateFile = stateFile;
+  }
+
+  track(kind, entry) {
+    if (!fs.existsSync(this.stateFile)) {
+      return;
+    }
+    updateState(this.stateFile, state => {
+      state.createdResources = state.createdResources || {};
+      const entries = state.createdResources[kind] || (state.createdResources[kind] = []);
+      if (!entries.some(existing => JSON.stringify(existing) === JSON.stringify(entry))) {
+        entries.push(entry);
+      }
+    });
   }
 
   trackTenant(name) {
-    this.tenants.push(name);
+    this.track('tenants', name);
   }
 
-  trackMaterial(id) {
-    this.materials.push(id);
+  trackMaterial(id, tenant = config.getEffectiveTenant()) {
+    this.track('materials', { tenant, id: String(id) });
   }
 
-  trackAsset(id) {
-    this.assets.push(id);
+  trackAsset(id, tenant = config.getEffectiveTenant()) {
+    this.track('assets', { tenant, id: String(id) });
   }
 
-  trackProgram(id) {
-    this.programs.push(id);
+  trackProgram(id, tenant = config.getEffectiveTenant()) {
+    this.track('programs', { tenant, id: String(id) });
   }
 
-  trackUser(name) {
-    this.users.push(name);
+  trackUser(name, tenant = config.getEffectiveTenant()) {
+    this.track('users', { tenant, id: name });
+  }
+
+  /**
+   * A material assigned to a parent: 'material' (materials/{parentId}/assign-material)
+   * or 'program' (programs/{parentId}/assign-material)
+   */
+  trackRelationship(kind, parentId, childId, tenant = config.getEffectiveTenant()) {
+    this.track('relationships', { tenant, kind, parentId: String(parentId), childId: String(childId) });
   }
 
   getAll() {
-    return {
-      tenants: [...this.tenants],
-      materials: [...this.materials],
-      assets: [...this.assets],
-      programs: [...this.programs],
-      users: [...this.users]
-    };
+    let resources = {};
+    try {
+      resources = JSON.parse(fs.readFileSync(this.stateFile, 'utf8')).createdResources || {};
+    } catch (error) {
+      // No state file, nothing tracked
+    }
+    return Object.fromEntries(RESOURCE_KINDS.map(kind => [kind, [...(resources[kind] || [])]]));
   }
 
   clear() {
-    this.tenants = [];
-    this.materials = [];
-    this.assets = [];
-    this.programs = [];
-    this.users = [];
+    if (!fs.existsSync(this.stateFile)) {
+      return;
+    }
+    updateState(this.stateFile, state => {
+      state.createdResources = Object.fromEntries(RESOURCE_KINDS.map(kind => [kind, []]));
+    });
   }
 }
 
+// Shared by every suite of a worker
+const resourceTracker = new TestResourceTracker();
+
 module.exports = {
   createTenant,
   createS3Tenant,
@@ -474,18 +736,25 @@ module.exports = {
   createVideoWithTimestamps,
   createChecklistMaterial,
   createWorkflowMaterial,
+  createQuizMaterial,
+  scoreQuizAnswers,
+  buildQuizSubmission,
+  createQuestionnaireMaterial,
   createCompositeMaterial,
   createChatbotMaterial,
   createAIAssistantMaterialEmpty,
   createAIAssistantMaterialWithConfigAssets,
   createAIAssistantMaterialWithTopLevelAssets,
   createAIAssistantMaterialWithLegacyIds,
+  createMaterialWithAssetReference,
   createTrainingProgram,
   createProgramWithPaths,
+  createLearningPath,
   createTestUser,
   createAdminUser,
   createTestTextFile,
   createTestImageFile,
   TestResourceTracker,
+  resourceTracker,
   STORAGE_TYPE
 };
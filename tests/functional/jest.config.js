@@ -1,5 +1,8 @@
+const config = require('./config');
+
 module.exports = {
-  testEnvironment: 'node',
+  // Node environment that also keeps a HAR of API traffic per test
+  testEnvironment: './har-environment.js',
   testMatch: ['**/suites/**/*.test.js'],
   testTimeout: 30000,
   verbose: true,
@@ -7,8 +10,10 @@ module.exports = {
   detectOpenHandles: true,
   globalSetup: './setup.js',
   globalTeardown: './teardown.js',
-  // Run tests in order (not parallel) to ensure proper sequencing
-  maxWorkers: 1,
+  setupFilesAfterEnv: ['./helpers/matchers.js'],
+  // Run tests in order (not parallel) to ensure proper sequencing, unless
+  // PARALLEL=true gives each worker a tenant of its own
+  maxWorkers: config.PARALLEL ? config.PARALLEL_WORKERS : 1,
   // Force alphabetical order so tenant creation runs before dependent tests
   testSequencer: './testSequencer.js'
 };
@@ -5,20 +5,22 @@ const path = require('path');
  * Global test setup
  *
  * Runs once before all tests to:
- * 1. Generate and save test tenant name
+ * 1. Generate and save test tenant name (one per Jest worker if PARALLEL)
  * 2. Verify API is reachable
- * 3. Create the test tenant (unless EXISTING_TENANT is set)
+ * 3. Create the test tenant(s) (unless EXISTING_TENANT is set)
  * 4. Authenticate with Keycloak (if not NO_AUTH)
+ * 5. Start the DataLens stub (if DATALENS_STUB)
+ * 6. Start the chatbot stub (if CHATBOT_STUB)
+ * 7. Start the OIDC stub (if OIDC_STUB), before the Keycloak check
+ * 8. Save the OpenAPI document for contract checks and endpoint coverage
  */
 
-module.exports = async function globalSetup() {
+module.exports = async function globalSetup(globalConfig) {
   // Import config after we potentially create the state file
   const axios = require('axios');
 
   // Base config values (before state file exists)
   const API_BASE_URL = process.env.API_URL || 'http://localhost:5286';
-  const KEYCLOAK_URL = process.env.KEYCLOAK_URL || 'http://localhost:8180';
-  const KEYCLOAK_REALM = process.env.KEYCLOAK_REALM || 'xr50';
   const S3_BUCKET = process.env.S3_BUCKET || 'xr50-test-verification';
   const S3_REGION = process.env.S3_REGION || 'eu-west-1';
   const S3_ENDPOINT = process.env.S3_ENDPOINT || '';
@@ -26,6 +28,11 @@ module.exports = async function globalSetup() {
   const NO_AUTH = process.env.NO_AUTH === 'true';
   const DEBUG = process.env.DEBUG === 'true';
   const SKIP_CLEANUP = process.env.SKIP_CLEANUP === 'true';
+  const PARALLEL = process.env.PARALLEL === 'true';
+
+  if (PARALLEL && EXISTING_TENANT) {
+    throw new Error('PARALLEL=true creates a tenant per Jest worker and cannot be combined with EXISTING_TENANT');
+  }
 
   // State file for sharing tenant name across test files
   const STATE_FILE = path.join(__dirname, '.test-state.json');
@@ -33,14 +40,26 @@ module.exports = async function globalSetup() {
   // Generate test tenant name
   const testTenant = EXISTING_TENANT || process.env.TEST_TENANT || `test-${Date.now()}`;
 
+  // Parallel runs give each Jest worker (JEST_WORKER_ID 1..maxWorkers) a
+  // tenant named after the test tenant, so suites never share data;
+  // config.js resolves TEST_TENANT to the worker's own
+  const workerTenants = PARALLEL
+    ? Object.fromEntries(Array.from({ length: globalConfig.maxWorkers }, (_, index) =>
+      [String(index + 1), `${testTenant}-w${index + 1}`]))
+    : null;
+  const tenantsToCreate = workerTenants ? Object.values(workerTenants) : [testTenant];
+
   // Save state file so all test files use the same tenant
   const state = {
     testTenant,
     existingTenant: EXISTING_TENANT,
     createdTenant: !EXISTING_TENANT, // Track if we created it (for cleanup)
+    ...(workerTenants && { workerTenants }),
     createdAt: new Date().toISOString(),
+    // Filled by TestResourceTracker (helpers/test-data.js), deleted by teardown.js
     createdResources: {
       tenants: [],
+      relationships: [],
       materials: [],
       assets: [],
       programs: [],
@@ -50,19 +69,33 @@ module.exports = async function globalSetup() {
 
   fs.writeFileSync(STATE_FILE, JSON.stringify(state, null, 2));
 
+  // Safe to load config and the client now that the state file names the tenant
+  const config = require('./config');
+  const apiClient = require('./helpers/api-client');
+
+  // Start every run with an empty retry report and no HARs, contract, coverage or fuzz reports from earlier runs
+  fs.rmSync(config.RETRY_REPORT_FILE, { force: true });
+  fs.rmSync(config.HAR_DIR, { recursive: true, force: true });
+  fs.rmSync(config.CONTRACT_DIR, { recursive: true, force: true });
+  fs.rmSync(config.COVERAGE_DIR, { recursive: true, force: true });
+  fs.rmSync(config.COVERAGE_FILE, { force: true });
+  fs.rmSync(config.FUZZ_DIR, { recursive: true, force: true });
+
   console.log('\n========================================');
   console.log('  XR5.0 Functional Test Suite');
   console.log('========================================\n');
 
   console.log('Configuration:');
   console.log(`  API URL:       ${API_BASE_URL}`);
-  console.log(`  Keycloak:      ${KEYCLOAK_URL}`);
-  console.log(`  Test Tenant:   ${testTenant}`);
+  console.log(`  Keycloak:      ${config.KEYCLOAK_URL}${config.OIDC_STUB ? ' (OIDC stub)' : ''}`);
+  console.log(`  Test Tenant:   ${tenantsToCreate.join(', ')}`);
   console.log(`  S3 Bucket:     ${S3_BUCKET}`);
   console.log(`  S3 Region:     ${S3_REGION}`);
   console.log(`  S3 Endpoint:   ${S3_ENDPOINT || '(default AWS)'}`);
   if (EXISTING_TENANT) {
     console.log(`  Mode:          Using EXISTING tenant`);
+  } else if (workerTenants) {
+    console.log(`  Mode:          PARALLEL, creating a NEW tenant for each of ${tenantsToCreate.length} workers`);
   } else {
     console.log(`  Mode:          Creating NEW tenant`);
   }
@@ -71,18 +104,52 @@ module.exports = async function globalSetup() {
   }
   console.log(`  Debug Mode:    ${DEBUG ? 'ON' : 'OFF'}`);
   console.log(`  Skip Cleanup:  ${SKIP_CLEANUP ? 'YES' : 'NO'}`);
+  console.log(`  HAR Capture:   ${config.HAR_MODE}`);
+  console.log(`  Record Mode:   ${config.RECORD_MODE}`);
+  console.log(`  OpenAPI Spec:  ${process.env.OPENAPI_SPEC_FILE ? config.OPENAPI_SPEC_FILE : config.OPENAPI_URL}`);
+  console.log(`  Contract:      ${config.CONTRACT_MODE}`);
+  console.log(`  Coverage Min:  ${config.COVERAGE_THRESHOLD ? `${config.COVERAGE_THRESHOLD}%` : 'OFF'}`);
+  console.log(`  Retries:       up to ${config.RETRY_MAX_ATTEMPTS} attempts on ${config.RETRY_STATUSES.join('/')}`);
+  console.log(`  DataLens Stub: ${config.DATALENS_STUB ? `${config.DATALENS_STUB_URL} (API reaches it at ${config.DATALENS_STUB_API_URL})` : 'OFF'}`);
+  console.log(`  Chatbot Stub:  ${config.CHATBOT_STUB ? `${config.CHATBOT_STUB_URL} (API reaches it at ${config.CHATBOT_STUB_API_URL})` : 'OFF'}`);
+  console.log(`  OIDC Stub:     ${config.OIDC_STUB ? `${config.OIDC_STUB_URL} (API reaches it at ${config.OIDC_STUB_API_URL})` : 'OFF'}`);
   console.log('');
 
   const TENANT_API_URL = `${API_BASE_URL}/xr50/trainingAssetRepository/tenants`;
+  const urlTenant = workerTenants ? `${testTenant}-w{worker}` : testTenant;
 
   console.log('Computed URLs:');
   console.log(`  Tenants:       ${TENANT_API_URL}`);
-  console.log(`  Materials:     ${API_BASE_URL}/api/${testTenant}/materials`);
-  console.log(`  Assets:        ${API_BASE_URL}/api/${testTenant}/assets`);
-  console.log(`  Programs:      ${API_BASE_URL}/api/${testTenant}/programs`);
-  console.log(`  Users:         ${API_BASE_URL}/api/${testTenant}/users`);
+  console.log(`  Materials:     ${API_BASE_URL}/api/${urlTenant}/materials`);
+  console.log(`  Assets:        ${API_BASE_URL}/api/${urlTenant}/assets`);
+  console.log(`  Programs:      ${API_BASE_URL}/api/${urlTenant}/programs`);
+  console.log(`  Users:         ${API_BASE_URL}/api/${urlTenant}/users`);
   console.log('');
 
+  // The stubs live in this process until teardown.js closes them
+  if (config.DATALENS_STUB) {
+    const { startDataLensStub } = require('./helpers/datalens-stub');
+    globalThis.__DATALENS_STUB__ = await startDataLensStub();
+    console.log(`DataLens stub listening on ${config.DATALENS_STUB_HOST}:${config.DATALENS_STUB_PORT}\n`);
+  }
+  if (config.CHATBOT_STUB) {
+    const { startChatbotStub } = require('./helpers/chatbot-stub');
+    globalThis.__CHATBOT_STUB__ = await startChatbotStub();
+    console.log(`Chatbot stub listening on ${config.CHATBOT_STUB_HOST}:${config.CHATBOT_STUB_PORT}\n`);
+  }
+  if (config.OIDC_STUB) {
+    const { startOidcStub } = require('./helpers/oidc-stub');
+    globalThis.__OIDC_STUB__ = await startOidcStub();
+    console.log(`OIDC stub listening on ${config.OIDC_STUB_HOST}:${config.OIDC_STUB_PORT} (issuer ${config.OIDC_STUB_ISSUER})\n`);
+  }
+
+  if (config.RECORD_MODE === 'replay') {
+    // Suites are served from cassettes/, so there is nothing to reach or create
+    console.log(`Replay mode: serving responses from ${path.relative(__dirname, config.CASSETTE_DIR)}/`);
+    console.log('\nStarting tests...\n');
+    return;
+  }
+
   // Quick connectivity check
   try {
     const response = await axios.get(`${API_BASE_URL}/health`, {
@@ -102,12 +169,14 @@ module.exports = async function globalSetup() {
     throw new Error('Cannot reach API - aborting tests');
   }
 
+  await saveOpenApiSpec(config);
+
   // Try Keycloak connectivity (skip if NO_AUTH mode)
   if (NO_AUTH) {
     console.log('Keycloak connectivity: Skipped (NO_AUTH mode)');
   } else {
     try {
-      const response = await axios.get(`${KEYCLOAK_URL}/realms/${KEYCLOAK_REALM}/.well-known/openid-configuration`, {
+      const response = await axios.get(`${config.KEYCLOAK_URL}/realms/${config.KEYCLOAK_REALM}/.well-known/openid-configuration`, {
         timeout: 5000,
         validateStatus: () => true
       });
@@ -124,51 +193,25 @@ module.exports = async function globalSetup() {
     }
   }
 
-  // Create test tenant (unless using existing)
+  // Create the test tenant(s) (unless using existing)
   if (!EXISTING_TENANT) {
-    console.log(`\nCreating test tenant: ${testTenant}...`);
-
-    try {
-      const tenantData = {
-        tenantName: testTenant,
-        tenantGroup: 'functional-tests',
-        description: `Functional test tenant created at ${new Date().toISOString()}`,
-        storageType: 'S3',
-        s3Config: {
-          bucketName: S3_BUCKET,
-          bucketRegion: S3_REGION,
-          ...(S3_ENDPOINT && { endpoint: S3_ENDPOINT })
-        },
-        owner: {
-          userName: 'testadmin',
-          fullName: 'Test Administrator',
-          userEmail: `admin@${testTenant}.test`,
-          password: 'TestPass123!',
-          admin: true
-        }
-      };
-
-      const response = await axios.post(TENANT_API_URL, tenantData, {
-        timeout: 30000,
-        validateStatus: () => true,
-        headers: { 'Content-Type': 'application/json' }
-      });
+    const client = apiClient.createClient({ label: 'setup' });
+    const s3Config = {
+      bucketName: S3_BUCKET,
+      bucketRegion: S3_REGION,
+      ...(S3_ENDPOINT && { endpoint: S3_ENDPOINT })
+    };
 
-      if (response.status === 200 || response.status === 201) {
-        console.log(`Tenant created: ${testTenant}`);
-        state.createdResources.tenants.push(testTenant);
-        fs.writeFileSync(STATE_FILE, JSON.stringify(state, null, 2));
-      } else {
-        console.error(`Failed to create tenant: ${response.status}`);
-        console.error('Response:', JSON.stringify(response.data, null, 2));
-        throw new Error(`Tenant creation failed: ${response.status}`);
-      }
-    } catch (error) {
-      console.error(`Tenant creation error: ${error.message}`);
-      if (error.response) {
-        console.error('Response:', JSON.stringify(error.response.data, null, 2));
+    for (const tenantName of tenantsToCreate) {
+      try {
+        await createTestTenant(client, TENANT_API_URL, tenantName, s3Config);
+      } catch (error) {
+        // Teardown does not run when setup fails, so remove the worker tenants created so far
+        await deleteTestTenants(client, TENANT_API_URL, state.createdResources.tenants, SKIP_CLEANUP);
+        throw error;
       }
-      throw error;
+      state.createdResources.tenants.push(tenantName);
+      fs.writeFileSync(STATE_FILE, JSON.stringify(state, null, 2));
     }
   } else {
     console.log(`\nUsing existing tenant: ${EXISTING_TENANT}`);
@@ -176,3 +219,102 @@ module.exports = async function globalSetup() {
 
   console.log('\nStarting tests...\n');
 };
+
+/**
+ * Create one functional-test tenant, throwing when the API refuses it
+ */
+async function createTestTenant(client, tenantApiUrl, tenantName, s3Config) {
+  console.log(`\nCreating test tenant: ${tenantName}...`);
+
+  try {
+    const tenantData = {
+      tenantName,
+      tenantGroup: 'functional-tests',
+      description: `Functional test tenant created at ${new Date().toISOString()}`,
+      storageType: 'S3',
+      s3Config,
+      owner: {
+        userName: 'testadmin',
+        fullName: 'Test Administrator',
+        userEmail: `admin@${tenantName}.test`,
+        password: 'TestPass123!',
+        admin: true
+      }
+    };
+
+    // Tenant creation provisions a database and bucket prefix, so it is the
+    // call most exposed to proxy blips on shared sandboxes - retry it.
+    const response = await client.post(tenantApiUrl, tenantData, {
+      auth: false,
+      timeout: 30000,
+      retry: true
+    });
+
+    if (response.status === 200 || response.status === 201) {
+      console.log(`Tenant created: ${tenantName}`);
+    } else {
+      console.error(`Failed to create tenant: ${response.status}`);
+      console.error('Response:', JSON.stringify(response.data, null, 2));
+      throw new Error(`Tenant creation failed: ${response.status}`);
+    }
+  } catch (error) {
+    console.error(`Tenant creation error: ${error.message}`);
+    if (error.response) {
+      console.error('Response:', JSON.stringify(error.response.data, null, 2));
+    }
+    throw error;
+  }
+}
+
+/**
+ * Best-effort removal of the tenants a failed setup already created
+ */
+async function deleteTestTenants(client, tenantApiUrl, tenantNames, skipCleanup) {
+  if (skipCleanup || tenantNames.length === 0) {
+    return;
+  }
+
+  console.log(`Removing the ${tenantNames.length} tenants created before the failure...`);
+  for (const tenantName of tenantNames) {
+    try {
+      const response = await client.delete(`${tenantApiUrl}/${tenantName}`, { auth: false, timeout: 30000 });
+      console.log(`  ${tenantName}: HTTP ${response.status}`);
+    } catch (error) {
+      console.warn(`  ${tenantName}: ${error.message}`);
+    }
+  }
+}
+
+/**
+ * Fetch the Swagger document once for the whole run; every suite validates
+ * and counts coverage against this copy. A spec named by OPENAPI_SPEC_FILE is
+ * used as it is.
+ */
+async function saveOpenApiSpec(config) {
+  if (process.env.OPENAPI_SPEC_FILE) {
+    console.log(`OpenAPI spec: using ${config.OPENAPI_SPEC_FILE}`);
+    return;
+  }
+
+  // Never validate against the document of an earlier run
+  fs.rmSync(config.OPENAPI_SPEC_FILE, { force: true });
+
+  try {
+    const axios = require('axios');
+    const response = await axios.get(config.OPENAPI_URL, {
+      timeout: 10000,
+      validateStatus: () => true
+    });
+
+    if (response.status === 200 && response.data?.paths) {
+      fs.mkdirSync(path.dirname(config.OPENAPI_SPEC_FILE), { recursive: true });
+      fs.writeFileSync(config.OPENAPI_SPEC_FILE, JSON.stringify(response.data, null, 2));
+      console.log(`OpenAPI spec: OK (${Object.keys(response.data.paths).length} paths)`);
+    } else {
+      // Swagger is only served when the API runs in Development
+      console.warn(`OpenAPI spec: Not available (status ${response.status}) - contract checks and coverage disabled`);
+    }
+  } catch (error) {
+    console.warn(`OpenAPI spec: Not available - ${error.message} - contract checks and coverage disabled`);
+  }
+}
@@ -1,11 +1,15 @@
 const apiClient = require('../helpers/api-client');
 const config = require('../config');
+const { findOperation, loadContract } = require('../helpers/contract');
 
 /**
  * Health Check Tests
  *
  * Verifies basic API availability and core endpoints.
  * These tests run first and should pass before other suites.
+ *
+ * Every suite's responses are also checked against the OpenAPI document
+ * (helpers/contract.js); this suite checks that the document was loaded.
  */
 
 describe('Health Checks', () => {
@@ -41,16 +45,34 @@ describe('Health Checks', () => {
     });
 
     test('Swagger JSON is accessible', async () => {
-      const response = await apiClient.get(
-        `${config.API_BASE_URL}/swagger/v1/swagger.json`,
-        { auth: false }
-      );
+      const response = await apiClient.openApiSpec();
 
-      // Swagger may be at different paths
+      // Swagger is only served when the API runs in Development
       expect([200, 404]).toContain(response.status);
     });
   });
 
+  describe('OpenAPI Contract', () => {
+    test('the document used for contract checks describes the core routes', () => {
+      const contract = loadContract();
+      if (config.CONTRACT_MODE === 'off' || !contract) {
+        console.log('Skipping: no OpenAPI document loaded for contract checks');
+        return;
+      }
+
+      expect(contract.spec.openapi).toMatch(/^3\./);
+      for (const [method, url] of [
+        ['GET', config.TENANT_API_URL],
+        ['GET', apiClient.tenantUrl('materials')],
+        ['POST', apiClient.tenantUrl('materials')],
+        ['GET', apiClient.tenantUrl('assets')],
+        ['GET', apiClient.tenantUrl('programs')]
+      ]) {
+        expect(findOperation(contract, method, url)).not.toBeNull();
+      }
+    });
+  });
+
   describe('CORS and Headers', () => {
     test('API returns proper content-type', async () => {
       const response = await apiClient.health();
@@ -1,10 +1,18 @@
 const apiClient = require('../helpers/api-client');
+const testData = require('../helpers/test-data');
 const config = require('../config');
+const { OidcStubControl, decodeJwt } = require('../helpers/oidc-stub');
 
 /**
  * Authentication Tests
  *
  * Verifies Keycloak authentication flow and token handling.
+ *
+ * With OIDC_STUB=true (and the API's IAM settings pointed at the stub) the
+ * whole suite runs offline, and "Locally Signed Tokens" checks signature and
+ * claim validation precisely: tokens that are validly signed but expired,
+ * not yet valid, for another audience or issuer, without roles, signed with
+ * an unpublished key, unsigned or tampered with.
  */
 
 describe('Authentication', () => {
@@ -73,16 +81,16 @@ describe('Authentication', () => {
         return;
       }
 
-      const axios = require('axios');
       const params = new URLSearchParams();
       params.append('grant_type', 'password');
       params.append('client_id', config.KEYCLOAK_CLIENT_ID);
       params.append('username', 'invalid-user');
       params.append('password', 'wrong-password');
 
-      const response = await axios.post(config.KEYCLOAK_TOKEN_URL, params, {
-        headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
-        validateStatus: () => true
+      // Through the client (not raw axios) so the exchange is captured and taped
+      const response = await apiClient.post(config.KEYCLOAK_TOKEN_URL, params, {
+        auth: false,
+        headers: { 'Content-Type': 'application/x-www-form-urlencoded' }
       });
 
       expect(response.status).toBe(401);
@@ -157,4 +165,294 @@ describe('Authentication', () => {
       expect([401, 403]).toContain(response.status);
     });
   });
+
+  describe('Multiple Identities', () => {
+    test('admin creates, test user reads, anonymous is rejected', async () => {
+      const skipReason = getSkipReason();
+      if (skipReason) {
+        console.log(`Skipping: ${skipReason}`);
+        return;
+      }
+
+      const admin = apiClient.createClient({
+        user: config.ADMIN_USER,
+        password: config.ADMIN_PASSWORD,
+        label: 'admin'
+      });
+      const user = apiClient.createClient({ label: 'user' });
+      const anonymous = apiClient.createClient({ label: 'anonymous' });
+
+      await admin.authenticate();
+      await user.authenticate();
+
+      // Each client keeps its own token
+      expect(admin.token).not.toBe(user.token);
+      expect(anonymous.token).toBeNull();
+
+      // The admin identity must be able to create, or nothing below is proven
+      const createResponse = await admin.createMaterial(testData.createSimpleMaterial('multi-identity'));
+      expect([200, 201]).toContain(createResponse.status);
+
+      const materialId = createResponse.data.id;
+      try {
+        const readResponse = await user.getMaterial(materialId);
+        expect(readResponse.status).toBe(200);
+        expect(String(readResponse.data.id)).toBe(String(materialId));
+
+        const anonymousResponse = await anonymous.getMaterial(materialId);
+        expect([401, 403]).toContain(anonymousResponse.status);
+      } finally {
+        if (!config.SKIP_CLEANUP) {
+          await admin.deleteMaterial(materialId);
+        }
+      }
+    });
+  });
+
+  describe('Locally Signed Tokens', () => {
+    const oidc = new OidcStubControl();
+    let stubReady = false;
+
+    const skipWithoutStub = () => {
+      if (!stubReady) {
+        console.log('Skipping: OIDC stub not running (set OIDC_STUB=true)');
+        return true;
+      }
+      return false;
+    };
+
+    // quiz-progress/tenant requires an authenticated user and serves any valid one
+    const callProtected = token => apiClient.get(`${apiClient.tenantUrl('quiz-progress')}/tenant`, {
+      auth: false,
+      headers: token ? { Authorization: `Bearer ${token}` } : {}
+    });
+
+    const nowSeconds = () => Math.floor(Date.now() / 1000);
+
+    beforeAll(async () => {
+      stubReady = !config.NO_AUTH && config.OIDC_STUB && await oidc.isRunning();
+    });
+
+    test('discovery and JWKS publish the signing key', async () => {
+      if (skipWithoutStub()) return;
+
+      const realmUrl = `${config.KEYCLOAK_URL}/realms/${config.KEYCLOAK_REALM}`;
+      const discovery = await apiClient.get(`${realmUrl}/.well-known/openid-configuration`, { auth: false });
+
+      expect(discovery.status).toBe(200);
+      expect(discovery.data.issuer).toBe(config.OIDC_STUB_ISSUER);
+      expect(discovery.data.grant_types_supported).toEqual(
+        expect.arrayContaining(['password', 'client_credentials', 'refresh_token'])
+      );
+
+      const jwks = await apiClient.get(`${realmUrl}/protocol/openid-connect/certs`, { auth: false });
+      const { header } = await oidc.mint();
+
+      expect(jwks.status).toBe(200);
+      expect(jwks.data.keys).toEqual([expect.objectContaining({ kid: header.kid, kty: 'RSA', alg: 'RS256', use: 'sig' })]);
+    });
+
+    test('password grant issues a token the API accepts', async () => {
+      if (skipWithoutStub()) return;
+
+      const client = apiClient.createClient({ label: 'oidc-password' });
+      await client.authenticate();
+
+      const { header, payload } = decodeJwt(client.token);
+      expect(header.alg).toBe('RS256');
+      expect(payload).toMatchObject({
+        iss: config.OIDC_STUB_ISSUER,
+        aud: config.OIDC_STUB_AUDIENCE,
+        azp: config.KEYCLOAK_CLIENT_ID,
+        preferred_username: config.TEST_USER
+      });
+      expect(client.refreshToken).toBeTruthy();
+
+      const response = await callProtected(client.token);
+      expect(response.status).toBe(200);
+    });
+
+    test('client_credentials grant issues a service-account token', async () => {
+      if (skipWithoutStub()) return;
+
+      const params = new URLSearchParams({
+        grant_type: 'client_credentials',
+        client_id: config.KEYCLOAK_CLIENT_ID,
+        client_secret: config.OIDC_STUB_CLIENT_SECRET
+      });
+      const tokenResponse = await apiClient.post(config.KEYCLOAK_TOKEN_URL, params, {
+        auth: false,
+        headers: { 'Content-Type': 'application/x-www-form-urlencoded' }
+      });
+
+      expect(tokenResponse.status).toBe(200);
+      expect(tokenResponse.data.refresh_token).toBeUndefined();
+      expect(decodeJwt(tokenResponse.data.access_token).payload.preferred_username)
+        .toBe(`service-account-${config.KEYCLOAK_CLIENT_ID}`);
+
+      const response = await callProtected(tokenResponse.data.access_token);
+      expect(response.status).toBe(200);
+    });
+
+    test('client_credentials grant requires the client secret', async () => {
+      if (skipWithoutStub()) return;
+
+      const params = new URLSearchParams({
+        grant_type: 'client_credentials',
+        client_id: config.KEYCLOAK_CLIENT_ID
+      });
+      const response = await apiClient.post(config.KEYCLOAK_TOKEN_URL, params, {
+        auth: false,
+        headers: { 'Content-Type': 'application/x-www-form-urlencoded' }
+      });
+
+      expect(response.status).toBe(401);
+      expect(response.data.error).toBe('unauthorized_client');
+    });
+
+    test('anonymous request is rejected', async () => {
+      if (skipWithoutStub()) return;
+
+      const response = await callProtected();
+
+      expect(response.status).toBe(401);
+    });
+
+    test('token without roles is accepted', async () => {
+      if (skipWithoutStub()) return;
+
+      // Access is decided by the tenant's user records, not token roles
+      const response = await callProtected(await oidc.token({ user: config.ADMIN_USER, roles: null }));
+
+      expect(response.status).toBe(200);
+    });
+
+    test('token expired within the five-minute clock skew is accepted', async () => {
+      if (skipWithoutStub()) return;
+
+      const now = nowSeconds();
+      const response = await callProtected(await oidc.token({ claims: { iat: now - 600, exp: now - 60 } }));
+
+      expect(response.status).toBe(200);
+    });
+
+    test.each([
+      ['expired', { expired: true }, /The token expired at/],
+      ['not yet valid', { notBefore: 3600 }, /The token is not valid before/],
+      ['without an expiry', { omit: ['exp'] }, /The token has no expiration/],
+      ['for another audience', { audience: 'another-api' }, /The audience 'another-api' is invalid/],
+      ['from another issuer', { issuer: 'https://issuer.invalid/realms/xr50' }, /The issuer 'https:\/\/issuer\.invalid\/realms\/xr50' is invalid/],
+      ['signed with an unpublished key', { key: 'foreign' }, /The signature key was not found/],
+      ['unsigned (alg none)', { alg: 'none' }, null]
+    ])('rejects a token %s', async (name, mintOptions, description) => {
+      if (skipWithoutStub()) return;
+
+      const response = await callProtected(await oidc.token(mintOptions));
+
+      expect(response.status).toBe(401);
+      expect(response.headers['www-authenticate']).toMatch(/^Bearer error="invalid_token"/);
+      if (description) {
+        expect(response.headers['www-authenticate']).toMatch(description);
+      }
+    });
+
+    test('rejects a token whose claims were changed after signing', async () => {
+      if (skipWithoutStub()) return;
+
+      const [header, payload, signature] = (await oidc.token()).split('.');
+      const claims = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+      const forged = Buffer.from(JSON.stringify({ ...claims, preferred_username: config.ADMIN_USER })).toString('base64url');
+
+      const response = await callProtected(`${header}.${forged}.${signature}`);
+
+      expect(response.status).toBe(401);
+      expect(response.headers['www-authenticate']).toMatch(/^Bearer error="invalid_token"/);
+    });
+  });
+
+  describe('Token Refresh', () => {
+    const oidc = new OidcStubControl();
+    let stubReady = false;
+
+    // The expiry test waits out a whole token lifetime
+    const MAX_WAITED_LIFETIME = 15;
+
+    const skipWithoutStub = () => {
+      if (!stubReady) {
+        console.log('Skipping: OIDC stub not running (set OIDC_STUB=true)');
+        return true;
+      }
+      return false;
+    };
+
+    // Through the client's own token, so refresh and the 401 replay apply
+    const callProtected = client => client.get(`${client.tenantUrl('quiz-progress')}/tenant`);
+
+    // Grant types the stub's token endpoint saw since the last reset
+    const grantsSeen = async () => (await oidc.requests('token')).map(request => request.grantType);
+
+    /**
+     * Client holding a token the API rejects (expired an hour ago, past the
+     * clock skew) that it still believes valid for an hour
+     */
+    async function clientWithRejectedToken(label) {
+      const client = apiClient.createClient({ label });
+      await client.authenticate();
+      client.token = await oidc.token({ expired: true });
+      client.tokenExpiry = Date.now() + 60 * 60 * 1000;
+      await oidc.reset();
+      return client;
+    }
+
+    beforeAll(async () => {
+      stubReady = !config.NO_AUTH && config.OIDC_STUB && await oidc.isRunning();
+    });
+
+    test('a call after the access token expired refreshes it first', async () => {
+      if (skipWithoutStub()) return;
+      if (config.OIDC_STUB_TOKEN_LIFETIME > MAX_WAITED_LIFETIME) {
+        console.log(`Skipping: waiting for expiry needs OIDC_STUB_TOKEN_LIFETIME=${MAX_WAITED_LIFETIME} or less`);
+        return;
+      }
+
+      const client = apiClient.createClient({ label: 'oidc-expiry' });
+      await client.authenticate();
+      const expiredToken = client.token;
+
+      await new Promise(resolve => setTimeout(resolve, config.OIDC_STUB_TOKEN_LIFETIME * 1000 + 1000));
+      expect(Date.now()).toBeGreaterThan(client.tokenExpiry);
+      await oidc.reset();
+
+      const response = await callProtected(client);
+
+      expect(response.status).toBe(200);
+      expect(client.token).not.toBe(expiredToken);
+      expect(await grantsSeen()).toEqual(['refresh_token']);
+    }, (MAX_WAITED_LIFETIME + 15) * 1000);
+
+    test('a 401 refreshes the token and replays the request', async () => {
+      if (skipWithoutStub()) return;
+
+      const client = await clientWithRejectedToken('oidc-replay');
+
+      const response = await callProtected(client);
+
+      expect(response.status).toBe(200);
+      const grants = await grantsSeen();
+      expect(grants[0]).toBe('refresh_token');
+      expect(grants).not.toContain('password');
+    });
+
+    test('a rejected refresh token falls back to the password grant', async () => {
+      if (skipWithoutStub()) return;
+
+      const client = await clientWithRejectedToken('oidc-fallback');
+      client.refreshToken = 'not-a-refresh-token';
+
+      const response = await callProtected(client);
+
+      expect(response.status).toBe(200);
+      expect((await grantsSeen()).slice(0, 2)).toEqual(['refresh_token', 'password']);
+    });
+  });
 });
@@ -42,7 +42,8 @@ describe('S3 Storage Operations', () => {
         {
           description: 'Verification test file',
           filetype: 'txt'
-        }
+        },
+        { retry: true }
       );
 
       // Accept success, auth issues, or server errors (storage misconfiguration)
@@ -62,7 +63,7 @@ describe('S3 Storage Operations', () => {
         uploadedAssetId = response.data.id;
 
         // Track for cleanup
-        global.__TEST_CONFIG__?.createdResources?.assets?.push(uploadedAssetId);
+        testData.resourceTracker.trackAsset(uploadedAssetId);
       }
     });
 
@@ -76,7 +77,8 @@ describe('S3 Storage Operations', () => {
         {
           description: 'Verification test image',
           filetype: 'png'
-        }
+        },
+        { retry: true }
       );
 
       // Accept success, auth issues, or server errors (storage misconfiguration)
@@ -93,7 +95,7 @@ describe('S3 Storage Operations', () => {
 
       if (response.status === 200 || response.status === 201) {
         const imageAssetId = response.data.id;
-        global.__TEST_CONFIG__?.createdResources?.assets?.push(imageAssetId);
+        testData.resourceTracker.trackAsset(imageAssetId);
       }
     });
   });
@@ -166,7 +168,8 @@ describe('S3 Storage Operations', () => {
         `${config.ASSETS_API_URL}/upload`,
         testFile.buffer,
         testFile.filename,
-        { description: 'Content verification test' }
+        { description: 'Content verification test' },
+        { retry: true }
       );
 
       if (uploadResponse.status !== 200 && uploadResponse.status !== 201) {
@@ -175,7 +178,7 @@ describe('S3 Storage Operations', () => {
       }
 
       const assetId = uploadResponse.data.id;
-      global.__TEST_CONFIG__?.createdResources?.assets?.push(assetId);
+      testData.resourceTracker.trackAsset(assetId);
 
       // Download and verify content
       const downloadResponse = await apiClient.downloadAsset(assetId);
@@ -196,7 +199,8 @@ describe('S3 Storage Operations', () => {
         `${config.ASSETS_API_URL}/upload`,
         testFile.buffer,
         `delete-test-${Date.now()}.txt`,
-        { description: 'Delete test' }
+        { description: 'Delete test' },
+        { retry: true }
       );
 
       if (uploadResponse.status !== 200 && uploadResponse.status !== 201) {
@@ -5,7 +5,8 @@ const config = require('../config');
 /**
  * Material CRUD Tests
  *
- * Verifies material creation, retrieval, update, and deletion.
+ * Verifies material creation, retrieval, update, and deletion, and the
+ * timestamp/entry/step sub-resources of video, checklist and workflow materials.
  */
 
 describe('Material Operations', () => {
@@ -63,7 +64,7 @@ describe('Material Operations', () => {
 
       if (response.status === 200 || response.status === 201) {
         expect(response.data).toHaveProperty('type', 'video');
-        global.__TEST_CONFIG__?.createdResources?.materials?.push(response.data.id);
+        testData.resourceTracker.trackMaterial(response.data.id);
       }
     });
 
@@ -76,7 +77,7 @@ describe('Material Operations', () => {
 
       if (response.status === 200 || response.status === 201) {
         expect(response.data).toHaveProperty('type', 'checklist');
-        global.__TEST_CONFIG__?.createdResources?.materials?.push(response.data.id);
+        testData.resourceTracker.trackMaterial(response.data.id);
       }
     });
 
@@ -89,7 +90,7 @@ describe('Material Operations', () => {
 
       if (response.status === 200 || response.status === 201) {
         expect(response.data).toHaveProperty('type', 'workflow');
-        global.__TEST_CONFIG__?.createdResources?.materials?.push(response.data.id);
+        testData.resourceTracker.trackMaterial(response.data.id);
       }
     });
 
@@ -102,7 +103,7 @@ describe('Material Operations', () => {
 
       if (response.status === 200 || response.status === 201) {
         expect(response.data).toHaveProperty('type', 'chatbot');
-        global.__TEST_CONFIG__?.createdResources?.materials?.push(response.data.id);
+        testData.resourceTracker.trackMaterial(response.data.id);
       }
     });
   });
@@ -196,6 +197,216 @@ describe('Material Operations', () => {
     });
   });
 
+  describe('Material Sub-resources', () => {
+    // Bare typed material with no inline children, so the sub-resource
+    // endpoints alone determine what is attached
+    const createTypedMaterial = async (type, suffix) => {
+      const response = await apiClient.createMaterial({
+        name: `Test ${type} ${suffix} ${Date.now()}`,
+        description: `A ${type.toLowerCase()} for sub-resource tests`,
+        type
+      });
+      if (response.status !== 200 && response.status !== 201) {
+        return null;
+      }
+      testData.resourceTracker.trackMaterial(response.data.id);
+      return response.data.id;
+    };
+
+    describe('Video Timestamps', () => {
+      let videoId;
+      const timestampIds = [];
+
+      beforeAll(async () => {
+        videoId = await createTypedMaterial('Video', 'timestamps');
+      });
+
+      test('adds timestamps in order', async () => {
+        if (!videoId) {
+          console.log('Skipping: No video created');
+          return;
+        }
+
+        for (const [title, startTime] of [['Intro', '00:00:00'], ['Main', '00:01:30'], ['Summary', '00:04:00']]) {
+          const response = await apiClient.addVideoTimestamp(videoId, {
+            title,
+            startTime,
+            description: `${title} chapter`
+          });
+          expect(response.status).toBe(200);
+          expect(response.data).toHaveProperty('title', title);
+          timestampIds.push(response.data.id);
+        }
+
+        const response = await apiClient.getVideoWithTimestamps(videoId);
+        expect(response.status).toBe(200);
+        expect(response.data.timestamps.map(t => t.title)).toEqual(['Intro', 'Main', 'Summary']);
+      });
+
+      test('removing a timestamp leaves its siblings intact', async () => {
+        if (timestampIds.length < 3) {
+          console.log('Skipping: Timestamps not added');
+          return;
+        }
+
+        const response = await apiClient.removeVideoTimestamp(videoId, timestampIds[1]);
+        expect(response.status).toBe(204);
+
+        const readResponse = await apiClient.getVideoWithTimestamps(videoId);
+        expect(readResponse.data.timestamps.map(t => t.title)).toEqual(['Intro', 'Summary']);
+        expect(readResponse.data.timestamps.map(t => String(t.id)))
+          .toEqual([timestampIds[0], timestampIds[2]].map(String));
+      });
+
+      test('returns 404 for removed or foreign timestamp', async () => {
+        if (timestampIds.length < 3) {
+          console.log('Skipping: Timestamps not added');
+          return;
+        }
+
+        const removed = await apiClient.removeVideoTimestamp(videoId, timestampIds[1]);
+        expect(removed).toBeProblem(404);
+
+        // A timestamp only belongs to its own video
+        const foreign = await apiClient.removeVideoTimestamp(999999, timestampIds[0]);
+        expect(foreign).toBeProblem(404);
+      });
+
+      test('returns 404 adding a timestamp to a non-existent video', async () => {
+        const response = await apiClient.addVideoTimestamp(999999, {
+          title: 'Orphan',
+          startTime: '00:00:00'
+        });
+
+        expect(response).toBeProblem(404, { detail: /999999/ });
+      });
+    });
+
+    describe('Checklist Entries', () => {
+      let checklistId;
+      const entryIds = [];
+
+      beforeAll(async () => {
+        checklistId = await createTypedMaterial('Checklist', 'entries');
+      });
+
+      test('adds entries in order', async () => {
+        if (!checklistId) {
+          console.log('Skipping: No checklist created');
+          return;
+        }
+
+        for (const text of ['Prepare', 'Execute', 'Verify']) {
+          const response = await apiClient.addChecklistEntry(checklistId, {
+            text,
+            description: `${text} the task`
+          });
+          expect(response.status).toBe(200);
+          expect(response.data).toHaveProperty('text', text);
+          entryIds.push(response.data.checklistEntryId);
+        }
+
+        const response = await apiClient.getChecklistWithEntries(checklistId);
+        expect(response.status).toBe(200);
+        expect(response.data.entries.map(e => e.text)).toEqual(['Prepare', 'Execute', 'Verify']);
+      });
+
+      test('removing an entry leaves its siblings intact', async () => {
+        if (entryIds.length < 3) {
+          console.log('Skipping: Entries not added');
+          return;
+        }
+
+        const response = await apiClient.removeChecklistEntry(checklistId, entryIds[0]);
+        expect(response.status).toBe(204);
+
+        const readResponse = await apiClient.getChecklistWithEntries(checklistId);
+        expect(readResponse.data.entries.map(e => e.text)).toEqual(['Execute', 'Verify']);
+        expect(readResponse.data.entries.map(e => String(e.checklistEntryId)))
+          .toEqual([entryIds[1], entryIds[2]].map(String));
+      });
+
+      test('returns 404 for removed entry', async () => {
+        if (entryIds.length < 3) {
+          console.log('Skipping: Entries not added');
+          return;
+        }
+
+        const response = await apiClient.removeChecklistEntry(checklistId, entryIds[0]);
+
+        expect(response).toBeProblem(404);
+      });
+
+      test('returns 404 for non-existent checklist', async () => {
+        const response = await apiClient.getChecklistWithEntries(999999);
+
+        expect(response).toBeProblem(404);
+      });
+    });
+
+    describe('Workflow Steps', () => {
+      let workflowId;
+      const stepIds = [];
+
+      beforeAll(async () => {
+        workflowId = await createTypedMaterial('Workflow', 'steps');
+      });
+
+      test('adds steps in order', async () => {
+        if (!workflowId) {
+          console.log('Skipping: No workflow created');
+          return;
+        }
+
+        for (const title of ['Initialize', 'Process', 'Finalize']) {
+          const response = await apiClient.addWorkflowStep(workflowId, {
+            title,
+            content: `${title} step`
+          });
+          expect(response.status).toBe(200);
+          expect(response.data).toHaveProperty('title', title);
+          stepIds.push(response.data.id);
+        }
+
+        const response = await apiClient.getWorkflowWithSteps(workflowId);
+        expect(response.status).toBe(200);
+        expect(response.data.workflowSteps.map(s => s.title)).toEqual(['Initialize', 'Process', 'Finalize']);
+      });
+
+      test('removing a step leaves its siblings intact', async () => {
+        if (stepIds.length < 3) {
+          console.log('Skipping: Steps not added');
+          return;
+        }
+
+        const response = await apiClient.removeWorkflowStep(workflowId, stepIds[2]);
+        expect(response.status).toBe(204);
+
+        const readResponse = await apiClient.getWorkflowWithSteps(workflowId);
+        expect(readResponse.data.workflowSteps.map(s => s.title)).toEqual(['Initialize', 'Process']);
+        expect(readResponse.data.workflowSteps.map(s => String(s.id)))
+          .toEqual([stepIds[0], stepIds[1]].map(String));
+      });
+
+      test('returns 404 for removed step', async () => {
+        if (stepIds.length < 3) {
+          console.log('Skipping: Steps not added');
+          return;
+        }
+
+        const response = await apiClient.removeWorkflowStep(workflowId, stepIds[2]);
+
+        expect(response).toBeProblem(404);
+      });
+
+      test('returns 404 for non-existent workflow', async () => {
+        const response = await apiClient.getWorkflowWithSteps(999999);
+
+        expect(response).toBeProblem(404);
+      });
+    });
+  });
+
   describe('Material Validation', () => {
     test('rejects material without name', async () => {
       const response = await apiClient.createMaterial({
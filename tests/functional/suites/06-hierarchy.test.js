@@ -26,7 +26,7 @@ describe('Material Hierarchy', () => {
     );
     if (parentResponse.status === 200 || parentResponse.status === 201) {
       parentMaterialId = parentResponse.data.id;
-      global.__TEST_CONFIG__?.createdResources?.materials?.push(parentMaterialId);
+      testData.resourceTracker.trackMaterial(parentMaterialId);
     }
 
     // Create child material
@@ -35,7 +35,7 @@ describe('Material Hierarchy', () => {
     );
     if (childResponse.status === 200 || childResponse.status === 201) {
       childMaterialId = childResponse.data.id;
-      global.__TEST_CONFIG__?.createdResources?.materials?.push(childMaterialId);
+      testData.resourceTracker.trackMaterial(childMaterialId);
     }
 
     // Create grandchild material
@@ -44,7 +44,7 @@ describe('Material Hierarchy', () => {
     );
     if (grandchildResponse.status === 200 || grandchildResponse.status === 201) {
       grandchildMaterialId = grandchildResponse.data.id;
-      global.__TEST_CONFIG__?.createdResources?.materials?.push(grandchildMaterialId);
+      testData.resourceTracker.trackMaterial(grandchildMaterialId);
     }
   });
 
@@ -59,6 +59,9 @@ describe('Material Hierarchy', () => {
         parentMaterialId,
         childMaterialId
       );
+      if (response.status >= 200 && response.status < 300) {
+        testData.resourceTracker.trackRelationship('material', parentMaterialId, childMaterialId);
+      }
 
       expect([200, 201, 204]).toContain(response.status);
     });
@@ -73,6 +76,9 @@ describe('Material Hierarchy', () => {
         childMaterialId,
         grandchildMaterialId
       );
+      if (response.status >= 200 && response.status < 300) {
+        testData.resourceTracker.trackRelationship('material', childMaterialId, grandchildMaterialId);
+      }
 
       expect([200, 201, 204]).toContain(response.status);
     });
@@ -139,8 +145,10 @@ describe('Material Hierarchy', () => {
         parentMaterialId
       );
 
-      // Should reject with 400 Bad Request or similar
-      expect([400, 409, 422]).toContain(response.status);
+      expect(response).toBeProblem(400, {
+        detail: /circular reference/,
+        errorCode: 'invalid_request'
+      });
     });
 
     test('rejects indirect circular reference (A -> B -> A)', async () => {
@@ -156,8 +164,10 @@ describe('Material Hierarchy', () => {
         parentMaterialId
       );
 
-      // Should reject with 400 Bad Request or similar
-      expect([400, 409, 422]).toContain(response.status);
+      expect(response).toBeProblem(400, {
+        detail: /circular reference/,
+        errorCode: 'invalid_request'
+      });
     });
 
     test('rejects deep circular reference (A -> B -> C -> A)', async () => {
@@ -173,8 +183,10 @@ describe('Material Hierarchy', () => {
         parentMaterialId
       );
 
-      // Should reject with 400 Bad Request or similar
-      expect([400, 409, 422]).toContain(response.status);
+      expect(response).toBeProblem(400, {
+        detail: /circular reference/,
+        errorCode: 'invalid_request'
+      });
     });
   });
 
@@ -187,7 +199,7 @@ describe('Material Hierarchy', () => {
 
       const response = await apiClient.assignMaterialChild(999999, childMaterialId);
 
-      expect([400, 404]).toContain(response.status);
+      expect(response).toBeProblem(404, { detail: /999999/ });
     });
 
     test('rejects assignment of non-existent child', async () => {
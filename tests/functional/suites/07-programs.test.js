@@ -25,7 +25,7 @@ describe('Training Programs', () => {
     );
     if (materialResponse.status === 200 || materialResponse.status === 201) {
       testMaterialId = materialResponse.data.id;
-      global.__TEST_CONFIG__?.createdResources?.materials?.push(testMaterialId);
+      testData.resourceTracker.trackMaterial(testMaterialId);
     }
   });
 
@@ -62,7 +62,7 @@ describe('Training Programs', () => {
         expect(response.data).toHaveProperty('id');
         expect(response.data).toHaveProperty('name', program.name);
         createdProgramId = response.data.id;
-        global.__TEST_CONFIG__?.createdResources?.programs?.push(createdProgramId);
+        testData.resourceTracker.trackProgram(createdProgramId);
       }
     });
 
@@ -76,7 +76,7 @@ describe('Training Programs', () => {
       expect([200, 201, 401, 403]).toContain(response.status);
 
       if (response.status === 200 || response.status === 201) {
-        global.__TEST_CONFIG__?.createdResources?.programs?.push(response.data.id);
+        testData.resourceTracker.trackProgram(response.data.id);
       }
     });
   });
@@ -124,6 +124,9 @@ describe('Training Programs', () => {
         createdProgramId,
         testMaterialId
       );
+      if (response.status >= 200 && response.status < 300) {
+        testData.resourceTracker.trackRelationship('program', createdProgramId, testMaterialId);
+      }
 
       expect([200, 201, 204]).toContain(response.status);
     });
@@ -62,7 +62,7 @@ describe('User Management', () => {
       if (response.status === 200 || response.status === 201) {
         expect(response.data).toHaveProperty('userName', user.userName);
         createdUserName = user.userName;
-        global.__TEST_CONFIG__?.createdResources?.users?.push(createdUserName);
+        testData.resourceTracker.trackUser(createdUserName);
       }
     });
 
@@ -75,7 +75,7 @@ describe('User Management', () => {
 
       if (response.status === 200 || response.status === 201) {
         expect(response.data).toHaveProperty('admin', true);
-        global.__TEST_CONFIG__?.createdResources?.users?.push(user.userName);
+        testData.resourceTracker.trackUser(user.userName);
       }
     });
 
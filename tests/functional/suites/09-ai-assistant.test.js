@@ -1,6 +1,7 @@
 const apiClient = require('../helpers/api-client');
 const testData = require('../helpers/test-data');
 const config = require('../config');
+const { DataLensStubControl } = require('../helpers/datalens-stub');
 
 /**
  * AI Assistant Material Tests
@@ -19,6 +20,11 @@ const config = require('../config');
  * These tests are permissive about 4xx status codes so the suite still runs in
  * environments without a live DataLens or without admin credentials — just like
  * the existing 05-materials suite.
+ *
+ * With DATALENS_STUB=true (and the API's ChatbotApi__BaseUrl pointed at the stub)
+ * the "Against the DataLens stub" block checks the same flows strictly: collection
+ * creation, document upload and update, Warnings/"partial" on scripted 5xx and
+ * hangs, and AiStatusSyncService moving jobs to ready or failed.
  */
 
 const OK_STATUSES = [200, 201];
@@ -189,6 +195,193 @@ describe('AI Assistant Material', () => {
     });
   });
 
+  describe('Against the DataLens stub', () => {
+    const stub = new DataLensStubControl();
+    let stubReady = false;
+    let collectionName;
+
+    const skipWithoutStub = () => {
+      if (!stubReady) {
+        console.log('Skipping: DataLens stub not running (set DATALENS_STUB=true)');
+        return true;
+      }
+      return false;
+    };
+
+    // Each test references its own stub-served document so DataLens sees a new file
+    async function createStubAsset(label) {
+      const filename = `datalens-${label}-${Date.now()}.txt`;
+      const response = await apiClient.createMaterial(
+        testData.createMaterialWithAssetReference(stub.fileUrl(filename), filename, `datalens-${label}`)
+      );
+      expect(OK_STATUSES).toContain(response.status);
+      createdMaterialIds.push(response.data.id);
+      testData.resourceTracker.trackAsset(response.data.assetId);
+      return { assetId: response.data.assetId, filename };
+    }
+
+    async function createAssistant(assetId, label, options = {}) {
+      const response = await apiClient.post(
+        apiClient.tenantUrl('materials'),
+        testData.createAIAssistantMaterialWithConfigAssets(assetId, `stub-${label}`),
+        options
+      );
+      expect(OK_STATUSES).toContain(response.status);
+      createdMaterialIds.push(response.data.id);
+      return response;
+    }
+
+    // Poll the material detail until AiStatusSyncService has moved it along
+    async function waitForDetail(materialId, predicate) {
+      const deadline = Date.now() + config.DATALENS_SYNC_TIMEOUT;
+      let detail = await apiClient.getMaterialDetail(materialId);
+      while (!predicate(detail.data) && Date.now() < deadline) {
+        await new Promise(resolve => setTimeout(resolve, 2000));
+        detail = await apiClient.getMaterialDetail(materialId);
+      }
+      return detail;
+    }
+
+    beforeAll(async () => {
+      if (!config.DATALENS_STUB) return;
+      stubReady = await stub.isRunning();
+
+      const tenant = config.getEffectiveTenant();
+      const tenantResponse = await apiClient.getTenant(tenant);
+      collectionName = tenantResponse.data?.defaultAICollection ||
+        `aiassist_default_${tenant.replace(/[^a-zA-Z0-9_]/g, '_')}`;
+    });
+
+    beforeEach(async () => {
+      if (stubReady) await stub.reset();
+    });
+
+    test('creates the collection and submits the document', async () => {
+      if (skipWithoutStub()) return;
+
+      // Keep the job in flight so the status cannot move on before it is read
+      await stub.scriptJobs(['processing']);
+      const { assetId, filename } = await createStubAsset('submit');
+
+      const response = await createAssistant(assetId, 'submit');
+
+      expect(response.data).toHaveProperty('status', 'success');
+      expect(response.data.warnings ?? null).toBeNull();
+      expect(response.data.assetIds).toEqual([Number(assetId)]);
+
+      const state = await stub.state();
+      expect(state.collections).toContain(collectionName);
+      const uploads = await stub.requests('uploadDocument');
+      expect(uploads).toHaveLength(1);
+      expect(uploads[0].params.collection).toBe(collectionName);
+      expect(uploads[0].filename).toBe(filename);
+
+      const detail = await apiClient.getMaterialDetail(response.data.id);
+      expect(detail.status).toBe(200);
+      expect(detail.data).toHaveProperty('aiAssistantStatus', 'process');
+      expect(detail.data.assets).toHaveLength(1);
+      expect(detail.data.assets[0]).toHaveProperty('aiAvailable', 'process');
+      expect(detail.data.assets[0].jobId).toBe(state.documents[0].jobId);
+    });
+
+    test('updates a document DataLens already has', async () => {
+      if (skipWithoutStub()) return;
+
+      await stub.scriptJobs(['processing']);
+      const { assetId, filename } = await createStubAsset('update');
+      await createAssistant(assetId, 'update-first');
+
+      const response = await createAssistant(assetId, 'update-second');
+
+      expect(response.data).toHaveProperty('status', 'success');
+      expect(await stub.requests('uploadDocument')).toHaveLength(1);
+      const updates = await stub.requests('updateDocument');
+      expect(updates).toHaveLength(1);
+      expect(updates[0].params.document).toBe(filename);
+    });
+
+    test('reports "partial" with a warning when the upload fails with 5xx', async () => {
+      if (skipWithoutStub()) return;
+
+      await stub.script('uploadDocument', { mode: 'fail', status: 503 });
+      const { assetId } = await createStubAsset('upload-503');
+
+      const response = await createAssistant(assetId, 'upload-503');
+
+      expect(response.data).toHaveProperty('status', 'partial');
+      expect(response.data.warnings).toHaveLength(1);
+      expect(response.data.warnings[0]).toMatch(/^Auto-submission failed: .*ServiceUnavailable/);
+
+      const detail = await apiClient.getMaterialDetail(response.data.id);
+      expect(detail.data).toHaveProperty('aiAssistantStatus', 'notready');
+      expect(detail.data.assets[0]).toHaveProperty('aiAvailable', 'notready');
+      expect(detail.data.assets[0].errorMessage).toMatch(/ServiceUnavailable/);
+    });
+
+    test('reports both warnings when the collection cannot be checked', async () => {
+      if (skipWithoutStub()) return;
+
+      await stub.script('getCollection', { mode: 'fail', status: 500 });
+      const { assetId } = await createStubAsset('collection-500');
+
+      const response = await createAssistant(assetId, 'collection-500');
+
+      expect(response.data).toHaveProperty('status', 'partial');
+      expect(response.data.warnings).toEqual([
+        expect.stringMatching(new RegExp(`^Collection '${collectionName}' could not be ensured: .*InternalServerError`)),
+        expect.stringMatching(/^Auto-submission failed: .*InternalServerError/)
+      ]);
+      expect(await stub.requests('uploadDocument')).toHaveLength(0);
+    });
+
+    test('reports "partial" when DataLens hangs on upload', async () => {
+      if (skipWithoutStub()) return;
+
+      await stub.script('uploadDocument', { mode: 'hang' });
+      const { assetId } = await createStubAsset('upload-hang');
+
+      // ChatbotApiService gives up after 30 seconds
+      const response = await createAssistant(assetId, 'upload-hang', { timeout: 60000 });
+
+      expect(response.data).toHaveProperty('status', 'partial');
+      expect(response.data.warnings).toEqual([expect.stringMatching(/timed out/)]);
+    }, 90000);
+
+    test('status sync moves a processing job to ready', async () => {
+      if (skipWithoutStub()) return;
+
+      await stub.scriptJobs(['processing', 'completed']);
+      const { assetId } = await createStubAsset('sync-ready');
+      const response = await createAssistant(assetId, 'sync-ready');
+      expect(response.data).toHaveProperty('status', 'success');
+
+      const detail = await waitForDetail(response.data.id, data => data.aiAssistantStatus === 'ready');
+
+      expect(detail.data).toHaveProperty('aiAssistantStatus', 'ready');
+      expect(detail.data.assets[0]).toHaveProperty('aiAvailable', 'ready');
+      expect(detail.data.assets[0].errorMessage ?? null).toBeNull();
+
+      const polls = (await stub.requests('jobStatus'))
+        .filter(request => request.params.jobId === detail.data.assets[0].jobId);
+      expect(polls.length).toBeGreaterThanOrEqual(2);
+    }, config.DATALENS_SYNC_TIMEOUT + 30000);
+
+    test('status sync records a failed job', async () => {
+      if (skipWithoutStub()) return;
+
+      await stub.scriptJobs(['failed'], { error: 'Unsupported document layout' });
+      const { assetId } = await createStubAsset('sync-failed');
+      const response = await createAssistant(assetId, 'sync-failed');
+      expect(response.data).toHaveProperty('status', 'success');
+
+      const detail = await waitForDetail(response.data.id, data => Boolean(data.assets?.[0]?.errorMessage));
+
+      expect(detail.data).toHaveProperty('aiAssistantStatus', 'notready');
+      expect(detail.data.assets[0]).toHaveProperty('aiAvailable', 'notready');
+      expect(detail.data.assets[0]).toHaveProperty('errorMessage', 'Unsupported document layout');
+    }, config.DATALENS_SYNC_TIMEOUT + 30000);
+  });
+
   describe('Validation', () => {
     test('rejects AI Assistant material without a name', async () => {
       const response = await apiClient.createMaterial({
@@ -0,0 +1,378 @@
+const apiClient = require('../helpers/api-client');
+const testData = require('../helpers/test-data');
+const config = require('../config');
+
+/**
+ * Learning Path Tests
+ *
+ * Verifies standalone learning path CRUD, material ordering, program
+ * membership and the detail views of XR50LearningPathController.
+ * The API serializes integer ids as strings, so ids are compared via String().
+ */
+
+describe('Learning Paths', () => {
+  let learningPathId;
+  let programId;
+  const materialIds = [];
+  const learningPathIds = [];
+
+  const ids = items => items.map(item => String(item.id));
+
+  beforeAll(async () => {
+    try {
+      await apiClient.authenticate(config.ADMIN_USER, config.ADMIN_PASSWORD);
+    } catch (error) {
+      await apiClient.authenticate(config.TEST_USER, config.TEST_PASSWORD);
+    }
+
+    // Three materials to order within the path
+    for (const name of ['lp-first', 'lp-second', 'lp-third']) {
+      const response = await apiClient.createMaterial(testData.createSimpleMaterial(name));
+      if (response.status === 200 || response.status === 201) {
+        materialIds.push(response.data.id);
+        testData.resourceTracker.trackMaterial(response.data.id);
+      }
+    }
+
+    const programResponse = await apiClient.createProgram(
+      testData.createTrainingProgram('learning-path-test')
+    );
+    if (programResponse.status === 200 || programResponse.status === 201) {
+      programId = programResponse.data.id;
+      testData.resourceTracker.trackProgram(programId);
+    }
+  });
+
+  afterAll(async () => {
+    if (config.SKIP_CLEANUP) {
+      return;
+    }
+
+    for (const id of learningPathIds) {
+      try {
+        await apiClient.deleteLearningPath(id);
+      } catch (error) {
+        // Ignore
+      }
+    }
+  });
+
+  describe('Create Learning Paths', () => {
+    test('can create learning path', async () => {
+      const learningPath = testData.createLearningPath();
+      const response = await apiClient.createLearningPath(learningPath);
+
+      expect([200, 201, 401, 403]).toContain(response.status);
+
+      if (response.status === 200 || response.status === 201) {
+        expect(response.data).toHaveProperty('id');
+        expect(response.data).toHaveProperty('learningPathName', learningPath.learningPathName);
+        learningPathId = response.data.id;
+        learningPathIds.push(learningPathId);
+      }
+    });
+
+    test('can list learning paths', async () => {
+      const response = await apiClient.listLearningPaths();
+
+      expect([200, 401, 403]).toContain(response.status);
+
+      if (response.status === 200) {
+        expect(Array.isArray(response.data)).toBe(true);
+        if (learningPathId) {
+          expect(ids(response.data)).toContain(String(learningPathId));
+        }
+      }
+    });
+
+    test('returns 404 for non-existent learning path', async () => {
+      const response = await apiClient.getLearningPath(999999);
+
+      expect(response.status).toBe(404);
+    });
+  });
+
+  describe('Update Learning Paths', () => {
+    test('can update learning path', async () => {
+      if (!learningPathId) {
+        console.log('Skipping: No learning path created');
+        return;
+      }
+
+      const updated = {
+        id: learningPathId,
+        learningPathName: `Updated Learning Path ${Date.now()}`,
+        description: 'Updated description'
+      };
+
+      const response = await apiClient.updateLearningPath(learningPathId, updated);
+      expect([200, 204]).toContain(response.status);
+
+      const getResponse = await apiClient.getLearningPath(learningPathId);
+      expect(getResponse.status).toBe(200);
+      expect(getResponse.data).toHaveProperty('learningPathName', updated.learningPathName);
+    });
+
+    test('rejects update with mismatched ID', async () => {
+      if (!learningPathId) {
+        console.log('Skipping: No learning path created');
+        return;
+      }
+
+      const response = await apiClient.updateLearningPath(learningPathId, {
+        id: 999999,
+        learningPathName: 'Mismatched',
+        description: 'Body id does not match the route'
+      });
+
+      expect(response).toBeProblem(400, { detail: /ID mismatch/ });
+    });
+  });
+
+  describe('Material Ordering', () => {
+    test('can assign materials with display order', async () => {
+      if (!learningPathId || materialIds.length < 3) {
+        console.log('Skipping: Learning path or materials not created');
+        return;
+      }
+
+      // Assign in reverse so the returned order cannot be insertion order
+      for (const [index, materialId] of [...materialIds].reverse().entries()) {
+        const response = await apiClient.assignMaterialToLearningPath(learningPathId, materialId, {
+          displayOrder: materialIds.length - index
+        });
+        expect(response.status).toBe(200);
+      }
+    });
+
+    test('materials are returned in display order', async () => {
+      if (!learningPathId || materialIds.length < 3) {
+        console.log('Skipping: Learning path or materials not created');
+        return;
+      }
+
+      const response = await apiClient.getLearningPathMaterials(learningPathId);
+
+      expect(response.status).toBe(200);
+      expect(ids(response.data)).toEqual(materialIds.map(String));
+    });
+
+    test('can reorder materials', async () => {
+      if (!learningPathId || materialIds.length < 3) {
+        console.log('Skipping: Learning path or materials not created');
+        return;
+      }
+
+      const [first, second, third] = materialIds;
+      const reorderResponse = await apiClient.reorderLearningPathMaterials(learningPathId, {
+        [third]: 1,
+        [first]: 2,
+        [second]: 3
+      });
+      expect(reorderResponse.status).toBe(200);
+
+      const response = await apiClient.getLearningPathMaterials(learningPathId);
+      expect(response.status).toBe(200);
+      expect(ids(response.data)).toEqual([third, first, second].map(String));
+    });
+
+    test('can remove material', async () => {
+      if (!learningPathId || materialIds.length < 3) {
+        console.log('Skipping: Learning path or materials not created');
+        return;
+      }
+
+      const [first, second, third] = materialIds;
+      const removeResponse = await apiClient.removeMaterialFromLearningPath(learningPathId, first);
+      expect(removeResponse.status).toBe(200);
+
+      const response = await apiClient.getLearningPathMaterials(learningPathId);
+      expect(ids(response.data)).toEqual([third, second].map(String));
+    });
+
+    test('returns 404 when removing unassigned material', async () => {
+      if (!learningPathId || materialIds.length < 3) {
+        console.log('Skipping: Learning path or materials not created');
+        return;
+      }
+
+      const response = await apiClient.removeMaterialFromLearningPath(learningPathId, materialIds[0]);
+
+      expect(response).toBeProblem(404);
+    });
+
+    test('can bulk assign materials', async () => {
+      if (!learningPathId || materialIds.length < 3) {
+        console.log('Skipping: Learning path or materials not created');
+        return;
+      }
+
+      const response = await apiClient.assignMaterialsToLearningPath(learningPathId, [
+        { materialId: materialIds[0], relationshipType: 'contains', displayOrder: 4 }
+      ]);
+
+      expect(response.status).toBe(200);
+      expect(response.data.results).toHaveLength(1);
+      expect(response.data.results[0]).toHaveProperty('success', true);
+
+      const materials = await apiClient.getLearningPathMaterials(learningPathId);
+      expect(ids(materials.data)).toEqual([materialIds[2], materialIds[1], materialIds[0]].map(String));
+    });
+  });
+
+  describe('Program Membership', () => {
+    test('can assign learning path to program', async () => {
+      if (!learningPathId || !programId) {
+        console.log('Skipping: Learning path or program not created');
+        return;
+      }
+
+      const response = await apiClient.assignLearningPathToProgram(learningPathId, programId);
+
+      expect(response.status).toBe(200);
+    });
+
+    test('rejects duplicate program assignment', async () => {
+      if (!learningPathId || !programId) {
+        console.log('Skipping: Learning path or program not created');
+        return;
+      }
+
+      const response = await apiClient.assignLearningPathToProgram(learningPathId, programId);
+
+      expect(response).toBeProblem(400);
+    });
+
+    test('program lists the learning path', async () => {
+      if (!learningPathId || !programId) {
+        console.log('Skipping: Learning path or program not created');
+        return;
+      }
+
+      const response = await apiClient.getProgramLearningPaths(programId);
+
+      expect(response.status).toBe(200);
+      expect(ids(response.data)).toContain(String(learningPathId));
+    });
+
+    test('detail view includes program and ordered materials', async () => {
+      if (!learningPathId || !programId || materialIds.length < 3) {
+        console.log('Skipping: Learning path, program or materials not created');
+        return;
+      }
+
+      const response = await apiClient.getLearningPathDetail(learningPathId);
+
+      expect(response.status).toBe(200);
+      expect(String(response.data.id)).toBe(String(learningPathId));
+      expect(ids(response.data.trainingPrograms)).toContain(String(programId));
+      expect(ids(response.data.materials)).toEqual(
+        expect.arrayContaining(materialIds.map(String))
+      );
+      expect(Number(response.data.summary.totalMaterials)).toBe(materialIds.length);
+      expect(Number(response.data.summary.totalTrainingPrograms)).toBe(1);
+    });
+
+    test('can unassign learning path from program', async () => {
+      if (!learningPathId || !programId) {
+        console.log('Skipping: Learning path or program not created');
+        return;
+      }
+
+      const response = await apiClient.unassignLearningPathFromProgram(learningPathId, programId);
+      expect(response.status).toBe(200);
+
+      const listResponse = await apiClient.getProgramLearningPaths(programId);
+      expect(listResponse.status).toBe(200);
+      expect(ids(listResponse.data)).not.toContain(String(learningPathId));
+    });
+
+    test('returns 404 when unassigning twice', async () => {
+      if (!learningPathId || !programId) {
+        console.log('Skipping: Learning path or program not created');
+        return;
+      }
+
+      const response = await apiClient.unassignLearningPathFromProgram(learningPathId, programId);
+
+      expect(response).toBeProblem(404);
+    });
+  });
+
+  describe('Detail Views', () => {
+    test('can create learning path with materials and programs', async () => {
+      if (materialIds.length < 2 || !programId) {
+        console.log('Skipping: Materials or program not created');
+        return;
+      }
+
+      const response = await apiClient.createLearningPathDetail({
+        ...testData.createLearningPath('detail'),
+        materials: [],
+        materialAssignments: [
+          { materialId: materialIds[1], relationshipType: 'contains', displayOrder: 1 },
+          { materialId: materialIds[0], relationshipType: 'contains', displayOrder: 2 }
+        ],
+        trainingPrograms: [programId]
+      });
+
+      expect([200, 201]).toContain(response.status);
+      learningPathIds.push(response.data.id);
+
+      expect(Number(response.data.materialCount)).toBe(2);
+      expect(response.data.assignedMaterials.every(m => m.assignmentSuccessful)).toBe(true);
+      expect(response.data.assignedTrainingPrograms.map(p => String(p.trainingProgramId)))
+        .toContain(String(programId));
+
+      const materials = await apiClient.getLearningPathMaterials(response.data.id);
+      expect(ids(materials.data)).toEqual([materialIds[1], materialIds[0]].map(String));
+    });
+
+    test('rejects detail creation with unknown material', async () => {
+      const response = await apiClient.createLearningPathDetail({
+        ...testData.createLearningPath('detail-invalid'),
+        materials: [999999]
+      });
+
+      expect(response).toBeProblem(400, { detail: /Materials not found: 999999/ });
+    });
+
+    test('can list learning path details', async () => {
+      const response = await apiClient.listLearningPathDetails();
+
+      expect([200, 401, 403]).toContain(response.status);
+
+      if (response.status === 200) {
+        expect(Array.isArray(response.data)).toBe(true);
+        for (const detail of response.data) {
+          expect(detail).toHaveProperty('summary');
+        }
+      }
+    });
+
+    test('returns 404 for detail of non-existent learning path', async () => {
+      const response = await apiClient.getLearningPathDetail(999999);
+
+      expect(response).toBeProblem(404);
+    });
+  });
+
+  describe('Delete Learning Paths', () => {
+    test('can delete learning path', async () => {
+      const createResponse = await apiClient.createLearningPath(testData.createLearningPath('delete-test'));
+
+      if (createResponse.status !== 200 && createResponse.status !== 201) {
+        console.log('Skipping: Could not create learning path');
+        return;
+      }
+
+      const id = createResponse.data.id;
+
+      const deleteResponse = await apiClient.deleteLearningPath(id);
+      expect([200, 204]).toContain(deleteResponse.status);
+
+      const getResponse = await apiClient.getLearningPath(id);
+      expect(getResponse.status).toBe(404);
+    });
+  });
+});
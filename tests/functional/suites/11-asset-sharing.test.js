@@ -0,0 +1,217 @@
+const apiClient = require('../helpers/api-client');
+const testData = require('../helpers/test-data');
+const config = require('../config');
+
+/**
+ * Asset Sharing Tests
+ *
+ * Verifies share creation and listing, and that a share URL serves the
+ * uploaded bytes without a bearer token until the share is deleted.
+ *
+ * Only the OwnCloud backend supports sharing (SupportsSharing); against S3
+ * the suite checks that share creation is refused and skips the rest.
+ */
+
+const sharingSupported = testData.STORAGE_TYPE.toLowerCase() === 'owncloud';
+
+describe('Asset Sharing', () => {
+  let assetId;
+  let shareId;
+  let shareUrl;
+  const testFile = testData.createTestTextFile(`Share verification content ${Date.now()}`);
+
+  beforeAll(async () => {
+    try {
+      await apiClient.authenticate(config.ADMIN_USER, config.ADMIN_PASSWORD);
+    } catch (error) {
+      await apiClient.authenticate(config.TEST_USER, config.TEST_PASSWORD);
+    }
+
+    const response = await apiClient.uploadBuffer(
+      `${config.ASSETS_API_URL}/upload`,
+      testFile.buffer,
+      testFile.filename,
+      {
+        description: 'Asset sharing test file',
+        filetype: 'txt'
+      },
+      { retry: true }
+    );
+
+    if (response.status === 200 || response.status === 201) {
+      assetId = response.data.id;
+      testData.resourceTracker.trackAsset(assetId);
+    } else {
+      apiClient.logResponse(response, 'UPLOAD');
+    }
+  });
+
+  afterAll(async () => {
+    if (config.SKIP_CLEANUP) {
+      return;
+    }
+
+    if (shareId) {
+      try {
+        await apiClient.deleteShare(shareId);
+      } catch (error) {
+        // Ignore
+      }
+    }
+    if (assetId) {
+      try {
+        await apiClient.deleteAsset(assetId);
+      } catch (error) {
+        // Ignore
+      }
+    }
+  });
+
+  describe('Unsupported Storage', () => {
+    test('refuses to share on a backend without sharing', async () => {
+      if (sharingSupported || !assetId) {
+        console.log('Skipping: Storage supports sharing or no asset uploaded');
+        return;
+      }
+
+      const response = await apiClient.createAssetShare(assetId);
+
+      expect(response.status).toBeGreaterThanOrEqual(400);
+      expect(response.problem).not.toBeNull();
+    });
+  });
+
+  describe('Create Shares', () => {
+    test('can share an asset', async () => {
+      if (!sharingSupported || !assetId) {
+        console.log(`Skipping: Sharing not supported on ${testData.STORAGE_TYPE} or no asset uploaded`);
+        return;
+      }
+
+      const response = await apiClient.createAssetShare(assetId);
+
+      expect(response.status).toBe(201);
+      expect(response.data).toHaveProperty('shareId');
+      expect(String(response.data.fileId)).toBe(String(assetId));
+      shareId = response.data.shareId;
+    });
+
+    test('returns 400 when sharing a non-existent asset', async () => {
+      if (!sharingSupported) {
+        console.log(`Skipping: Sharing not supported on ${testData.STORAGE_TYPE}`);
+        return;
+      }
+
+      const response = await apiClient.createAssetShare(999999);
+
+      expect(response).toBeProblem(400, { detail: /999999/ });
+    });
+  });
+
+  describe('List Shares', () => {
+    test('asset lists its share', async () => {
+      if (!shareId) {
+        console.log('Skipping: No share created');
+        return;
+      }
+
+      const response = await apiClient.getAssetShares(assetId);
+
+      expect(response.status).toBe(200);
+      expect(response.data.map(share => share.shareId)).toContain(shareId);
+    });
+
+    test('tenant lists the share', async () => {
+      if (!shareId) {
+        console.log('Skipping: No share created');
+        return;
+      }
+
+      const response = await apiClient.listShares();
+
+      expect(response.status).toBe(200);
+      expect(response.data.map(share => share.shareId)).toContain(shareId);
+    });
+
+    test('can get share by ID', async () => {
+      if (!shareId) {
+        console.log('Skipping: No share created');
+        return;
+      }
+
+      const response = await apiClient.getShare(shareId);
+
+      expect(response.status).toBe(200);
+      expect(response.data).toHaveProperty('shareId', shareId);
+    });
+
+    test('returns 404 for non-existent share', async () => {
+      const response = await apiClient.getShare('00000000-0000-0000-0000-000000000000');
+
+      expect(response).toBeProblem(404);
+    });
+  });
+
+  describe('Share URL Access', () => {
+    test('asset exposes its share URL', async () => {
+      if (!shareId) {
+        console.log('Skipping: No share created');
+        return;
+      }
+
+      const response = await apiClient.getAssetShareUrl(assetId);
+
+      expect(response.status).toBe(200);
+      expect(response.data).toHaveProperty('hasShare', true);
+      expect(response.data.shareUrl).toMatch(/^https?:\/\//);
+      shareUrl = response.data.shareUrl;
+    });
+
+    test('share URL serves the uploaded bytes without a bearer token', async () => {
+      if (!shareUrl) {
+        console.log('Skipping: No share URL');
+        return;
+      }
+
+      const response = await apiClient.fetchSharedFile(shareUrl);
+
+      expect(response.status).toBe(200);
+      expect(response.config.headers.Authorization).toBeUndefined();
+      expect(Buffer.from(response.data).equals(testFile.buffer)).toBe(true);
+    });
+
+    test('can delete share', async () => {
+      if (!shareId) {
+        console.log('Skipping: No share created');
+        return;
+      }
+
+      const response = await apiClient.deleteShare(shareId);
+      expect(response.status).toBe(204);
+
+      const getResponse = await apiClient.getShare(shareId);
+      expect(getResponse).toBeProblem(404);
+
+      const listResponse = await apiClient.getAssetShares(assetId);
+      expect(listResponse.data.map(share => share.shareId)).not.toContain(shareId);
+      shareId = null;
+    });
+
+    test('share URL no longer serves the file after deletion', async () => {
+      if (!shareUrl || shareId) {
+        console.log('Skipping: Share not created or not deleted');
+        return;
+      }
+
+      const response = await apiClient.fetchSharedFile(shareUrl);
+
+      expect(response.status).toBeGreaterThanOrEqual(400);
+    });
+
+    test('returns 404 when deleting a non-existent share', async () => {
+      const response = await apiClient.deleteShare('00000000-0000-0000-0000-000000000000');
+
+      expect(response).toBeProblem(404);
+    });
+  });
+});
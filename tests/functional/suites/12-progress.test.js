@@ -0,0 +1,296 @@
+const apiClient = require('../helpers/api-client');
+const testData = require('../helpers/test-data');
+const config = require('../config');
+
+/**
+ * Learner Progress Tests
+ *
+ * A trainee (the test user, on its own client) works through a program of
+ * video, checklist, workflow and quiz materials plus one material left
+ * untouched. The admin client builds the program; the trainee marks
+ * materials complete, submits the quiz, and the suite checks the per-user,
+ * per-material and per-program progress reports against what was sent.
+ *
+ * Progress is recorded for the token's preferred_username, which must also
+ * exist as a tenant user for GET users/{userId}/progress.
+ */
+
+describe('Learner Progress', () => {
+  let trainee;
+  let traineeId;
+  let programId;
+  let createdTraineeUser = false;
+  const materials = {};
+
+  // Five program materials: four completed by the trainee, one left open
+  const TOTAL_MATERIALS = 5;
+  const QUIZ_SCORE = 5; // boolean question right (5), choice question wrong (0 of 10)
+
+  const ready = () => traineeId && programId && Object.keys(materials).length === TOTAL_MATERIALS;
+
+  // The API serializes integers as strings; compare ids and figures as strings/numbers
+  const findById = (items, id, key = 'id') => items.find(item => String(item[key]) === String(id));
+
+  beforeAll(async () => {
+    try {
+      await apiClient.authenticate(config.ADMIN_USER, config.ADMIN_PASSWORD);
+    } catch (error) {
+      await apiClient.authenticate(config.TEST_USER, config.TEST_PASSWORD);
+    }
+
+    trainee = apiClient.createClient({ label: 'trainee' });
+    try {
+      await trainee.authenticate();
+      const payload = JSON.parse(Buffer.from(trainee.token.split('.')[1], 'base64').toString());
+      traineeId = payload.preferred_username || config.TEST_USER;
+    } catch (error) {
+      console.log(`Trainee could not authenticate: ${error.message}`);
+      return;
+    }
+
+    const userResponse = await apiClient.createUser({
+      ...testData.createTestUser('progress'),
+      userName: traineeId,
+      fullName: 'Progress Trainee'
+    });
+    if (userResponse.status === 200 || userResponse.status === 201) {
+      createdTraineeUser = true;
+      testData.resourceTracker.trackUser(traineeId);
+    }
+
+    const programResponse = await apiClient.createProgram(testData.createTrainingProgram('progress-test'));
+    if (programResponse.status !== 200 && programResponse.status !== 201) {
+      return;
+    }
+    programId = programResponse.data.id;
+    testData.resourceTracker.trackProgram(programId);
+
+    const fixtures = {
+      video: testData.createVideoMaterial('progress'),
+      checklist: testData.createChecklistMaterial('progress'),
+      workflow: testData.createWorkflowMaterial('progress'),
+      quiz: testData.createQuizMaterial('progress'),
+      untouched: testData.createSimpleMaterial('progress-untouched')
+    };
+
+    for (const [key, material] of Object.entries(fixtures)) {
+      const response = await apiClient.createMaterial(material);
+      if (response.status !== 200 && response.status !== 201) {
+        apiClient.logResponse(response, `CREATE ${key.toUpperCase()}`);
+        continue;
+      }
+      materials[key] = response.data.id;
+      testData.resourceTracker.trackMaterial(response.data.id);
+      await apiClient.assignMaterialToProgram(programId, response.data.id);
+    }
+  });
+
+  afterAll(async () => {
+    if (config.SKIP_CLEANUP) {
+      return;
+    }
+
+    if (programId) {
+      try {
+        await apiClient.deleteProgram(programId);
+      } catch (error) {
+        // Ignore
+      }
+    }
+    if (createdTraineeUser) {
+      try {
+        await apiClient.deleteUser(traineeId);
+      } catch (error) {
+        // Ignore
+      }
+    }
+  });
+
+  describe('Complete Materials', () => {
+    test('each completion advances program progress', async () => {
+      if (!ready()) {
+        console.log('Skipping: Trainee, program or materials not set up');
+        return;
+      }
+
+      const expected = [['video', 20], ['checklist', 40], ['workflow', 60]];
+      for (const [key, progress] of expected) {
+        const response = await trainee.completeMaterial(materials[key], programId);
+
+        expect(response.status).toBe(200);
+        expect(response.data.success).toBe(true);
+        expect(String(response.data.material_id)).toBe(String(materials[key]));
+        expect(Number(response.data.progress)).toBe(progress);
+      }
+    });
+
+    test('completing a material twice does not count it twice', async () => {
+      if (!ready()) {
+        console.log('Skipping: Trainee, program or materials not set up');
+        return;
+      }
+
+      const response = await trainee.completeMaterial(materials.video, programId);
+
+      expect(response.status).toBe(200);
+      expect(Number(response.data.progress)).toBe(60);
+    });
+
+    test('rejects completion outside the program', async () => {
+      if (!ready()) {
+        console.log('Skipping: Trainee, program or materials not set up');
+        return;
+      }
+
+      const response = await trainee.completeMaterial(materials.video, 999999);
+
+      expect(response).toBeProblem(400, { detail: /is not part of program 999999/ });
+    });
+  });
+
+  describe('Submit Quiz', () => {
+    test('scores submitted answers', async () => {
+      if (!ready()) {
+        console.log('Skipping: Trainee, program or materials not set up');
+        return;
+      }
+
+      const detail = await apiClient.getMaterialDetail(materials.quiz);
+      expect(detail.status).toBe(200);
+
+      const questions = detail.data.config.questions;
+      const booleanQuestion = questions.find(question => question.questionType === 'boolean');
+      const choiceQuestion = questions.find(question => question.questionType === 'choice');
+      const correct = booleanQuestion.answers.find(answer => answer.correctAnswer);
+      const wrong = choiceQuestion.answers.find(answer => !answer.correctAnswer);
+
+      const response = await trainee.submitQuizAnswers(materials.quiz, {
+        program_id: programId,
+        questions: [
+          { question_id: booleanQuestion.id, answer: { answer_ids: [correct.id] } },
+          { question_id: choiceQuestion.id, answer: { answer_ids: [wrong.id] } }
+        ]
+      });
+
+      expect(response.status).toBe(200);
+      expect(response.data.success).toBe(true);
+      expect(Number(response.data.score)).toBe(QUIZ_SCORE);
+      expect(Number(response.data.progress)).toBe(80);
+    });
+
+    test('rejects submission for a non-quiz material', async () => {
+      if (!ready()) {
+        console.log('Skipping: Trainee, program or materials not set up');
+        return;
+      }
+
+      const response = await trainee.submitQuizAnswers(materials.video, {
+        program_id: programId,
+        questions: []
+      });
+
+      expect(response).toBeProblem(400, { detail: /Quiz material \d+ not found/ });
+    });
+  });
+
+  describe('Progress Reports', () => {
+    test('user progress reflects completed materials and score', async () => {
+      if (!ready()) {
+        console.log('Skipping: Trainee, program or materials not set up');
+        return;
+      }
+
+      const response = await trainee.getUserProgress(traineeId);
+
+      expect(response.status).toBe(200);
+      expect(response.data.id).toBe(traineeId);
+
+      const program = findById(response.data.programs, programId);
+      expect(program).toBeDefined();
+      expect(Number(program.progress)).toBe(80);
+      expect(program.materials).toHaveLength(TOTAL_MATERIALS);
+
+      for (const key of ['video', 'checklist', 'workflow', 'quiz']) {
+        expect(findById(program.materials, materials[key]).completed).toBe(true);
+      }
+      expect(findById(program.materials, materials.untouched).completed).toBe(false);
+      expect(Number(findById(program.materials, materials.quiz).score)).toBe(QUIZ_SCORE);
+    });
+
+    test('all-users progress includes the trainee', async () => {
+      if (!ready()) {
+        console.log('Skipping: Trainee, program or materials not set up');
+        return;
+      }
+
+      const response = await apiClient.getAllUsersProgress();
+
+      expect(response.status).toBe(200);
+      expect(response.data.map(user => user.id)).toContain(traineeId);
+    });
+
+    test('material detail holds the evaluated answers', async () => {
+      if (!ready()) {
+        console.log('Skipping: Trainee, program or materials not set up');
+        return;
+      }
+
+      const response = await trainee.getUserMaterialProgress(traineeId, materials.quiz);
+
+      expect(response.status).toBe(200);
+      expect(Number(response.data.score)).toBe(QUIZ_SCORE);
+      expect(response.data.data.answers).toHaveLength(2);
+      expect(response.data.data.answers.map(answer => answer.is_correct)).toEqual([true, false]);
+    });
+
+    test('material detail is 404 for completion-only materials', async () => {
+      if (!ready()) {
+        console.log('Skipping: Trainee, program or materials not set up');
+        return;
+      }
+
+      // Only quiz submissions store answer data; completions only record a score row
+      const response = await trainee.getUserMaterialProgress(traineeId, materials.video);
+
+      expect(response).toBeProblem(404);
+    });
+
+    test('program materials report matches submissions', async () => {
+      if (!ready()) {
+        console.log('Skipping: Trainee, program or materials not set up');
+        return;
+      }
+
+      const response = await trainee.getUserProgramMaterials(traineeId, programId);
+
+      expect(response.status).toBe(200);
+      expect(Number(response.data.progress)).toBe(80);
+      expect(response.data.materials).toHaveLength(TOTAL_MATERIALS);
+      expect(Number(findById(response.data.materials, materials.quiz, 'material_id').score)).toBe(QUIZ_SCORE);
+    });
+
+    test('program progress counts the trainee', async () => {
+      if (!ready()) {
+        console.log('Skipping: Trainee, program or materials not set up');
+        return;
+      }
+
+      const response = await trainee.getProgramProgress(programId);
+
+      expect(response.status).toBe(200);
+      expect(Number(response.data.total_materials)).toBe(TOTAL_MATERIALS);
+
+      const entry = findById(response.data.user_progress, traineeId, 'user_id');
+      expect(entry).toBeDefined();
+      expect(Number(entry.materials_completed)).toBe(4);
+      expect(Number(entry.progress)).toBe(80);
+      expect(findById(entry.materials, materials.untouched, 'material_id').completed).toBe(false);
+    });
+
+    test('returns 404 for progress of a non-existent program', async () => {
+      const response = await apiClient.getProgramProgress(999999);
+
+      expect(response).toBeProblem(404);
+    });
+  });
+});
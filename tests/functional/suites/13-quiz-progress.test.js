@@ -0,0 +1,414 @@
+const apiClient = require('../helpers/api-client');
+const testData = require('../helpers/test-data');
+const config = require('../config');
+
+/**
+ * Quiz Progress Tests
+ *
+ * Several learners (QUIZ_LEARNERS, one client each) submit answer sheets with
+ * known outcomes to three quizzes:
+ *   direct     - assigned to the program directly
+ *   pathQuiz   - reached through a learning path assigned to the program
+ *   standalone - submitted without a program
+ * Each expected score comes from the fixture's answer key
+ * (testData.scoreQuizAnswers). The tenant, program, learning path and
+ * material reports of QuizProgressController are checked against a
+ * reference built from those submissions.
+ *
+ * Scores are stored per (user, material, program) and only reported for
+ * tenant users. Admins see every learner's scores and other users only their
+ * own, so the reference is filtered by the reviewer's admin flag.
+ */
+
+// Answer sheets keyed by question number: boolean (5 points), choice (10 points)
+const ANSWER_SHEETS = [
+  { 1: ['True'], 2: ['7'] }, // both correct: 15
+  { 1: ['True'], 2: ['4'] }, // boolean only: 5
+  { 1: ['False'], 2: ['7'] }, // choice only: 10
+  { 1: ['True'], 2: ['7', '9'] }, // extra answer picked, choice scores nothing: 5
+  { 1: ['False'], 2: ['9'] } // none: 0
+];
+
+const QUIZ_KEYS = ['direct', 'pathQuiz', 'standalone'];
+
+/**
+ * The user a client's token identifies (progress is keyed on preferred_username)
+ */
+function tokenUser(client) {
+  const payload = JSON.parse(Buffer.from(client.token.split('.')[1], 'base64').toString());
+  return payload.preferred_username;
+}
+
+describe('Quiz Progress', () => {
+  const learners = []; // { id, client, admin }
+  const quizzes = {}; // key -> { id, fixture, detail }
+  const createdUsers = [];
+  const submissions = new Map();
+  let reviewerId;
+  let reviewerAdmin = false;
+  let programId;
+  let learningPathId;
+  let questionnaireId;
+
+  const ready = () => learners.length > 0 && programId && learningPathId &&
+    QUIZ_KEYS.every(key => quizzes[key]?.detail);
+
+  const sheetFor = (learnerIndex, quizIndex) =>
+    ANSWER_SHEETS[(learnerIndex + quizIndex) % ANSWER_SHEETS.length];
+
+  const programFor = key => (key === 'standalone' ? null : programId);
+
+  // Mirrors the upsert on (UserId, MaterialId, ProgramId); no program is stored as 0
+  function record(learner, key, score) {
+    const row = {
+      userId: learner.id,
+      materialId: String(quizzes[key].id),
+      programId: String(programFor(key) || 0),
+      score
+    };
+    submissions.set(`${row.userId}|${row.materialId}|${row.programId}`, row);
+  }
+
+  // Reference rows for the given quizzes, as the reviewer is allowed to see them
+  function expectedRows(keys) {
+    const materialIds = keys.map(key => String(quizzes[key].id));
+    return [...submissions.values()]
+      .filter(row => materialIds.includes(row.materialId))
+      .filter(row => reviewerAdmin || row.userId === reviewerId);
+  }
+
+  function summarize(rows) {
+    const total = rows.reduce((sum, row) => sum + row.score, 0);
+    return {
+      totalUsers: new Set(rows.map(row => row.userId)).size,
+      attempts: rows.length,
+      averageScore: rows.length > 0 ? total / rows.length : 0
+    };
+  }
+
+  // The API serializes integers as strings; normalize entries to reference rows
+  function toRows(entries) {
+    return entries.map(entry => ({
+      userId: entry.userId,
+      materialId: String(entry.materialId),
+      programId: String(entry.programId ?? 0),
+      score: Number(entry.score)
+    }));
+  }
+
+  const sortRows = rows => [...rows].sort((a, b) =>
+    `${a.userId}|${a.materialId}|${a.programId}`.localeCompare(`${b.userId}|${b.materialId}|${b.programId}`));
+
+  beforeAll(async () => {
+    try {
+      await apiClient.authenticate(config.ADMIN_USER, config.ADMIN_PASSWORD);
+    } catch (error) {
+      await apiClient.authenticate(config.TEST_USER, config.TEST_PASSWORD);
+    }
+
+    try {
+      reviewerId = tokenUser(apiClient);
+    } catch (error) {
+      console.log(`Reviewer token has no user: ${error.message}`);
+      return;
+    }
+
+    for (const [index, { user, password }] of config.QUIZ_LEARNERS.entries()) {
+      const client = apiClient.createClient({ user, password, label: `learner-${index + 1}` });
+      try {
+        await client.authenticate();
+        const id = tokenUser(client);
+        if (id && !learners.some(learner => learner.id === id)) {
+          learners.push({ id, client, admin: false });
+        }
+      } catch (error) {
+        console.log(`Learner ${user} could not authenticate: ${error.message}`);
+      }
+    }
+
+    // Scores only appear in reports for tenant users; the reviewer is registered as admin
+    const userIds = [...new Set([reviewerId, ...learners.map(learner => learner.id)])];
+    for (const [index, userId] of userIds.entries()) {
+      const response = await apiClient.createUser({
+        ...testData.createTestUser(`quiz-${index}`),
+        userName: userId,
+        fullName: `Quiz Learner ${index + 1}`,
+        admin: userId === reviewerId
+      });
+      if (response.status === 200 || response.status === 201) {
+        createdUsers.push(userId);
+        testData.resourceTracker.trackUser(userId);
+      }
+
+      const userResponse = await apiClient.getUser(userId);
+      const admin = userResponse.status === 200 && userResponse.data.admin === true;
+      if (userId === reviewerId) {
+        reviewerAdmin = admin;
+      }
+      const learner = learners.find(l => l.id === userId);
+      if (learner) {
+        learner.admin = admin;
+      }
+    }
+
+    const programResponse = await apiClient.createProgram(testData.createTrainingProgram('quiz-progress'));
+    if (programResponse.status !== 200 && programResponse.status !== 201) {
+      return;
+    }
+    programId = programResponse.data.id;
+    testData.resourceTracker.trackProgram(programId);
+
+    const pathResponse = await apiClient.createLearningPath(testData.createLearningPath('quiz-progress'));
+    if (pathResponse.status !== 200 && pathResponse.status !== 201) {
+      return;
+    }
+    learningPathId = pathResponse.data.id;
+    await apiClient.assignLearningPathToProgram(learningPathId, programId);
+
+    for (const key of QUIZ_KEYS) {
+      const fixture = testData.createQuizMaterial(`quiz-progress-${key}`);
+      const response = await apiClient.createMaterial(fixture);
+      if (response.status !== 200 && response.status !== 201) {
+        apiClient.logResponse(response, `CREATE ${key.toUpperCase()}`);
+        continue;
+      }
+      const id = response.data.id;
+      testData.resourceTracker.trackMaterial(id);
+
+      if (key === 'direct') {
+        await apiClient.assignMaterialToProgram(programId, id);
+      } else if (key === 'pathQuiz') {
+        await apiClient.assignMaterialToLearningPath(learningPathId, id);
+      }
+
+      const detail = await apiClient.getMaterialDetail(id);
+      if (detail.status === 200) {
+        quizzes[key] = { id, fixture, detail: detail.data };
+      }
+    }
+
+    const questionnaireResponse = await apiClient.createMaterial(
+      testData.createQuestionnaireMaterial('quiz-progress')
+    );
+    if (questionnaireResponse.status === 200 || questionnaireResponse.status === 201) {
+      questionnaireId = questionnaireResponse.data.id;
+      testData.resourceTracker.trackMaterial(questionnaireId);
+    }
+  });
+
+  afterAll(async () => {
+    if (config.SKIP_CLEANUP) {
+      return;
+    }
+
+    if (learningPathId) {
+      try {
+        await apiClient.deleteLearningPath(learningPathId);
+      } catch (error) {
+        // Ignore
+      }
+    }
+    if (programId) {
+      try {
+        await apiClient.deleteProgram(programId);
+      } catch (error) {
+        // Ignore
+      }
+    }
+    for (const userId of createdUsers) {
+      try {
+        await apiClient.deleteUser(userId);
+      } catch (error) {
+        // Ignore
+      }
+    }
+  });
+
+  describe('Submit Answers', () => {
+    test('each learner is scored from the answer key', async () => {
+      if (!ready()) {
+        console.log('Skipping: Learners, program, learning path or quizzes not set up');
+        return;
+      }
+
+      for (const [learnerIndex, learner] of learners.entries()) {
+        for (const [quizIndex, key] of QUIZ_KEYS.entries()) {
+          const sheet = sheetFor(learnerIndex, quizIndex);
+          const expected = testData.scoreQuizAnswers(quizzes[key].fixture, sheet);
+
+          const response = await learner.client.submitQuizAnswers(
+            quizzes[key].id,
+            testData.buildQuizSubmission(quizzes[key].detail, sheet, programFor(key))
+          );
+
+          expect(response.status).toBe(200);
+          expect(Number(response.data.score)).toBe(expected);
+          record(learner, key, expected);
+        }
+      }
+    });
+
+    test('quiz reached through the learning path reports the path', async () => {
+      if (!ready()) {
+        console.log('Skipping: Learners, program, learning path or quizzes not set up');
+        return;
+      }
+
+      const [learner] = learners;
+      const sheet = sheetFor(0, QUIZ_KEYS.indexOf('pathQuiz'));
+      const response = await learner.client.submitQuizAnswers(
+        quizzes.pathQuiz.id,
+        testData.buildQuizSubmission(quizzes.pathQuiz.detail, sheet, programId)
+      );
+
+      expect(response.status).toBe(200);
+      expect(String(response.data.learning_path_id)).toBe(String(learningPathId));
+    });
+
+    test('resubmitting replaces the earlier score', async () => {
+      if (!ready()) {
+        console.log('Skipping: Learners, program, learning path or quizzes not set up');
+        return;
+      }
+
+      // First learner first scored 15 on the direct quiz; the last sheet scores 0
+      const [learner] = learners;
+      const sheet = ANSWER_SHEETS[ANSWER_SHEETS.length - 1];
+      const response = await learner.client.submitQuizAnswers(
+        quizzes.direct.id,
+        testData.buildQuizSubmission(quizzes.direct.detail, sheet, programId)
+      );
+
+      expect(response.status).toBe(200);
+      expect(Number(response.data.score)).toBe(0);
+      record(learner, 'direct', 0);
+    });
+  });
+
+  describe('Aggregations', () => {
+    test('material reports match the reference', async () => {
+      if (!ready() || submissions.size === 0) {
+        console.log('Skipping: No submissions recorded');
+        return;
+      }
+
+      for (const key of QUIZ_KEYS) {
+        const expected = expectedRows([key]);
+        const summary = summarize(expected);
+
+        const response = await apiClient.getMaterialQuizProgress(quizzes[key].id);
+
+        expect(response.status).toBe(200);
+        expect(String(response.data.materialId)).toBe(String(quizzes[key].id));
+        expect(response.data.materialName).toBe(quizzes[key].fixture.name);
+        expect(Number(response.data.totalAttempts)).toBe(summary.attempts);
+        expect(Number(response.data.averageScore)).toBeCloseTo(summary.averageScore, 2);
+        expect(sortRows(toRows(response.data.userProgress))).toEqual(sortRows(expected));
+      }
+    });
+
+    test('program report covers quizzes assigned to the program', async () => {
+      if (!ready() || submissions.size === 0) {
+        console.log('Skipping: No submissions recorded');
+        return;
+      }
+
+      // Only direct program materials count; quizzes inside the program's learning paths do not
+      const expected = expectedRows(['direct']);
+      const summary = summarize(expected);
+
+      const response = await apiClient.getProgramQuizProgress(programId);
+
+      expect(response.status).toBe(200);
+      expect(String(response.data.programId)).toBe(String(programId));
+      expect(Number(response.data.totalQuizzes)).toBe(1);
+      expect(Number(response.data.totalUsers)).toBe(summary.totalUsers);
+      expect(Number(response.data.averageScore)).toBeCloseTo(summary.averageScore, 2);
+      expect(sortRows(toRows(response.data.userProgress))).toEqual(sortRows(expected));
+    });
+
+    test('learning path report covers quizzes in the path', async () => {
+      if (!ready() || submissions.size === 0) {
+        console.log('Skipping: No submissions recorded');
+        return;
+      }
+
+      const expected = expectedRows(['pathQuiz']);
+      const summary = summarize(expected);
+
+      const response = await apiClient.getLearningPathQuizProgress(learningPathId);
+
+      expect(response.status).toBe(200);
+      expect(String(response.data.learningPathId)).toBe(String(learningPathId));
+      expect(Number(response.data.totalQuizzes)).toBe(1);
+      expect(Number(response.data.totalUsers)).toBe(summary.totalUsers);
+      expect(Number(response.data.averageScore)).toBeCloseTo(summary.averageScore, 2);
+      expect(sortRows(toRows(response.data.userProgress))).toEqual(sortRows(expected));
+    });
+
+    test('tenant report includes every submission', async () => {
+      if (!ready() || submissions.size === 0) {
+        console.log('Skipping: No submissions recorded');
+        return;
+      }
+
+      const response = await apiClient.getTenantQuizProgress();
+
+      expect(response.status).toBe(200);
+
+      // Other suites also score quizzes in this tenant; compare this suite's rows exactly
+      const rows = toRows(response.data.userProgress);
+      const materialIds = QUIZ_KEYS.map(key => String(quizzes[key].id));
+      const ownRows = rows.filter(row => materialIds.includes(row.materialId));
+      expect(sortRows(ownRows)).toEqual(sortRows(expectedRows(QUIZ_KEYS)));
+
+      // ...and the totals against the full list the report returned
+      const summary = summarize(rows);
+      expect(Number(response.data.totalQuizAttempts)).toBe(summary.attempts);
+      expect(Number(response.data.totalUsers)).toBe(summary.totalUsers);
+      expect(Number(response.data.averageScore)).toBeCloseTo(summary.averageScore, 2);
+    });
+
+    test('non-admin learners only see their own scores', async () => {
+      const learner = learners.find(l => !l.admin);
+      if (!ready() || submissions.size === 0 || !learner) {
+        console.log('Skipping: No submissions or no non-admin learner');
+        return;
+      }
+
+      const expected = [...submissions.values()].filter(row =>
+        row.userId === learner.id && row.materialId === String(quizzes.standalone.id));
+
+      const response = await learner.client.getMaterialQuizProgress(quizzes.standalone.id);
+
+      expect(response.status).toBe(200);
+      expect(Number(response.data.totalAttempts)).toBe(expected.length);
+      expect(sortRows(toRows(response.data.userProgress))).toEqual(sortRows(expected));
+    });
+  });
+
+  describe('Not Found', () => {
+    test('returns 404 for a material that is not a quiz', async () => {
+      if (!questionnaireId) {
+        console.log('Skipping: No questionnaire created');
+        return;
+      }
+
+      const response = await apiClient.getMaterialQuizProgress(questionnaireId);
+
+      expect(response).toBeProblem(404, { detail: /Quiz material \d+ not found/ });
+    });
+
+    test('returns 404 for a non-existent program', async () => {
+      const response = await apiClient.getProgramQuizProgress(999999);
+
+      expect(response).toBeProblem(404, { detail: /Training program 999999 not found/ });
+    });
+
+    test('returns 404 for a non-existent learning path', async () => {
+      const response = await apiClient.getLearningPathQuizProgress(999999);
+
+      expect(response).toBeProblem(404, { detail: /Learning path 999999 not found/ });
+    });
+  });
+});
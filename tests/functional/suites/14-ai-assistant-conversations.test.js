@@ -0,0 +1,459 @@
+const fs = require('fs');
+const path = require('path');
+const apiClient = require('../helpers/api-client');
+const testData = require('../helpers/test-data');
+const config = require('../config');
+const { DataLensStubControl } = require('../helpers/datalens-stub');
+
+/**
+ * AI Assistant Conversation Tests
+ *
+ * Covers the ai-assistant endpoints that talk to DataLens on the user's
+ * behalf: ask (JSON and form), documents, health and session/invalidate,
+ * both against the tenant's default collection and a specific
+ * AIAssistantMaterial. The ask requests come from
+ * tests/samples/ai-assistant-ask-*.json.
+ *
+ * Validation, 404s and health run anywhere. Everything that needs DataLens
+ * to answer runs against the local stub (DATALENS_STUB=true, with the API's
+ * ChatbotApi__BaseUrl pointed at it), where the inference requests the API
+ * sends can be inspected:
+ *  - the first ask on an assistant sends source_files and no session_id, and
+ *    the returned session is stored on the assistant;
+ *  - later asks reuse the stored session; an explicit sessionId wins;
+ *  - session/invalidate makes the next ask start over with source_files.
+ *
+ * Uploaded documents go straight into the DataLens collection; the
+ * documents listing shows the assistant's assets, so uploads are checked in
+ * the stub's collection.
+ */
+
+const OK_STATUSES = [200, 201];
+const SAMPLES_DIR = path.join(__dirname, '../../samples');
+
+// { name, request } for every ai-assistant-ask-*.json sample
+const ASK_SAMPLES = fs.readdirSync(SAMPLES_DIR)
+  .filter(file => /^ai-assistant-ask-.*\.json$/.test(file))
+  .sort()
+  .map(file => ({
+    name: path.basename(file, '.json'),
+    request: JSON.parse(fs.readFileSync(path.join(SAMPLES_DIR, file), 'utf8'))
+  }));
+
+const SESSION_SAMPLE = ASK_SAMPLES.find(sample => sample.request.sessionId);
+const FIRST_CALL_SAMPLE = ASK_SAMPLES.find(sample => !sample.request.sessionId);
+
+describe('AI Assistant Conversations', () => {
+  const stub = new DataLensStubControl();
+  let stubReady = false;
+  let collectionName;
+  let assistantId;
+  let assetFilename;
+  const createdMaterialIds = [];
+
+  const skipWithoutStub = () => {
+    if (!stubReady || !assistantId) {
+      console.log('Skipping: DataLens stub not running (set DATALENS_STUB=true)');
+      return true;
+    }
+    return false;
+  };
+
+  // Inference requests the API sent to the stub since `since`
+  async function inferencesSince(since) {
+    return (await stub.requests('inference')).slice(since);
+  }
+
+  async function inferenceCount() {
+    return (await stub.requests('inference')).length;
+  }
+
+  beforeAll(async () => {
+    try {
+      await apiClient.authenticate(config.ADMIN_USER, config.ADMIN_PASSWORD);
+    } catch (error) {
+      await apiClient.authenticate(config.TEST_USER, config.TEST_PASSWORD);
+    }
+
+    const tenant = config.getEffectiveTenant();
+    const tenantResponse = await apiClient.getTenant(tenant);
+    collectionName = tenantResponse.data?.defaultAICollection ||
+      `aiassist_default_${tenant.replace(/[^a-zA-Z0-9_]/g, '_')}`;
+
+    stubReady = config.DATALENS_STUB && await stub.isRunning();
+
+    if (!stubReady) {
+      // Without DataLens an assistant with no assets still exists for the
+      // checks that never reach it
+      const response = await apiClient.createMaterial(testData.createAIAssistantMaterialEmpty('conversations'));
+      if (OK_STATUSES.includes(response.status)) {
+        assistantId = response.data.id;
+        createdMaterialIds.push(assistantId);
+      }
+      return;
+    }
+
+    await stub.reset();
+
+    // An assistant over one stub-served document; creating it ensures the collection
+    assetFilename = `conversation-${Date.now()}.txt`;
+    const assetResponse = await apiClient.createMaterial(
+      testData.createMaterialWithAssetReference(stub.fileUrl(assetFilename), assetFilename, 'conversations')
+    );
+    if (!OK_STATUSES.includes(assetResponse.status)) {
+      apiClient.logResponse(assetResponse, 'CREATE ASSET MATERIAL');
+      return;
+    }
+    createdMaterialIds.push(assetResponse.data.id);
+    testData.resourceTracker.trackAsset(assetResponse.data.assetId);
+
+    const assistantResponse = await apiClient.createMaterial(
+      testData.createAIAssistantMaterialWithConfigAssets(assetResponse.data.assetId, 'conversations')
+    );
+    if (!OK_STATUSES.includes(assistantResponse.status)) {
+      apiClient.logResponse(assistantResponse, 'CREATE AI ASSISTANT');
+      return;
+    }
+    assistantId = assistantResponse.data.id;
+    createdMaterialIds.push(assistantId);
+  });
+
+  afterAll(async () => {
+    if (config.SKIP_CLEANUP) {
+      return;
+    }
+
+    for (const id of createdMaterialIds) {
+      try {
+        await apiClient.deleteMaterial(id);
+      } catch (error) {
+        // Ignore
+      }
+    }
+  });
+
+  describe('Validation', () => {
+    test('rejects an empty query', async () => {
+      const response = await apiClient.askAIAssistant({ query: '   ' });
+
+      expect(response).toBeProblem(400, { detail: /Query cannot be empty/ });
+    });
+
+    test('rejects an empty query for an assistant', async () => {
+      if (!assistantId) {
+        console.log('Skipping: AI assistant not created');
+        return;
+      }
+
+      const response = await apiClient.askAIAssistant({ query: '' }, assistantId);
+
+      expect(response).toBeProblem(400, { detail: /Query cannot be empty/ });
+    });
+
+    test('rejects a document upload without content', async () => {
+      const response = await apiClient.uploadAIAssistantDocument(Buffer.alloc(0), 'empty.txt');
+
+      expect(response).toBeProblem(400, { detail: /No file provided/ });
+    });
+
+    test('ask/form only accepts url-encoded forms', async () => {
+      const response = await apiClient.askAIAssistantForm(FIRST_CALL_SAMPLE.request, undefined, { multipart: true });
+
+      expect(response.status).toBe(415);
+    });
+  });
+
+  describe('Unknown assistant', () => {
+    const UNKNOWN_ID = 999999;
+
+    test.each([
+      ['ask', () => apiClient.askAIAssistant(FIRST_CALL_SAMPLE.request, UNKNOWN_ID)],
+      ['ask/form', () => apiClient.askAIAssistantForm(FIRST_CALL_SAMPLE.request, UNKNOWN_ID)],
+      ['documents', () => apiClient.getAIAssistantDocuments(UNKNOWN_ID)],
+      ['document upload', () => apiClient.uploadAIAssistantDocument(Buffer.from('text'), 'unknown.txt', UNKNOWN_ID)],
+      ['session/invalidate', () => apiClient.invalidateAIAssistantSession(UNKNOWN_ID)],
+      ['details', () => apiClient.getAIAssistant(UNKNOWN_ID)]
+    ])('%s returns 404', async (name, call) => {
+      const response = await call();
+
+      expect(response).toBeProblem(404, { detail: new RegExp(`AIAssistantMaterial with ID ${UNKNOWN_ID} not found`) });
+    });
+
+    test('health reports it unavailable', async () => {
+      const response = await apiClient.getAIAssistantHealth(UNKNOWN_ID);
+
+      expect(response.status).toBe(200);
+      expect(String(response.data.aiAssistantMaterialId)).toBe(String(UNKNOWN_ID));
+      expect(response.data.available).toBe(false);
+    });
+  });
+
+  describe('Assistant listing', () => {
+    test('lists the assistant with no active session', async () => {
+      if (!assistantId) {
+        console.log('Skipping: AI assistant not created');
+        return;
+      }
+
+      const list = await apiClient.listAIAssistants();
+      expect(list.status).toBe(200);
+      expect(list.data.map(item => String(item.id))).toContain(String(assistantId));
+
+      const response = await apiClient.getAIAssistant(assistantId);
+      expect(response.status).toBe(200);
+      expect(response.data.hasActiveSession).toBe(false);
+      expect(response.data.sessionId ?? null).toBeNull();
+    });
+
+    test('documents lists the assistant assets', async () => {
+      if (!assistantId) {
+        console.log('Skipping: AI assistant not created');
+        return;
+      }
+
+      const response = await apiClient.getAIAssistantDocuments(assistantId);
+
+      expect(response.status).toBe(200);
+      expect(response.data.map(document => document.fileName)).toEqual(assetFilename ? [assetFilename] : []);
+    });
+  });
+
+  describe('Health', () => {
+    test('default endpoint reports DataLens availability', async () => {
+      const response = await apiClient.getAIAssistantHealth();
+
+      expect(response.status).toBe(200);
+      expect(typeof response.data.available).toBe('boolean');
+      expect(response.data.checkedAt).toBeDefined();
+      if (stubReady) {
+        expect(response.data.available).toBe(true);
+      }
+    });
+
+    test('assistant endpoint reports DataLens availability', async () => {
+      if (skipWithoutStub()) return;
+
+      const response = await apiClient.getAIAssistantHealth(assistantId);
+
+      expect(response.status).toBe(200);
+      expect(String(response.data.aiAssistantMaterialId)).toBe(String(assistantId));
+      expect(response.data.available).toBe(true);
+    });
+
+    test('reports unavailable when DataLens health fails', async () => {
+      if (skipWithoutStub()) return;
+
+      await stub.script('health', { mode: 'fail', status: 503, times: 1 });
+
+      const response = await apiClient.getAIAssistantHealth();
+
+      expect(response.status).toBe(200);
+      expect(response.data.available).toBe(false);
+    });
+  });
+
+  describe('Default assistant', () => {
+    test.each(ASK_SAMPLES.map(sample => [sample.name, sample.request]))('asks %s', async (name, request) => {
+      if (skipWithoutStub()) return;
+
+      const since = await inferenceCount();
+      const response = await apiClient.askAIAssistant(request);
+
+      expect(response.status).toBe(200);
+      expect(response.data.query).toBe(request.query);
+      expect(response.data.text).toBe(`Stub answer to: ${request.query}`);
+      expect(response.data.collectionName).toBe(collectionName);
+
+      const [inference] = await inferencesSince(since);
+      expect(inference.params.collection).toBe(collectionName);
+      expect(inference.query.query).toBe(request.query);
+      expect(inference.query.source_files).toBeUndefined();
+
+      if (request.sessionId) {
+        expect(inference.query.session_id).toBe(request.sessionId);
+        expect(response.data.sessionId).toBe(request.sessionId);
+      } else {
+        expect(inference.query.session_id).toBeUndefined();
+        expect(response.data.sessionId).toBeTruthy();
+      }
+    });
+
+    test.each(ASK_SAMPLES.map(sample => [sample.name, sample.request]))('asks %s as a form', async (name, request) => {
+      if (skipWithoutStub()) return;
+
+      const since = await inferenceCount();
+      const response = await apiClient.askAIAssistantForm(request);
+
+      expect(response.status).toBe(200);
+      expect(response.data.query).toBe(request.query);
+
+      const [inference] = await inferencesSince(since);
+      expect(inference.query.query).toBe(request.query);
+      expect(inference.query.session_id).toBe(request.sessionId ?? undefined);
+    });
+
+    test('continues a conversation with the returned sessionId', async () => {
+      if (skipWithoutStub()) return;
+
+      const first = await apiClient.askAIAssistant(FIRST_CALL_SAMPLE.request);
+      expect(first.status).toBe(200);
+
+      const since = await inferenceCount();
+      const followUp = await apiClient.askAIAssistant({
+        query: SESSION_SAMPLE.request.query,
+        sessionId: first.data.sessionId
+      });
+
+      expect(followUp.status).toBe(200);
+      expect(followUp.data.sessionId).toBe(first.data.sessionId);
+      const [inference] = await inferencesSince(since);
+      expect(inference.query.session_id).toBe(first.data.sessionId);
+    });
+
+    test('surfaces DataLens failures as 400', async () => {
+      if (skipWithoutStub()) return;
+
+      await stub.script('inference', { mode: 'fail', status: 503, times: 1 });
+
+      const response = await apiClient.askAIAssistant(FIRST_CALL_SAMPLE.request);
+
+      expect(response).toBeProblem(400, { detail: /Failed to communicate with AI assistant/ });
+    });
+  });
+
+  describe('Assistant sessions', () => {
+    let storedSessionId;
+
+    test('first ask sends the asset filenames and stores the session', async () => {
+      if (skipWithoutStub()) return;
+
+      const since = await inferenceCount();
+      const response = await apiClient.askAIAssistant(FIRST_CALL_SAMPLE.request, assistantId);
+
+      expect(response.status).toBe(200);
+      expect(response.data.sessionId).toBeTruthy();
+      expect(response.data.sources).toEqual([assetFilename]);
+      storedSessionId = response.data.sessionId;
+
+      const [inference] = await inferencesSince(since);
+      expect(inference.query.source_files).toBe(assetFilename);
+      expect(inference.query.session_id).toBeUndefined();
+
+      const details = await apiClient.getAIAssistant(assistantId);
+      expect(details.data.hasActiveSession).toBe(true);
+      expect(details.data.sessionId).toBe(storedSessionId);
+      expect(details.data.sessionCreatedAt).toBeDefined();
+    });
+
+    test('follow-up asks reuse the stored session', async () => {
+      if (skipWithoutStub() || !storedSessionId) return;
+
+      const since = await inferenceCount();
+      const response = await apiClient.askAIAssistantForm({ query: SESSION_SAMPLE.request.query }, assistantId);
+
+      expect(response.status).toBe(200);
+      expect(response.data.sessionId).toBe(storedSessionId);
+
+      const [inference] = await inferencesSince(since);
+      expect(inference.query.session_id).toBe(storedSessionId);
+      expect(inference.query.source_files).toBeUndefined();
+    });
+
+    test('an explicit sessionId overrides the stored one', async () => {
+      if (skipWithoutStub() || !storedSessionId) return;
+
+      const since = await inferenceCount();
+      const response = await apiClient.askAIAssistant(SESSION_SAMPLE.request, assistantId);
+
+      expect(response.status).toBe(200);
+      expect(response.data.sessionId).toBe(SESSION_SAMPLE.request.sessionId);
+      const [inference] = await inferencesSince(since);
+      expect(inference.query.session_id).toBe(SESSION_SAMPLE.request.sessionId);
+
+      // The stored session is left alone
+      const details = await apiClient.getAIAssistant(assistantId);
+      expect(details.data.sessionId).toBe(storedSessionId);
+    });
+
+    test('invalidating the session starts a new one on the next ask', async () => {
+      if (skipWithoutStub() || !storedSessionId) return;
+
+      const invalidate = await apiClient.invalidateAIAssistantSession(assistantId);
+      expect(invalidate.status).toBe(200);
+      expect(String(invalidate.data.aiAssistantMaterialId)).toBe(String(assistantId));
+      expect(invalidate.data.message).toMatch(/Session invalidated/);
+
+      const cleared = await apiClient.getAIAssistant(assistantId);
+      expect(cleared.data.hasActiveSession).toBe(false);
+
+      const since = await inferenceCount();
+      const response = await apiClient.askAIAssistant(FIRST_CALL_SAMPLE.request, assistantId);
+
+      expect(response.status).toBe(200);
+      expect(response.data.sessionId).not.toBe(storedSessionId);
+      const [inference] = await inferencesSince(since);
+      expect(inference.query.source_files).toBe(assetFilename);
+      expect(inference.query.session_id).toBeUndefined();
+
+      const details = await apiClient.getAIAssistant(assistantId);
+      expect(details.data.hasActiveSession).toBe(true);
+      expect(details.data.sessionId).toBe(response.data.sessionId);
+    });
+  });
+
+  describe('Documents', () => {
+    test('uploads a document to the assistant collection', async () => {
+      if (skipWithoutStub()) return;
+
+      const filename = `conversation-upload-${Date.now()}.txt`;
+      const response = await apiClient.uploadAIAssistantDocument(
+        Buffer.from('Welding machines must be grounded before use.'), filename, assistantId
+      );
+
+      expect(response.status).toBe(200);
+      expect(response.data.jobId).toBeTruthy();
+      expect(response.data.status).toBe('pending');
+      expect(response.data.documentId).toBe(filename);
+      expect(response.data.collectionName).toBe(collectionName);
+
+      const state = await stub.state();
+      const stored = state.documents.find(document => document.document === filename);
+      expect(stored).toMatchObject({ collection: collectionName, jobId: response.data.jobId });
+    });
+
+    test('uploads a document to the default collection', async () => {
+      if (skipWithoutStub()) return;
+
+      const filename = `conversation-default-${Date.now()}.txt`;
+      const response = await apiClient.uploadAIAssistantDocument(Buffer.from('Default collection document.'), filename);
+
+      expect(response.status).toBe(200);
+      expect(response.data.collectionName).toBe(collectionName);
+
+      const uploads = (await stub.requests('uploadDocument')).filter(request => request.filename === filename);
+      expect(uploads).toHaveLength(1);
+      expect(uploads[0].params.collection).toBe(collectionName);
+    });
+
+    test('uploaded documents are not added to the assistant assets', async () => {
+      if (skipWithoutStub()) return;
+
+      const response = await apiClient.getAIAssistantDocuments(assistantId);
+
+      expect(response.status).toBe(200);
+      expect(response.data).toHaveLength(1);
+      expect(response.data[0].fileName).toBe(assetFilename);
+      expect(['notready', 'process', 'ready']).toContain(response.data[0].status);
+    });
+
+    test('surfaces DataLens upload failures as 400', async () => {
+      if (skipWithoutStub()) return;
+
+      await stub.script('uploadDocument', { mode: 'fail', status: 503, times: 1 });
+
+      const response = await apiClient.uploadAIAssistantDocument(Buffer.from('text'), 'rejected.txt', assistantId);
+
+      expect(response).toBeProblem(400, { detail: /Failed to upload document: ServiceUnavailable/ });
+    });
+  });
+});
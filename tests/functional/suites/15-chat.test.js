@@ -0,0 +1,341 @@
+const apiClient = require('../helpers/api-client');
+const testData = require('../helpers/test-data');
+const config = require('../config');
+const { ChatbotStubControl } = require('../helpers/chatbot-stub');
+
+/**
+ * Chat Tests
+ *
+ * The chat endpoints proxy questions to the endpoint in a chatbot material's
+ * chatbotConfig (a URL, or JSON with an "endpoint" property). Without a
+ * chatbot id they go to the API's default chatbot at ChatbotApi:BaseUrl.
+ *
+ * Chatbot listing, details, validation and 404s run anywhere. With
+ * CHATBOT_STUB=true the suite's chatbots point at bots on the local chatbot
+ * stub, and the suite checks what the API forwards (url-encoded query and
+ * session_id), what it returns, and how upstream errors, dropped
+ * connections, unreadable answers and timeouts come back as problem
+ * responses.
+ *
+ * ChatService forwards only the message and session; the chatbot's prompt
+ * and model stay on the material and are only returned by the details route.
+ */
+
+const OK_STATUSES = [200, 201];
+const UNKNOWN_ID = 999999;
+
+describe('Chat', () => {
+  const stub = new ChatbotStubControl();
+  let stubReady = false;
+  const chatbots = {};
+  const createdMaterialIds = [];
+
+  const MAIN = {
+    bot: 'main',
+    model: 'stub-model-1',
+    prompt: 'You answer questions about welding safety.'
+  };
+
+  const skipWithoutStub = () => {
+    if (!stubReady || !chatbots.main) {
+      console.log('Skipping: chatbot stub not running (set CHATBOT_STUB=true)');
+      return true;
+    }
+    return false;
+  };
+
+  async function createChatbot(key, material) {
+    const response = await apiClient.createMaterial(material);
+    if (!OK_STATUSES.includes(response.status)) {
+      apiClient.logResponse(response, `CREATE CHATBOT ${key.toUpperCase()}`);
+      return;
+    }
+    chatbots[key] = response.data.id;
+    createdMaterialIds.push(response.data.id);
+  }
+
+  beforeAll(async () => {
+    try {
+      await apiClient.authenticate(config.ADMIN_USER, config.ADMIN_PASSWORD);
+    } catch (error) {
+      await apiClient.authenticate(config.TEST_USER, config.TEST_PASSWORD);
+    }
+
+    stubReady = config.CHATBOT_STUB && await stub.isRunning();
+
+    await createChatbot('main', testData.createChatbotMaterial('chat-main', stub.endpoint(MAIN.bot), MAIN));
+    // chatbotConfig may also be JSON naming the endpoint
+    await createChatbot('json', testData.createChatbotMaterial(
+      'chat-json', JSON.stringify({ endpoint: stub.endpoint('json') })
+    ));
+    // Reachable host, but nothing answers on this path
+    await createChatbot('missing', testData.createChatbotMaterial(
+      'chat-missing', `${config.CHATBOT_STUB_API_URL}/nowhere`
+    ));
+  });
+
+  afterAll(async () => {
+    if (config.SKIP_CLEANUP) {
+      return;
+    }
+
+    for (const id of createdMaterialIds) {
+      try {
+        await apiClient.deleteMaterial(id);
+      } catch (error) {
+        // Ignore
+      }
+    }
+  });
+
+  describe('Chatbots', () => {
+    test('lists the chatbots with their model', async () => {
+      if (!chatbots.main) {
+        console.log('Skipping: chatbot not created');
+        return;
+      }
+
+      const response = await apiClient.listChatbots();
+
+      expect(response.status).toBe(200);
+      const main = response.data.find(chatbot => String(chatbot.id) === String(chatbots.main));
+      expect(main).toBeDefined();
+      expect(main.model).toBe(MAIN.model);
+      expect(main.hasEndpoint).toBe(true);
+    });
+
+    test('returns a chatbot with its prompt and model', async () => {
+      if (!chatbots.main) {
+        console.log('Skipping: chatbot not created');
+        return;
+      }
+
+      const response = await apiClient.getChatbot(chatbots.main);
+
+      expect(response.status).toBe(200);
+      expect(String(response.data.id)).toBe(String(chatbots.main));
+      expect(response.data.name).toBe('Test Chatbot chat-main');
+      expect(response.data.model).toBe(MAIN.model);
+      expect(response.data.prompt).toBe(MAIN.prompt);
+      expect(response.data.hasEndpoint).toBe(true);
+    });
+
+    test('returns 404 for an unknown chatbot', async () => {
+      const response = await apiClient.getChatbot(UNKNOWN_ID);
+
+      expect(response).toBeProblem(404, { detail: new RegExp(`Chatbot with ID ${UNKNOWN_ID} not found`) });
+    });
+  });
+
+  describe('Validation', () => {
+    test('rejects an empty query', async () => {
+      const response = await apiClient.askChat({ query: ' ' });
+
+      expect(response).toBeProblem(400, { detail: /Query cannot be empty/ });
+    });
+
+    test('rejects an empty query for a chatbot', async () => {
+      if (!chatbots.main) {
+        console.log('Skipping: chatbot not created');
+        return;
+      }
+
+      const response = await apiClient.askChatForm({ query: '' }, chatbots.main);
+
+      expect(response).toBeProblem(400, { detail: /Query cannot be empty/ });
+    });
+
+    test('ask/form only accepts url-encoded forms', async () => {
+      const response = await apiClient.askChatForm({ query: 'Hello' }, undefined, { multipart: true });
+
+      expect(response.status).toBe(415);
+    });
+
+    test.each([
+      ['ask', () => apiClient.askChat({ query: 'Hello' }, UNKNOWN_ID)],
+      ['ask/form', () => apiClient.askChatForm({ query: 'Hello' }, UNKNOWN_ID)]
+    ])('%s returns 404 for an unknown chatbot', async (name, call) => {
+      const response = await call();
+
+      expect(response).toBeProblem(404, { detail: new RegExp(`ChatbotMaterial with ID ${UNKNOWN_ID} not found`) });
+    });
+
+    test('health reports an unknown chatbot unavailable', async () => {
+      const response = await apiClient.getChatHealth(UNKNOWN_ID);
+
+      expect(response.status).toBe(200);
+      expect(String(response.data.chatbotId)).toBe(String(UNKNOWN_ID));
+      expect(response.data.available).toBe(false);
+    });
+  });
+
+  describe('Default chatbot', () => {
+    // ChatbotApi:BaseUrl is shared with DataLens, which may not answer /ask
+    test('health reports availability', async () => {
+      const response = await apiClient.getChatHealth();
+
+      expect(response.status).toBe(200);
+      expect(typeof response.data.available).toBe('boolean');
+      expect(response.data.checkedAt).toBeDefined();
+    });
+
+    test('ask answers or fails as a problem response', async () => {
+      const response = await apiClient.askChat({ query: 'Hello' });
+
+      expect([200, 400]).toContain(response.status);
+      if (response.status === 400) {
+        expect(response).toBeProblem(400, {
+          detail: /Failed to communicate with chatbot|No default chatbot endpoint configured/
+        });
+      }
+    });
+  });
+
+  describe('Against the chatbot stub', () => {
+    beforeEach(async () => {
+      if (stubReady) await stub.reset();
+    });
+
+    test('forwards the message to the chatbot endpoint', async () => {
+      if (skipWithoutStub()) return;
+
+      const query = 'What protective equipment does welding need?';
+      const response = await apiClient.askChat({ query }, chatbots.main);
+
+      expect(response.status).toBe(200);
+      expect(response.data.query).toBe(query);
+      expect(response.data.sessionId).toBeTruthy();
+      expect(response.data.response.speech.text).toBe(`Stub reply from ${MAIN.bot} to: ${query}`);
+      expect(response.data.response.markdown).toBe(`Stub reply from ${MAIN.bot} to: ${query}`);
+
+      const asks = await stub.requests('ask');
+      expect(asks).toHaveLength(1);
+      expect(asks[0].bot).toBe(MAIN.bot);
+      expect(asks[0].contentType).toMatch(/^application\/x-www-form-urlencoded/);
+      // Only the message and session are sent; prompt and model are not
+      expect(asks[0].form).toEqual({ query, session_id: '' });
+    });
+
+    test('forwards the session for a follow-up question', async () => {
+      if (skipWithoutStub()) return;
+
+      const first = await apiClient.askChat({ query: 'Which gloves should I wear?' }, chatbots.main);
+      expect(first.status).toBe(200);
+
+      const followUp = await apiClient.askChatForm(
+        { query: 'And for grinding?', sessionId: first.data.sessionId }, chatbots.main
+      );
+
+      expect(followUp.status).toBe(200);
+      expect(followUp.data.sessionId).toBe(first.data.sessionId);
+
+      const asks = await stub.requests('ask');
+      expect(asks.map(ask => ask.form)).toEqual([
+        { query: 'Which gloves should I wear?', session_id: '' },
+        { query: 'And for grinding?', session_id: first.data.sessionId }
+      ]);
+    });
+
+    test('reads the endpoint from a JSON chatbotConfig', async () => {
+      if (skipWithoutStub() || !chatbots.json) return;
+
+      const response = await apiClient.askChat({ query: 'Hello' }, chatbots.json);
+
+      expect(response.status).toBe(200);
+      expect(response.data.response.speech.text).toBe('Stub reply from json to: Hello');
+      expect((await stub.requests('ask')).map(ask => ask.bot)).toEqual(['json']);
+    });
+
+    test('health checks the chatbot endpoint', async () => {
+      if (skipWithoutStub()) return;
+
+      const response = await apiClient.getChatHealth(chatbots.main);
+
+      expect(response.status).toBe(200);
+      expect(String(response.data.chatbotId)).toBe(String(chatbots.main));
+      expect(response.data.available).toBe(true);
+
+      const checks = await stub.requests('health');
+      expect(checks.map(check => check.bot)).toEqual([MAIN.bot]);
+    });
+
+    test('health reports a failing chatbot unavailable', async () => {
+      if (skipWithoutStub()) return;
+
+      await stub.script('health', { mode: 'fail', status: 503 });
+
+      const response = await apiClient.getChatHealth(chatbots.main);
+
+      expect(response.status).toBe(200);
+      expect(response.data.available).toBe(false);
+    });
+
+    test('health reports an endpoint with nothing behind it unavailable', async () => {
+      if (skipWithoutStub() || !chatbots.missing) return;
+
+      const response = await apiClient.getChatHealth(chatbots.missing);
+
+      expect(response.status).toBe(200);
+      expect(response.data.available).toBe(false);
+    });
+
+    test.each([500, 502, 503])('returns 400 when the chatbot answers %i', async (status) => {
+      if (skipWithoutStub()) return;
+
+      await stub.script('ask', { mode: 'fail', status });
+
+      const response = await apiClient.askChat({ query: 'Hello' }, chatbots.main);
+
+      expect(response).toBeProblem(400, {
+        detail: new RegExp(`^Failed to communicate with chatbot: .*${status}`)
+      });
+    });
+
+    test('returns 400 when the chatbot endpoint does not exist', async () => {
+      if (skipWithoutStub() || !chatbots.missing) return;
+
+      const response = await apiClient.askChat({ query: 'Hello' }, chatbots.missing);
+
+      expect(response).toBeProblem(400, { detail: /^Failed to communicate with chatbot: .*404/ });
+    });
+
+    test('returns 400 when the chatbot drops the connection', async () => {
+      if (skipWithoutStub()) return;
+
+      await stub.script('ask', { mode: 'drop' });
+
+      const response = await apiClient.askChat({ query: 'Hello' }, chatbots.main);
+
+      expect(response).toBeProblem(400, { detail: /^Failed to communicate with chatbot/ });
+    });
+
+    // Known bug: ChatService lets a JSON error and its HttpClient timeout
+    // through to the controller's catch-all, so the API answers 500 instead of
+    // the 400 it gives other upstream failures. test.failing starts failing
+    // once that is fixed; then make these plain tests.
+    const knownBug = config.CHATBOT_STUB ? test.failing : test.skip;
+
+    knownBug('returns 400 when the chatbot answer is not JSON', async () => {
+      await stub.script('ask', { mode: 'succeed', body: 'I am not JSON' });
+
+      const response = await apiClient.askChat({ query: 'Hello' }, chatbots.main);
+
+      expect(response).toBeProblem(400, { detail: /^Failed to communicate with chatbot/ });
+    });
+
+    // Waits out the API's HttpClient timeout, so only with CHATBOT_TIMEOUT_TEST=true
+    const timeoutTest = config.CHATBOT_TIMEOUT_TEST ? knownBug : test.skip;
+
+    timeoutTest('returns 400 when the chatbot does not answer in time', async () => {
+      await stub.script('ask', { mode: 'hang' });
+
+      const response = await apiClient.post(
+        `${apiClient.chatUrl(chatbots.main)}/ask`,
+        { query: 'Hello' },
+        { timeout: config.CHATBOT_UPSTREAM_TIMEOUT + 30000 }
+      );
+
+      expect(response).toBeProblem(400, { detail: /^Failed to communicate with chatbot/ });
+    }, config.CHATBOT_UPSTREAM_TIMEOUT + 60000);
+  });
+});
@@ -0,0 +1,307 @@
+const apiClient = require('../helpers/api-client');
+const testData = require('../helpers/test-data');
+const config = require('../config');
+
+/**
+ * Troubleshooting Tests
+ *
+ * Read-only endpoints (diagnose, test-connection, databases, tables,
+ * health-check) run against the suite tenant on every run. Everything that
+ * drops or rebuilds a database needs ALLOW_DESTRUCTIVE=true and only touches
+ * a disposable tenant the suite creates for itself.
+ *
+ * The unknown-tenant tests and the destructive probe need an API that matches
+ * "Database=" case-insensitively in tenant connection strings.
+ */
+
+const OK_STATUSES = [200, 201];
+
+// Core tables every tenant database is created with
+const REQUIRED_TABLES = [
+  'Users',
+  'Assets',
+  'Materials',
+  'TrainingPrograms',
+  'LearningPaths',
+  'QuizQuestions',
+  'QuizAnswers',
+  'UserMaterialData',
+  'UserMaterialScores',
+  'AIAssistantSessions',
+  'AIAssistantMaterialAssetJobs'
+];
+
+/**
+ * Database name the API derives from a tenant name (XR50TenantService.GetTenantSchema)
+ */
+function tenantDatabase(tenantName) {
+  return `xr50_tenant_${tenantName.replace(/[^a-zA-Z0-9_]/g, '_')}`;
+}
+
+describe('Troubleshooting', () => {
+  const suiteTenant = config.getEffectiveTenant();
+  const unknownTenant = `verify-missing-${Date.now()}`;
+
+  beforeAll(async () => {
+    try {
+      await apiClient.authenticate(config.ADMIN_USER, config.ADMIN_PASSWORD);
+    } catch (error) {
+      await apiClient.authenticate(config.TEST_USER, config.TEST_PASSWORD);
+    }
+  });
+
+  describe('Diagnostics', () => {
+    test('diagnose reports the suite tenant healthy', async () => {
+      const response = await apiClient.diagnoseTenant(suiteTenant);
+
+      expect(response.status).toBe(200);
+      expect(response.data).toMatchObject({
+        tenantName: suiteTenant,
+        existsInRegistry: true,
+        databaseExists: true,
+        canConnect: true,
+        hasRequiredTables: true,
+        isHealthy: true
+      });
+      expect(response.data.tables).toEqual(expect.arrayContaining(REQUIRED_TABLES));
+      expect(response.data.migrationStatus).toMatch(/^Applied: \d+, Pending: \d+$/);
+    });
+
+    test('diagnose reports an unknown tenant unhealthy', async () => {
+      const response = await apiClient.diagnoseTenant(unknownTenant);
+
+      expect(response.status).toBe(200);
+      expect(response.data).toMatchObject({
+        tenantName: unknownTenant,
+        existsInRegistry: false,
+        databaseExists: false,
+        canConnect: false,
+        isHealthy: false
+      });
+      expect(response.data.tables).toEqual([]);
+    });
+
+    test.each([
+      ['the suite tenant', () => suiteTenant, true, 'Connection successful'],
+      ['an unknown tenant', () => unknownTenant, false, 'Connection failed']
+    ])('test-connection for %s', async (name, tenant, canConnect, message) => {
+      const response = await apiClient.testTenantConnection(tenant());
+
+      expect(response.status).toBe(200);
+      expect(response.data).toEqual({ tenantName: tenant(), canConnect, message });
+    });
+
+    test('databases lists the suite tenant database', async () => {
+      const response = await apiClient.listTenantDatabases();
+
+      expect(response.status).toBe(200);
+      expect(response.data).toContain(tenantDatabase(suiteTenant));
+      expect(response.data).not.toContain(tenantDatabase(unknownTenant));
+    });
+
+    test('tables lists the suite tenant tables', async () => {
+      const response = await apiClient.getTenantTables(suiteTenant);
+
+      expect(response.status).toBe(200);
+      expect(response.data.tenantName).toBe(suiteTenant);
+      expect(response.data.tables).toEqual(expect.arrayContaining(REQUIRED_TABLES));
+      expect(String(response.data.tableCount)).toBe(String(response.data.tables.length));
+    });
+
+    test('health-check includes the suite tenant', async () => {
+      const response = await apiClient.getTenantsHealthCheck();
+
+      expect(response.status).toBe(200);
+      expect(Array.isArray(response.data)).toBe(true);
+
+      const entry = response.data.find(tenant => tenant.tenantName === suiteTenant);
+      expect(entry).toMatchObject({ isHealthy: true, databaseExists: true, canConnect: true });
+      expect(Number(entry.tableCount)).toBeGreaterThanOrEqual(REQUIRED_TABLES.length);
+    }, config.TROUBLESHOOTING_TIMEOUT + 10000);
+  });
+
+  describe('Break and repair a disposable tenant', () => {
+    const tenantName = `verify-troubleshoot-${Date.now()}`;
+    let tenantCreated = false;
+    let baselineTables = [];
+    let materialId;
+
+    const skipUnlessDestructive = () => {
+      if (!config.ALLOW_DESTRUCTIVE) {
+        console.log('Skipping: destructive troubleshooting tests (set ALLOW_DESTRUCTIVE=true)');
+        return true;
+      }
+      if (!tenantCreated) {
+        console.log('Skipping: disposable tenant not created');
+        return true;
+      }
+      return false;
+    };
+
+    beforeAll(async () => {
+      if (!config.ALLOW_DESTRUCTIVE) {
+        return;
+      }
+
+      // Without the case-insensitive "Database=" match, rebuild would hit the base database
+      const probe = await apiClient.testTenantConnection(unknownTenant);
+      if (probe.status !== 200 || probe.data.canConnect !== false) {
+        console.warn('Not breaking a tenant: test-connection reaches a database for an unknown tenant');
+        return;
+      }
+
+      const response = await apiClient.createTenant(testData.createTenant(tenantName), {
+        timeout: config.TROUBLESHOOTING_TIMEOUT,
+        retry: true
+      });
+
+      if (OK_STATUSES.includes(response.status)) {
+        tenantCreated = true;
+        testData.resourceTracker.trackTenant(tenantName);
+      } else {
+        apiClient.logResponse(response, 'CREATE DISPOSABLE TENANT');
+      }
+    }, config.TROUBLESHOOTING_TIMEOUT + 10000);
+
+    afterAll(async () => {
+      if (!tenantCreated || config.SKIP_CLEANUP) {
+        return;
+      }
+
+      try {
+        await apiClient.deleteTenantCompletely(tenantName);
+      } catch (error) {
+        // Ignore
+      }
+    });
+
+    test('diagnose reports the new tenant healthy', async () => {
+      if (skipUnlessDestructive()) return;
+
+      const response = await apiClient.diagnoseTenant(tenantName);
+
+      expect(response.status).toBe(200);
+      expect(response.data.isHealthy).toBe(true);
+      expect(response.data.tables).toEqual(expect.arrayContaining(REQUIRED_TABLES));
+      baselineTables = response.data.tables;
+    });
+
+    test('delete-database breaks the tenant', async () => {
+      if (skipUnlessDestructive()) return;
+
+      const deleted = await apiClient.deleteTenantDatabase(tenantName);
+      expect(deleted.status).toBe(200);
+      expect(deleted.data.message).toBe(`Tenant database ${tenantName} deleted successfully`);
+
+      const diagnostic = await apiClient.diagnoseTenant(tenantName);
+      expect(diagnostic.data).toMatchObject({
+        existsInRegistry: true,
+        databaseExists: false,
+        canConnect: false,
+        isHealthy: false
+      });
+
+      const connection = await apiClient.testTenantConnection(tenantName);
+      expect(connection.data.canConnect).toBe(false);
+
+      const databases = await apiClient.listTenantDatabases();
+      expect(databases.data).not.toContain(tenantDatabase(tenantName));
+    });
+
+    test('create-tables fails while the database is missing', async () => {
+      if (skipUnlessDestructive()) return;
+
+      const response = await apiClient.createTenantTables(tenantName);
+
+      expect(response).toBeProblem(400, { detail: new RegExp(`Failed to create tables for tenant '${tenantName}'`) });
+    });
+
+    test('repair brings the database back', async () => {
+      if (skipUnlessDestructive()) return;
+
+      const repaired = await apiClient.repairTenant(tenantName);
+      expect(repaired.status).toBe(200);
+      expect(repaired.data.message).toBe(`Tenant ${tenantName} repaired successfully`);
+
+      const diagnostic = await apiClient.diagnoseTenant(tenantName);
+      expect(diagnostic.data).toMatchObject({
+        existsInRegistry: true,
+        databaseExists: true,
+        canConnect: true,
+        isHealthy: true
+      });
+
+      const databases = await apiClient.listTenantDatabases();
+      expect(databases.data).toContain(tenantDatabase(tenantName));
+    }, config.TROUBLESHOOTING_TIMEOUT + 10000);
+
+    test('create-tables restores the schema', async () => {
+      if (skipUnlessDestructive()) return;
+
+      const created = await apiClient.createTenantTables(tenantName);
+      expect(created.status).toBe(200);
+      expect(created.data.tablesCreated).toEqual(expect.arrayContaining(REQUIRED_TABLES));
+      expect(String(created.data.tableCount)).toBe(String(created.data.tablesCreated.length));
+      expect(created.data.diagnostic.isHealthy).toBe(true);
+
+      const tables = await apiClient.getTenantTables(tenantName);
+      expect(tables.status).toBe(200);
+      expect(tables.data.tables).toEqual(expect.arrayContaining(baselineTables));
+    }, config.TROUBLESHOOTING_TIMEOUT + 10000);
+
+    test('the repaired tenant serves requests', async () => {
+      if (skipUnlessDestructive()) return;
+
+      const tenantClient = apiClient.forTenant(tenantName);
+      const created = await tenantClient.createMaterial(testData.createSimpleMaterial('troubleshooting'));
+      expect(OK_STATUSES).toContain(created.status);
+      materialId = created.data.id;
+
+      const fetched = await tenantClient.getMaterial(materialId);
+      expect(fetched.status).toBe(200);
+      expect(fetched.data.name).toBe('Test Material troubleshooting');
+    });
+
+    test('rebuild drops and recreates every table', async () => {
+      if (skipUnlessDestructive() || !materialId) return;
+
+      const rebuilt = await apiClient.rebuildTenant(tenantName);
+      expect(rebuilt.status).toBe(200);
+      expect(rebuilt.data.tablesCreated).toEqual(expect.arrayContaining(REQUIRED_TABLES));
+      expect(String(rebuilt.data.tableCount)).toBe(String(rebuilt.data.tablesCreated.length));
+
+      // The tables are empty again
+      const fetched = await apiClient.forTenant(tenantName).getMaterial(materialId);
+      expect(fetched.status).toBe(404);
+    }, config.TROUBLESHOOTING_TIMEOUT + 10000);
+
+    test('force-recreate rebuilds a deleted database', async () => {
+      if (skipUnlessDestructive()) return;
+
+      const deleted = await apiClient.deleteTenantDatabase(tenantName);
+      expect(deleted.status).toBe(200);
+
+      const recreated = await apiClient.forceRecreateTenant(tenantName);
+      expect(recreated.status).toBe(200);
+      expect(recreated.data.message).toBe(`Tenant ${tenantName} force recreated`);
+      expect(recreated.data.diagnostic.isHealthy).toBe(true);
+      expect(recreated.data.diagnostic.tables).toEqual(expect.arrayContaining(REQUIRED_TABLES));
+    }, config.TROUBLESHOOTING_TIMEOUT + 10000);
+
+    test('delete-completely removes the database and the registry entry', async () => {
+      if (skipUnlessDestructive()) return;
+
+      const response = await apiClient.deleteTenantCompletely(tenantName);
+      expect(response.status).toBe(200);
+      expect(response.data.message).toBe(`Tenant ${tenantName} completely deleted`);
+      tenantCreated = false;
+
+      const diagnostic = await apiClient.diagnoseTenant(tenantName);
+      expect(diagnostic.data).toMatchObject({
+        existsInRegistry: false,
+        databaseExists: false,
+        isHealthy: false
+      });
+    });
+  });
+});
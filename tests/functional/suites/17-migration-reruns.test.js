@@ -0,0 +1,264 @@
+const apiClient = require('../helpers/api-client');
+const testData = require('../helpers/test-data');
+const config = require('../config');
+
+/**
+ * Data Migration Re-run Tests
+ *
+ * The migrate-* endpoints under api/troubleshooting are run by hand on
+ * production tenants, often more than once. This suite covers only that
+ * re-running them is harmless: it creates a tenant of its own, which already
+ * has the current schema, seeds it with the records each migration touches,
+ * runs every migration twice and checks that:
+ *   - both runs succeed with the same message,
+ *   - neither run changes the table list or any seeded record, as read back
+ *     through the normal material and asset endpoints,
+ *   - the counts that are reported stay consistent (the tables endpoint's
+ *     tableCount, and the number of materials and assets listed).
+ *
+ * Every migration is a no-op here: the existence checks find the columns and
+ * tables in place. Upgrading a pre-migration schema (renamed columns, missing
+ * tables) is not covered, since the API offers no way to create those shapes.
+ */
+
+const OK_STATUSES = [200, 201];
+
+const MIGRATIONS = [
+  ['migrate-annotations', 'migrateAnnotations',
+    tenant => `Annotations columns migrated successfully for tenant ${tenant}`],
+  ['migrate-quiz-answers', 'migrateQuizAnswers',
+    tenant => `QuizAnswers table migrated successfully for tenant ${tenant}`],
+  ['migrate-quiz-evaluation', 'migrateQuizEvaluation',
+    tenant => `Quiz evaluation columns migrated successfully for tenant ${tenant}`],
+  ['migrate-ai-assistant-collections', 'migrateAIAssistantCollections',
+    tenant => `AI Assistant collection columns migrated successfully for tenant ${tenant}`],
+  ['migrate-ai-assistant-material-asset-jobs', 'migrateAIAssistantMaterialAssetJobs',
+    tenant => `AIAssistantMaterialAssetJobs table migrated successfully for tenant ${tenant}`]
+];
+
+// AI assistant fields that the DataLens submission and AiStatusSyncService
+// update in the background, independently of any migration
+const VOLATILE_FIELDS = ['aiAssistantStatus', 'updated_at', 'serviceJobId', 'aiAvailable', 'jobId', 'errorMessage'];
+
+const VIDEO_ANNOTATIONS = [
+  { time: 5, text: 'Close the inlet valve' },
+  { time: 42, text: 'Check the pressure gauge' }
+];
+
+/**
+ * Deep copy without the fields listed in VOLATILE_FIELDS (matched case-insensitively)
+ */
+function withoutVolatileFields(value) {
+  if (Array.isArray(value)) {
+    return value.map(withoutVolatileFields);
+  }
+  if (value && typeof value === 'object') {
+    const volatile = VOLATILE_FIELDS.map(field => field.toLowerCase());
+    return Object.fromEntries(Object.entries(value)
+      .filter(([key]) => !volatile.includes(key.toLowerCase()))
+      .map(([key, nested]) => [key, withoutVolatileFields(nested)]));
+  }
+  return value;
+}
+
+describe('Data Migration Re-runs', () => {
+  const tenantName = `verify-migrations-${Date.now()}`;
+  const tenantClient = apiClient.forTenant(tenantName);
+  const seeded = {};
+  let tenantCreated = false;
+  let baseline;
+
+  const skipWithoutTenant = () => {
+    if (!tenantCreated) {
+      console.log('Skipping: migration tenant not created');
+      return true;
+    }
+    return false;
+  };
+
+  async function seed(key, material) {
+    const response = await tenantClient.createMaterial(material);
+    if (!OK_STATUSES.includes(response.status)) {
+      apiClient.logResponse(response, `SEED ${key.toUpperCase()}`);
+      return;
+    }
+    seeded[key] = response.data.id;
+  }
+
+  /**
+   * Everything a migration must leave alone, read through the public endpoints
+   */
+  async function snapshot() {
+    const tables = await apiClient.getTenantTables(tenantName);
+    const materials = await tenantClient.listMaterials();
+    const assets = await tenantClient.listAssets();
+
+    const details = {};
+    for (const [key, id] of Object.entries(seeded)) {
+      const response = key === 'asset'
+        ? await tenantClient.getAsset(id)
+        : await tenantClient.getMaterialDetail(id);
+      const data = key.startsWith('aiAssistant') ? withoutVolatileFields(response.data) : response.data;
+      details[key] = { status: response.status, data };
+    }
+
+    return {
+      tables: {
+        status: tables.status,
+        tableCount: String(tables.data.tableCount),
+        tables: [...tables.data.tables].sort()
+      },
+      materialCount: materials.data.length,
+      assetCount: assets.data.length,
+      details
+    };
+  }
+
+  beforeAll(async () => {
+    try {
+      await apiClient.authenticate(config.ADMIN_USER, config.ADMIN_PASSWORD);
+    } catch (error) {
+      await apiClient.authenticate(config.TEST_USER, config.TEST_PASSWORD);
+    }
+
+    const response = await apiClient.createTenant(testData.createTenant(tenantName), {
+      timeout: config.TROUBLESHOOTING_TIMEOUT,
+      retry: true
+    });
+    if (!OK_STATUSES.includes(response.status)) {
+      apiClient.logResponse(response, 'CREATE MIGRATION TENANT');
+      return;
+    }
+    tenantCreated = true;
+    testData.resourceTracker.trackTenant(tenantName);
+
+    // migrate-annotations: Materials.startTime and Materials.Annotations
+    await seed('video', {
+      ...testData.createVideoMaterial('migrations'),
+      startTime: '00:00:05',
+      annotations: VIDEO_ANNOTATIONS
+    });
+
+    // migrate-quiz-answers (CorrectAnswer, Extra) and migrate-quiz-evaluation (EvaluationMode, MinScore)
+    const quiz = testData.createQuizMaterial('migrations');
+    quiz.config.questions.forEach(question => {
+      question.answers = question.answers.map(answer => ({ ...answer, extra: `why: ${answer.text}` }));
+    });
+    await seed('quiz', quiz);
+
+    // migrate-ai-assistant-collections: CollectionName backfill
+    await seed('aiAssistant', testData.createAIAssistantMaterialEmpty('migrations'));
+
+    // migrate-ai-assistant-material-asset-jobs: one job row per (assistant, asset)
+    const file = testData.createTestTextFile('Migration fixture document');
+    const upload = await tenantClient.uploadBuffer(
+      `${tenantClient.tenantUrl('assets')}/upload`,
+      file.buffer,
+      file.filename,
+      { description: 'Migration fixture', filetype: 'txt' },
+      { retry: true }
+    );
+    if (OK_STATUSES.includes(upload.status)) {
+      seeded.asset = upload.data.id;
+      await seed('aiAssistantWithAsset', testData.createAIAssistantMaterialWithConfigAssets(upload.data.id, 'migrations'));
+    } else {
+      apiClient.logResponse(upload, 'SEED ASSET');
+    }
+
+    baseline = await snapshot();
+  }, config.TROUBLESHOOTING_TIMEOUT + 30000);
+
+  afterAll(async () => {
+    if (!tenantCreated || config.SKIP_CLEANUP) {
+      return;
+    }
+
+    try {
+      await apiClient.deleteTenantCompletely(tenantName);
+    } catch (error) {
+      // Ignore
+    }
+  });
+
+  describe('Seeded records', () => {
+    test('every record shaped for a migration was created', () => {
+      if (skipWithoutTenant()) return;
+
+      expect(Object.keys(seeded)).toEqual(expect.arrayContaining(['video', 'quiz', 'aiAssistant']));
+      expect(baseline.materialCount).toBe(Object.keys(seeded).filter(key => key !== 'asset').length);
+    });
+
+    test('the tables endpoint reports a consistent count', () => {
+      if (skipWithoutTenant()) return;
+
+      expect(baseline.tables.status).toBe(200);
+      expect(baseline.tables.tableCount).toBe(String(baseline.tables.tables.length));
+      expect(baseline.tables.tables).toEqual(expect.arrayContaining(['Materials', 'QuizAnswers', 'AIAssistantMaterialAssetJobs']));
+    });
+  });
+
+  describe.each(MIGRATIONS)('%s', (endpoint, method, message) => {
+    const runs = [];
+
+    test('a run on the current schema succeeds and changes no seeded record', async () => {
+      if (skipWithoutTenant()) return;
+
+      const response = await apiClient[method](tenantName);
+      runs.push(response);
+
+      expect(response.status).toBe(200);
+      expect(response.data.message).toBe(message(tenantName));
+      expect(await snapshot()).toEqual(baseline);
+    }, config.TROUBLESHOOTING_TIMEOUT + 10000);
+
+    test('a second run reports the same and changes nothing', async () => {
+      if (skipWithoutTenant() || runs.length === 0) return;
+
+      const response = await apiClient[method](tenantName);
+
+      expect(response.status).toBe(200);
+      expect(response.data).toEqual(runs[0].data);
+      expect(await snapshot()).toEqual(baseline);
+    }, config.TROUBLESHOOTING_TIMEOUT + 10000);
+  });
+
+  describe('Seeded records after all migrations', () => {
+    test('the video keeps its start time and annotations', async () => {
+      if (skipWithoutTenant() || !seeded.video) return;
+
+      const response = await tenantClient.getMaterialDetail(seeded.video);
+
+      expect(response.status).toBe(200);
+      expect(response.data.startTime).toBe('00:00:05');
+      expect(JSON.parse(response.data.annotations)).toEqual(VIDEO_ANNOTATIONS);
+    });
+
+    test('the quiz keeps its evaluation settings, answer keys and extras', async () => {
+      if (skipWithoutTenant() || !seeded.quiz) return;
+
+      const response = await tenantClient.getMaterialDetail(seeded.quiz);
+
+      expect(response.status).toBe(200);
+      expect(response.data.evaluationMode).toBe(true);
+      expect(String(response.data.minScore)).toBe('5');
+
+      const answers = response.data.config.questions.flatMap(question => question.answers);
+      expect(answers.map(({ text, correctAnswer, extra }) => ({ text, correctAnswer, extra }))).toEqual([
+        { text: 'True', correctAnswer: true, extra: 'why: True' },
+        { text: 'False', correctAnswer: false, extra: 'why: False' },
+        { text: '4', correctAnswer: false, extra: 'why: 4' },
+        { text: '7', correctAnswer: true, extra: 'why: 7' },
+        { text: '9', correctAnswer: false, extra: 'why: 9' }
+      ]);
+    });
+
+    test('the AI assistant keeps its asset and per-asset job', async () => {
+      if (skipWithoutTenant() || !seeded.aiAssistantWithAsset) return;
+
+      const response = await tenantClient.getMaterialDetail(seeded.aiAssistantWithAsset);
+
+      expect(response.status).toBe(200);
+      expect(response.data.assets.map(asset => String(asset.id))).toEqual([String(seeded.asset)]);
+    });
+  });
+});
@@ -0,0 +1,214 @@
+const fs = require('fs');
+const path = require('path');
+const apiClient = require('../helpers/api-client');
+const testData = require('../helpers/test-data');
+const config = require('../config');
+const {
+  createRandom,
+  describePayload,
+  failureOf,
+  minimizePayload,
+  mutatePayload,
+  shuffle
+} = require('../helpers/fuzz');
+
+/**
+ * Material Payload Fuzzing
+ *
+ * Only runs with FUZZ=true. Builds valid and near-valid material payloads
+ * from the test-data.js generators and the OpenAPI material components (see
+ * helpers/fuzz.js) and sends them to every route that creates or updates a
+ * material, JSON and multipart alike.
+ *
+ * Near-valid payloads may be accepted or rejected with a 4xx. A 5xx, a
+ * dropped connection or a response that breaks the contract is a finding:
+ * each distinct failure is shrunk to a minimal reproducer and written to
+ * reports/fuzz/<target>.json, and the target's test fails.
+ *
+ * Cases are sampled with FUZZ_SEED (logged at the start); rerun with the
+ * same seed to replay them.
+ */
+
+const OK_STATUSES = [200, 201];
+const FUZZ_TIMEOUT = 15 * 60 * 1000;
+
+const JSON_OPTIONS = { headers: { 'Content-Type': 'application/json' } };
+
+// Seed payloads and the spec component that describes each
+const SEEDS = [
+  // 'Simple' is not one of the API's material types
+  ['default', () => ({ ...testData.createSimpleMaterial('fuzz'), type: 'default' }), 'DefaultMaterial'],
+  ['video', () => testData.createVideoMaterial('fuzz'), 'VideoMaterial'],
+  ['video with timestamps', () => testData.createVideoWithTimestamps('fuzz'), 'VideoMaterial'],
+  ['checklist', () => testData.createChecklistMaterial('fuzz'), 'ChecklistMaterial'],
+  ['workflow', () => testData.createWorkflowMaterial('fuzz'), 'WorkflowMaterial'],
+  ['quiz', () => testData.createQuizMaterial('fuzz'), 'QuizMaterial'],
+  ['questionnaire', () => testData.createQuestionnaireMaterial('fuzz'), 'QuestionnaireMaterial'],
+  ['chatbot', () => testData.createChatbotMaterial('fuzz'), 'ChatbotMaterial'],
+  ['ai assistant', () => testData.createAIAssistantMaterialEmpty('fuzz'), 'AIAssistantMaterial'],
+  ['ai assistant config.assets', assetId => testData.createAIAssistantMaterialWithConfigAssets(assetId, 'fuzz'), 'AIAssistantMaterial'],
+  ['ai assistant assets', assetId => testData.createAIAssistantMaterialWithTopLevelAssets(assetId, 'fuzz'), 'AIAssistantMaterial'],
+  ['ai assistant assetIds', assetId => testData.createAIAssistantMaterialWithLegacyIds(assetId, 'fuzz'), 'AIAssistantMaterial']
+];
+
+// [name, send(payload, seedName, base)]; `base` maps each seed to a material to update
+const TARGETS = [
+  ['POST materials', payload => apiClient.createMaterial(JSON.stringify(payload), JSON_OPTIONS)],
+  ['POST materials (multipart)', payload => apiClient.createMaterialForm(JSON.stringify(payload))],
+  ['POST materials/json', payload => apiClient.createMaterialJson(JSON.stringify(payload), JSON_OPTIONS)],
+  ['POST materials/advanced', payload => apiClient.createMaterialAdvanced(JSON.stringify(payload), JSON_OPTIONS)],
+  ['POST materials/detail-with-asset', payload => apiClient.createMaterialForm(JSON.stringify(payload), {
+    route: 'detail-with-asset',
+    field: 'materialData'
+  })],
+  ['PUT materials/{id}', (payload, seedName, base) =>
+    apiClient.updateMaterial(base[seedName], JSON.stringify(payload), JSON_OPTIONS)]
+];
+
+function slugify(name) {
+  return name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
+}
+
+describe('Material Payload Fuzzing', () => {
+  const createdMaterialIds = [];
+  const base = {};
+  let seeds = [];
+
+  const skipUnlessFuzzing = () => {
+    if (!config.FUZZ) {
+      console.log('Skipping: material fuzzing (set FUZZ=true)');
+      return true;
+    }
+    return false;
+  };
+
+  /**
+   * Send one payload; anything created is deleted after the suite
+   */
+  async function send(target, payload, seedName) {
+    try {
+      const response = await target(payload, seedName, base);
+      if (OK_STATUSES.includes(response.status) && response.data?.id) {
+        createdMaterialIds.push(response.data.id);
+      }
+      return { response };
+    } catch (error) {
+      return { error };
+    }
+  }
+
+  beforeAll(async () => {
+    if (!config.FUZZ) {
+      return;
+    }
+
+    try {
+      await apiClient.authenticate(config.ADMIN_USER, config.ADMIN_PASSWORD);
+    } catch (error) {
+      await apiClient.authenticate(config.TEST_USER, config.TEST_PASSWORD);
+    }
+
+    console.log(`Fuzzing with FUZZ_SEED=${config.FUZZ_SEED}, ${config.FUZZ_CASES} cases per target`);
+
+    // The AI assistant variants reference an asset of the tenant
+    const file = testData.createTestTextFile('Fuzzing fixture document');
+    const upload = await apiClient.uploadBuffer(
+      `${apiClient.tenantUrl('assets')}/upload`,
+      file.buffer,
+      file.filename,
+      { description: 'Fuzzing fixture', filetype: 'txt' },
+      { retry: true }
+    );
+    const assetId = OK_STATUSES.includes(upload.status) ? upload.data.id : null;
+    if (!assetId) {
+      apiClient.logResponse(upload, 'UPLOAD FUZZ ASSET');
+    }
+
+    seeds = SEEDS
+      .filter(([, build]) => build.length === 0 || assetId)
+      .map(([name, build, schemaName]) => ({ name, seed: build(assetId), schemaName }));
+
+    // One material per seed for the update target
+    for (const { name, seed } of seeds) {
+      const response = await apiClient.createMaterial(seed);
+      if (OK_STATUSES.includes(response.status)) {
+        base[name] = response.data.id;
+        createdMaterialIds.push(response.data.id);
+      } else {
+        apiClient.logResponse(response, `CREATE FUZZ BASE ${name.toUpperCase()}`);
+      }
+    }
+  }, 120000);
+
+  afterAll(async () => {
+    if (config.SKIP_CLEANUP) {
+      return;
+    }
+
+    for (const id of createdMaterialIds) {
+      try {
+        await apiClient.deleteMaterial(id);
+      } catch (error) {
+        // Ignore
+      }
+    }
+  }, 120000);
+
+  test.each(TARGETS)('%s answers fuzzed payloads without 5xx or contract violations', async (targetName, target) => {
+    if (skipUnlessFuzzing()) return;
+
+    const random = createRandom(config.FUZZ_SEED);
+    const candidates = seeds
+      .filter(({ name }) => !targetName.startsWith('PUT') || base[name])
+      .flatMap(({ name, seed, schemaName }) => mutatePayload(seed, {
+        schemaName,
+        hugeStringLength: config.FUZZ_HUGE_STRING_LENGTH
+      }).map(fuzzCase => ({ seedName: name, ...fuzzCase })));
+
+    // Every valid seed, then a sample of the mutations
+    const cases = [
+      ...candidates.filter(({ mutation }) => mutation === 'valid'),
+      ...shuffle(candidates.filter(({ mutation }) => mutation !== 'valid'), random).slice(0, config.FUZZ_CASES)
+    ];
+
+    const findings = new Map();
+    for (const fuzzCase of cases) {
+      const failure = failureOf(await send(target, fuzzCase.payload, fuzzCase.seedName));
+      if (!failure) {
+        continue;
+      }
+
+      // The same mutation usually fails the same way for every seed
+      const key = `${failure} on ${fuzzCase.mutation}`;
+      const finding = findings.get(key) || { failure, mutation: fuzzCase.mutation, seeds: [] };
+      finding.seeds.push(fuzzCase.seedName);
+      findings.set(key, finding);
+
+      if (!finding.reproducer) {
+        finding.payload = fuzzCase.payload;
+        finding.reproducer = await minimizePayload(
+          fuzzCase.payload,
+          async candidate => failureOf(await send(target, candidate, fuzzCase.seedName)) === failure,
+          config.FUZZ_MINIMIZE_ATTEMPTS
+        );
+      }
+    }
+
+    const report = {
+      target: targetName,
+      seed: config.FUZZ_SEED,
+      cases: cases.length,
+      findings: [...findings.values()]
+    };
+    if (report.findings.length > 0) {
+      const file = path.join(config.FUZZ_DIR, `${slugify(targetName)}.json`);
+      fs.mkdirSync(config.FUZZ_DIR, { recursive: true });
+      fs.writeFileSync(file, JSON.stringify(report, null, 2));
+      console.log(`${report.findings.length} fuzz findings for ${targetName} written to ${path.relative(path.join(__dirname, '..'), file)}`);
+    }
+
+    expect(report.findings.map(finding =>
+      `${finding.failure} on "${finding.mutation}" (${finding.seeds.join(', ')}), reproducer: ${describePayload(finding.reproducer)}`
+    )).toEqual([]);
+  }, FUZZ_TIMEOUT);
+});
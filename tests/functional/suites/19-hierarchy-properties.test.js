@@ -0,0 +1,267 @@
+const apiClient = require('../helpers/api-client');
+const testData = require('../helpers/test-data');
+const config = require('../config');
+const {
+  ReferenceGraph,
+  formatStep,
+  generateSteps,
+  labelsFor,
+  shrinkSteps
+} = require('../helpers/hierarchy-model');
+
+/**
+ * Material Hierarchy Property Tests
+ *
+ * 06-hierarchy checks three fixed cycles. This suite draws random sequences
+ * of assign-material and remove-material calls over a handful of fresh
+ * materials (see helpers/hierarchy-model.js) and replays each against the API
+ * and an in-memory reference graph side by side. After every step:
+ *   - an assignment must be accepted exactly when the reference says it
+ *     creates no cycle (and the edge is new; a repeated edge is rejected as
+ *     a duplicate), and a removal must succeed exactly when the edge exists,
+ *   - /children, /parents and /hierarchy of every material must match the
+ *     reference.
+ *
+ * A failing sequence is cut after the failing step and shrunk by replaying
+ * it without runs of steps on new materials, for as long as it fails the
+ * same check. The shrunk sequence is printed and fails the run's test.
+ *
+ * Run i uses seed HIERARCHY_SEED + i (logged at the start); rerun with the
+ * same HIERARCHY_SEED to replay the sequences.
+ */
+
+const OK_STATUSES = [200, 201, 204];
+const RUN_TIMEOUT = 10 * 60 * 1000;
+
+/**
+ * Outcome of a step as the API reported it, in ReferenceGraph.expect() terms
+ */
+function outcomeOf(action, response) {
+  const detail = response.problem?.detail || '';
+
+  if (action === 'assign') {
+    if (OK_STATUSES.includes(response.status)) return 'accepted';
+    if (response.status === 400 && /circular reference/.test(detail)) return 'cycle';
+    if (response.status === 400 && /already exists/.test(detail)) return 'duplicate';
+  } else {
+    if (OK_STATUSES.includes(response.status)) return 'removed';
+    if (response.status === 404) return 'missing';
+  }
+
+  return `HTTP ${response.status}${detail ? ` "${detail}"` : ''}`;
+}
+
+/**
+ * e.g. "B(C, D(C))" for B containing C and D, and D containing C
+ */
+function formatTree(nodes) {
+  return nodes
+    .map(node => (node.children.length > 0 ? `${node.material}(${formatTree(node.children)})` : node.material))
+    .join(', ');
+}
+
+function treeDepth(nodes) {
+  return nodes.length === 0 ? 0 : 1 + Math.max(...nodes.map(node => treeDepth(node.children)));
+}
+
+function treeSize(nodes) {
+  return nodes.reduce((count, node) => count + 1 + treeSize(node.children), 0);
+}
+
+describe('Material Hierarchy Properties', () => {
+  const labels = labelsFor(config.HIERARCHY_MATERIALS);
+  const runs = Array.from({ length: config.HIERARCHY_RUNS }, (_, index) => [index + 1, config.HIERARCHY_SEED + index]);
+  let authenticated = false;
+
+  beforeAll(async () => {
+    try {
+      await apiClient.authenticate(config.ADMIN_USER, config.ADMIN_PASSWORD);
+    } catch (error) {
+      await apiClient.authenticate(config.TEST_USER, config.TEST_PASSWORD);
+    }
+    authenticated = true;
+
+    console.log(`Hierarchy properties with HIERARCHY_SEED=${config.HIERARCHY_SEED}: ` +
+      `${config.HIERARCHY_RUNS} runs of ${config.HIERARCHY_STEPS} steps over ${labels.length} materials`);
+  });
+
+  /**
+   * One fresh material per label: Map(label -> id), or null
+   */
+  async function createMaterials() {
+    const ids = new Map();
+    for (const label of labels) {
+      // 'Simple' is not one of the API's material types
+      const response = await apiClient.createMaterial({
+        ...testData.createSimpleMaterial(`hierarchy ${label}`),
+        type: 'default'
+      });
+      if (!OK_STATUSES.includes(response.status)) {
+        apiClient.logResponse(response, `CREATE HIERARCHY MATERIAL ${label}`);
+        await deleteMaterials(ids);
+        return null;
+      }
+      ids.set(label, response.data.id);
+    }
+    return ids;
+  }
+
+  // Deleting a material also deletes its relationships
+  async function deleteMaterials(ids) {
+    if (config.SKIP_CLEANUP) {
+      return;
+    }
+    for (const id of ids.values()) {
+      try {
+        await apiClient.deleteMaterial(id);
+      } catch (error) {
+        // Ignore
+      }
+    }
+  }
+
+  /**
+   * First way the API disagrees with the reference: { check, message }, or null
+   */
+  async function compareWithReference(graph, ids) {
+    const labelOf = new Map([...ids].map(([label, id]) => [String(id), label]));
+    const toLabel = id => labelOf.get(String(id)) || `#${id}`;
+    const list = items => `[${items.join(', ')}]`;
+
+    for (const label of labels) {
+      const id = ids.get(label);
+
+      const children = await apiClient.getMaterialChildren(id);
+      const childLabels = Array.isArray(children.data) ? children.data.map(material => toLabel(material.id)) : null;
+      if (children.status !== 200 || list(childLabels || []) !== list(graph.children(label))) {
+        return {
+          check: 'children',
+          message: `children of ${label}: expected ${list(graph.children(label))}, got ` +
+            (childLabels ? list(childLabels) : `HTTP ${children.status}`)
+        };
+      }
+
+      const parents = await apiClient.getMaterialParents(id);
+      const parentLabels = Array.isArray(parents.data) ? parents.data.map(material => toLabel(material.id)).sort() : null;
+      if (parents.status !== 200 || list(parentLabels || []) !== list(graph.parents(label))) {
+        return {
+          check: 'parents',
+          message: `parents of ${label}: expected ${list(graph.parents(label))}, got ` +
+            (parentLabels ? list(parentLabels) : `HTTP ${parents.status}`)
+        };
+      }
+
+      // The longest path has labels.length - 1 edges, so nothing is cut off
+      const hierarchy = await apiClient.getMaterialHierarchy(id, { maxDepth: labels.length });
+      if (hierarchy.status !== 200) {
+        return { check: 'hierarchy', message: `hierarchy of ${label}: HTTP ${hierarchy.status}` };
+      }
+
+      const expected = graph.tree(label);
+      const depthErrors = [];
+      const project = (nodes, depth) => (nodes || []).map(node => {
+        const material = toLabel(node.material?.id);
+        if (Number(node.depth) !== depth) {
+          depthErrors.push(`${material} at depth ${depth} reported as ${node.depth}`);
+        }
+        return { material, children: project(node.children, depth + 1) };
+      });
+      const actual = project(hierarchy.data.children, 1);
+
+      let message = null;
+      if (toLabel(hierarchy.data.rootMaterial?.id) !== label) {
+        message = `root is ${toLabel(hierarchy.data.rootMaterial?.id)}`;
+      } else if (formatTree(actual) !== formatTree(expected)) {
+        message = `expected ${formatTree(expected) || 'no children'}, got ${formatTree(actual) || 'no children'}`;
+      } else if (depthErrors.length > 0) {
+        message = depthErrors[0];
+      } else if (Number(hierarchy.data.totalDepth) !== treeDepth(expected)) {
+        message = `totalDepth is ${hierarchy.data.totalDepth}, expected ${treeDepth(expected)}`;
+      } else if (Number(hierarchy.data.totalMaterials) !== treeSize(expected) + 1) {
+        message = `totalMaterials is ${hierarchy.data.totalMaterials}, expected ${treeSize(expected) + 1}`;
+      }
+      if (message) {
+        return { check: 'hierarchy', message: `hierarchy of ${label}: ${message}` };
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Replay steps on new materials: { index, check, message } for the first
+   * failing step, null when every step matched the reference
+   */
+  async function replay(steps) {
+    const ids = await createMaterials();
+    if (!ids) {
+      return { index: -1, check: 'setup', message: 'could not create the materials' };
+    }
+
+    try {
+      const graph = new ReferenceGraph(labels);
+      for (const [index, step] of steps.entries()) {
+        const expected = graph.apply(step);
+        const parentId = ids.get(step.parent);
+        const childId = ids.get(step.child);
+        const response = step.action === 'assign'
+          ? await apiClient.assignMaterialChild(parentId, childId)
+          : await apiClient.removeMaterialChild(parentId, childId);
+
+        const actual = outcomeOf(step.action, response);
+        if (actual !== expected) {
+          return { index, check: step.action, message: `${formatStep(step)}: expected ${expected}, got ${actual}` };
+        }
+
+        const mismatch = await compareWithReference(graph, ids);
+        if (mismatch) {
+          return { index, ...mismatch, message: `after ${formatStep(step)}, ${mismatch.message}` };
+        }
+      }
+      return null;
+    } finally {
+      await deleteMaterials(ids);
+    }
+  }
+
+  test.each(runs)('run %i (seed %i): the API matches the reference graph after every step', async (run, seed) => {
+    if (!authenticated) {
+      console.log('Skipping: not authenticated');
+      return;
+    }
+
+    const steps = generateSteps(seed, { materials: labels.length, steps: config.HIERARCHY_STEPS });
+    const failure = await replay(steps);
+    if (failure?.check === 'setup') {
+      console.log(`Skipping: ${failure.message}`);
+      return;
+    }
+    if (!failure) {
+      return;
+    }
+
+    const failing = steps.slice(0, failure.index + 1);
+    let last = failure;
+    const shrunk = await shrinkSteps(failing, async candidate => {
+      const result = await replay(candidate);
+      if (result?.check !== failure.check) {
+        return false;
+      }
+      last = result;
+      return true;
+    }, config.HIERARCHY_SHRINK_ATTEMPTS);
+
+    // The last failing replay was of `shrunk`, unless no candidate failed
+    const reported = shrunk === failing ? failure : last;
+    const graph = new ReferenceGraph(labels);
+    const lines = shrunk.map((step, index) => `  ${index + 1}. ${formatStep(step)} (${graph.apply(step)})`);
+
+    console.log([
+      `Hierarchy property failed (HIERARCHY_SEED=${config.HIERARCHY_SEED}, run ${run}, seed ${seed}): ${failure.message}`,
+      `Shrunk from ${failing.length} to ${shrunk.length} steps, which fail with: ${reported.message}`,
+      ...lines
+    ].join('\n'));
+
+    expect([`${reported.message}, reproducer: ${shrunk.map(formatStep).join('; ')}`]).toEqual([]);
+  }, RUN_TIMEOUT);
+});
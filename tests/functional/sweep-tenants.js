@@ -0,0 +1,239 @@
+#!/usr/bin/env node
+/**
+ * Stale test-tenant sweeper
+ *
+ * Crashed runs and SKIP_CLEANUP=true leave harness tenants behind, with their
+ * databases and storage. This command lists the tenants the harness creates
+ * (setup.js and the tenant, troubleshooting and migration suites), by name
+ * pattern and tenant group, that are older than a given age.
+ *
+ * Without --delete it only lists them (dry run). With --delete it removes
+ * each one: its assets first, which deletes their files from storage (tenant
+ * deletion leaves storage alone), then the tenant and its database. The
+ * storage freed is taken from storage-stats before and after the assets go.
+ *
+ * Usage:
+ *   npm run sweep-tenants                            # dry run, older than 24h
+ *   npm run sweep-tenants -- --older-than 2d
+ *   npm run sweep-tenants -- --older-than 6h --delete
+ *
+ * The API, credentials and NO_AUTH come from the same environment variables
+ * as the test run (see config.js). EXISTING_TENANT and TEST_TENANT, and
+ * their -w<N> worker tenants, are never swept; keep --older-than above the
+ * length of a run so a live run's tenants are not either.
+ */
+
+const config = require('./config');
+const apiClient = require('./helpers/api-client');
+
+// Names the harness gives its tenants, ending in the Date.now() of creation
+// and, for the worker tenants of parallel runs, the worker number
+const TENANT_NAME_PATTERN = /^(test|verify-tenant|verify-troubleshoot|verify-migrations|delete-test)-(\d{13})(-w\d+)?$/;
+const TENANT_GROUPS = ['functional-tests', 'verification-tests'];
+
+const DEFAULT_MIN_AGE = '24h';
+const DURATION_UNITS = { m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000 };
+
+/**
+ * "90m", "6h", "2d" -> milliseconds
+ */
+function parseDuration(text) {
+  const match = /^(\d+(?:\.\d+)?)([mhd])$/.exec(String(text).trim());
+  if (!match) {
+    throw new Error(`Invalid age "${text}" (expected e.g. 90m, 6h or 2d)`);
+  }
+  return parseFloat(match[1]) * DURATION_UNITS[match[2]];
+}
+
+function parseArgs(argv) {
+  const options = { minAge: process.env.SWEEP_MIN_AGE || DEFAULT_MIN_AGE, delete: false };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--delete') {
+      options.delete = true;
+    } else if (arg === '--older-than') {
+      options.minAge = argv[++i];
+    } else if (arg.startsWith('--older-than=')) {
+      options.minAge = arg.substring('--older-than='.length);
+    } else {
+      throw new Error(`Unknown argument: ${arg}`);
+    }
+  }
+  options.minAgeMs = parseDuration(options.minAge);
+  return options;
+}
+
+function formatBytes(bytes) {
+  const units = ['B', 'KB', 'MB', 'GB', 'TB'];
+  let value = Number(bytes) || 0;
+  let unit = 0;
+  while (value >= 1024 && unit < units.length - 1) {
+    value /= 1024;
+    unit++;
+  }
+  return `${unit === 0 ? value : value.toFixed(1)} ${units[unit]}`;
+}
+
+function formatAge(ms) {
+  const hours = ms / DURATION_UNITS.h;
+  return hours >= 48 ? `${Math.floor(hours / 24)}d` : `${Math.floor(hours)}h`;
+}
+
+/**
+ * Creation time of a harness tenant from the timestamp in its name, which
+ * unlike createdAt is always UTC
+ */
+function createdAtOf(tenant) {
+  return Number(TENANT_NAME_PATTERN.exec(tenant.tenantName)[2]);
+}
+
+/**
+ * EXISTING_TENANT and TEST_TENANT, and the worker tenants a parallel run
+ * names after them ("<tenant>-w<N>", see setup.js)
+ */
+function isProtected(tenantName) {
+  return [process.env.EXISTING_TENANT, process.env.TEST_TENANT]
+    .filter(Boolean)
+    .some(tenant => tenantName === tenant
+      || (tenantName.startsWith(`${tenant}-w`) && /^\d+$/.test(tenantName.slice(tenant.length + 2))));
+}
+
+/**
+ * Harness tenants old enough to sweep, oldest first, and the number of
+ * harness tenants still too young
+ */
+function staleTenants(tenants, minAgeMs, now = Date.now()) {
+  const harnessTenants = tenants.filter(tenant =>
+    TENANT_NAME_PATTERN.test(tenant.tenantName)
+    && TENANT_GROUPS.includes(tenant.tenantGroup)
+    && !isProtected(tenant.tenantName));
+
+  const stale = harnessTenants
+    .map(tenant => ({ ...tenant, age: now - createdAtOf(tenant) }))
+    .filter(tenant => tenant.age >= minAgeMs)
+    .sort((a, b) => b.age - a.age);
+
+  return { stale, tooYoung: harnessTenants.length - stale.length };
+}
+
+async function storageOf(client, tenantName) {
+  const response = await client.getStorageStats(tenantName);
+  if (response.status !== 200) {
+    return null;
+  }
+  return { files: Number(response.data.totalFiles) || 0, bytes: Number(response.data.totalSizeBytes) || 0 };
+}
+
+/**
+ * Delete a tenant's assets, then the tenant. Returns { freed, deletedAssets,
+ * leftBehind } (storage figures are null when storage-stats fails), or
+ * throws when the tenant could not be deleted.
+ */
+async function sweepTenant(client, tenant) {
+  const tenantClient = client.forTenant(tenant.tenantName);
+  let deletedAssets = 0;
+
+  const assets = await tenantClient.listAssets();
+  if (assets.status === 200 && Array.isArray(assets.data)) {
+    for (const asset of assets.data) {
+      const response = await tenantClient.deleteAsset(asset.id);
+      if ([200, 204].includes(response.status)) {
+        deletedAssets++;
+      }
+    }
+  }
+
+  const after = await storageOf(client, tenant.tenantName);
+  const response = await client.deleteTenant(tenant.tenantName);
+  if (![200, 204].includes(response.status)) {
+    throw new Error(`tenant delete returned HTTP ${response.status}`);
+  }
+
+  const before = tenant.storage;
+  const freed = before && after
+    ? { files: Math.max(0, before.files - after.files), bytes: Math.max(0, before.bytes - after.bytes) }
+    : null;
+  return { freed, deletedAssets, leftBehind: after };
+}
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+
+  const client = apiClient.createClient({ user: config.ADMIN_USER, password: config.ADMIN_PASSWORD, label: 'sweep' });
+  await client.authenticate();
+
+  const response = await client.listTenants();
+  if (response.status !== 200 || !Array.isArray(response.data)) {
+    throw new Error(`Could not list tenants: HTTP ${response.status}`);
+  }
+
+  const { stale, tooYoung } = staleTenants(response.data, options.minAgeMs);
+
+  console.log(`Stale test tenants on ${config.API_BASE_URL} (older than ${options.minAge}):`);
+  if (stale.length === 0) {
+    console.log('  none');
+  }
+
+  const total = { files: 0, bytes: 0 };
+  for (const tenant of stale) {
+    tenant.storage = await storageOf(client, tenant.tenantName);
+    if (tenant.storage) {
+      total.files += tenant.storage.files;
+      total.bytes += tenant.storage.bytes;
+    }
+    const storage = tenant.storage
+      ? `${tenant.storage.files} files, ${formatBytes(tenant.storage.bytes)}`
+      : 'storage unknown';
+    console.log(`  ${tenant.tenantName.padEnd(36)} ${tenant.tenantGroup.padEnd(20)} ${formatAge(tenant.age).padStart(5)}  ${storage}`);
+  }
+
+  console.log(`\n${stale.length} tenants, ${total.files} files, ${formatBytes(total.bytes)}` +
+    `${tooYoung ? ` (${tooYoung} younger harness tenants kept)` : ''}`);
+
+  if (!options.delete) {
+    if (stale.length > 0) {
+      console.log('Dry run: rerun with --delete to remove them.');
+    }
+    return 0;
+  }
+
+  console.log('\nDeleting...');
+  const freed = { files: 0, bytes: 0 };
+  const failed = [];
+  let swept = 0;
+
+  for (const tenant of stale) {
+    try {
+      const result = await sweepTenant(client, tenant);
+      swept++;
+      if (result.freed) {
+        freed.files += result.freed.files;
+        freed.bytes += result.freed.bytes;
+      }
+      const leftBehind = result.leftBehind?.files ? `, ${result.leftBehind.files} files left in storage` : '';
+      console.log(`  ${tenant.tenantName}: ${result.deletedAssets} assets and the tenant deleted` +
+        `${result.freed ? `, ${formatBytes(result.freed.bytes)} freed` : ''}${leftBehind}`);
+    } catch (error) {
+      failed.push(`${tenant.tenantName}: ${error.message}`);
+    }
+  }
+
+  console.log(`\nSwept ${swept} of ${stale.length} tenants, freed ${formatBytes(freed.bytes)} in ${freed.files} files.`);
+  if (failed.length > 0) {
+    console.warn('Could not sweep:');
+    for (const failure of failed) {
+      console.warn(`  ${failure}`);
+    }
+    return 1;
+  }
+  return 0;
+}
+
+main()
+  .then(code => {
+    process.exitCode = code;
+  })
+  .catch(error => {
+    console.error(error.message);
+    process.exitCode = 1;
+  });
@@ -5,15 +5,54 @@ const path = require('path');
  * Global test teardown
  *
  * Runs once after all tests to:
- * 1. Clean up created resources
- * 2. Delete test tenant (if we created it)
+ * 1. Clean up the resources suites tracked (see TestResourceTracker),
+ *    dependents first, and report any that could not be removed
+ * 2. Delete test tenant, or every worker's tenant in PARALLEL runs (if we created them)
  * 3. Remove state file
+ * 4. Stop the DataLens, chatbot and OIDC stubs (if setup.js started them)
+ * 5. Fail the run if endpoint coverage is below COVERAGE_THRESHOLD
  */
 
 module.exports = async function globalTeardown() {
   const config = require('./config');
+
+  let coverage;
+  try {
+    reportRetries(config.RETRY_REPORT_FILE);
+    reportContract(config.CONTRACT_DIR);
+    coverage = reportCoverage(config);
+  } finally {
+    // Also when a report cannot be read (a line or file a crashed worker left half-written)
+    await cleanUp(config);
+  }
+
+  // Only after cleanup, so a failing threshold never leaves the tenant behind
+  if (config.COVERAGE_THRESHOLD > 0) {
+    if (!coverage) {
+      throw new Error(`COVERAGE_THRESHOLD=${config.COVERAGE_THRESHOLD} is set, but no endpoint coverage was recorded (no OpenAPI document?)`);
+    }
+    if (coverage.percent < config.COVERAGE_THRESHOLD) {
+      throw new Error(`Endpoint coverage ${coverage.percent}% is below COVERAGE_THRESHOLD=${config.COVERAGE_THRESHOLD}%`);
+    }
+  }
+};
+
+async function cleanUp(config) {
   const STATE_FILE = path.join(__dirname, '.test-state.json');
 
+  if (globalThis.__DATALENS_STUB__) {
+    await globalThis.__DATALENS_STUB__.close();
+    globalThis.__DATALENS_STUB__ = null;
+  }
+  if (globalThis.__CHATBOT_STUB__) {
+    await globalThis.__CHATBOT_STUB__.close();
+    globalThis.__CHATBOT_STUB__ = null;
+  }
+  if (globalThis.__OIDC_STUB__) {
+    await globalThis.__OIDC_STUB__.close();
+    globalThis.__OIDC_STUB__ = null;
+  }
+
   console.log('\n========================================');
   console.log('  Cleanup');
   console.log('========================================\n');
@@ -46,29 +85,39 @@ module.exports = async function globalTeardown() {
   let cleanedCount = 0;
   let failedCount = 0;
 
-  // Delete the test tenant if we created it
-  if (state.createdTenant && state.testTenant && !state.existingTenant) {
-    console.log(`Deleting test tenant: ${state.testTenant}...`);
+  if (config.RECORD_MODE !== 'replay') {
+    const tracked = await deleteTrackedResources(config, state);
+    cleanedCount += tracked.deleted;
+    failedCount += tracked.failed.length;
+  }
 
-    try {
-      const response = await axios.delete(`${TENANT_API_URL}/${state.testTenant}`, {
-        timeout: 30000,
-        validateStatus: () => true
-      });
-
-      if (response.status === 200 || response.status === 204) {
-        console.log(`  Deleted tenant: ${state.testTenant}`);
-        cleanedCount++;
-      } else if (response.status === 404 || response.status === 500) {
-        // Tenant might already be deleted or not found
-        console.log(`  Tenant already deleted or not found: ${state.testTenant}`);
-      } else {
-        console.warn(`  Failed to delete tenant: ${response.status}`);
+  // Delete the test tenant(s) if we created them
+  if (config.RECORD_MODE === 'replay') {
+    console.log('Replay mode: no live resources to delete');
+  } else if (state.createdTenant && state.testTenant && !state.existingTenant) {
+    for (const tenantName of ownTenants(state)) {
+      console.log(`Deleting test tenant: ${tenantName}...`);
+
+      try {
+        const response = await axios.delete(`${TENANT_API_URL}/${tenantName}`, {
+          timeout: 30000,
+          validateStatus: () => true
+        });
+
+        if (response.status === 200 || response.status === 204) {
+          console.log(`  Deleted tenant: ${tenantName}`);
+          cleanedCount++;
+        } else if (response.status === 404 || response.status === 500) {
+          // Tenant might already be deleted or not found
+          console.log(`  Tenant already deleted or not found: ${tenantName}`);
+        } else {
+          console.warn(`  Failed to delete tenant: ${response.status}`);
+          failedCount++;
+        }
+      } catch (error) {
+        console.warn(`  Failed to delete tenant ${tenantName}: ${error.message}`);
         failedCount++;
       }
-    } catch (error) {
-      console.warn(`  Failed to delete tenant ${state.testTenant}: ${error.message}`);
-      failedCount++;
     }
   } else if (state.existingTenant) {
     console.log(`Preserving existing tenant: ${state.existingTenant}`);
@@ -86,4 +135,208 @@ module.exports = async function globalTeardown() {
   console.log('');
   console.log(`Cleanup complete: ${cleanedCount} resources deleted, ${failedCount} failed.`);
   console.log('');
-};
+}
+
+/**
+ * The tenants the run's suites used: one per worker in parallel runs
+ */
+function ownTenants(state) {
+  return state.workerTenants ? Object.values(state.workerTenants) : [state.testTenant];
+}
+
+/**
+ * Delete the resources suites tracked in the state file: relationships, then
+ * materials, programs, assets, users and extra tenants. Resources in the test
+ * tenant(s) go with them when teardown deletes the tenants; 404s were already
+ * removed by their suite. Returns { deleted, failed }, failed listing what is
+ * left behind.
+ */
+async function deleteTrackedResources(config, state) {
+  const resources = state.createdResources || {};
+  const testTenants = ownTenants(state);
+  const deletedTenants = state.createdTenant && !state.existingTenant ? testTenants : [];
+
+  const kinds = [
+    ['relationships', entry => `${entry.kind} ${entry.parentId} -> material ${entry.childId}`,
+      (client, entry) => (entry.kind === 'program'
+        ? client.removeMaterialFromProgram(entry.parentId, entry.childId)
+        : client.removeMaterialChild(entry.parentId, entry.childId))],
+    ['materials', entry => `material ${entry.id}`, (client, entry) => client.deleteMaterial(entry.id)],
+    ['programs', entry => `program ${entry.id}`, (client, entry) => client.deleteProgram(entry.id)],
+    ['assets', entry => `asset ${entry.id}`, (client, entry) => client.deleteAsset(entry.id)],
+    ['users', entry => `user ${entry.id}`, (client, entry) => client.deleteUser(entry.id)],
+    ['tenants', entry => `tenant ${entry.tenant}`, (client, entry) => client.deleteTenant(entry.tenant)]
+  ].map(([kind, describe, remove]) => [
+    kind,
+    describe,
+    remove,
+    (resources[kind] || [])
+      // Tenants are tracked by name; the test tenants have their own step below
+      .map(entry => (kind === 'tenants' ? { tenant: entry } : entry))
+      .filter(entry => !(kind === 'tenants' ? testTenants : deletedTenants).includes(entry.tenant))
+  ]);
+
+  const result = { deleted: 0, failed: [] };
+  for (const deletedTenant of deletedTenants) {
+    const withTenant = ['relationships', 'materials', 'programs', 'assets', 'users']
+      .reduce((count, kind) => count + (resources[kind] || []).filter(entry => entry.tenant === deletedTenant).length, 0);
+    if (withTenant > 0) {
+      console.log(`${withTenant} tracked resources go with tenant ${deletedTenant}`);
+    }
+  }
+  if (kinds.every(([, , , entries]) => entries.length === 0)) {
+    return result;
+  }
+
+  const apiClient = require('./helpers/api-client');
+  const client = apiClient.createClient({ user: config.ADMIN_USER, password: config.ADMIN_PASSWORD, label: 'teardown' });
+  try {
+    await client.authenticate();
+  } catch (error) {
+    try {
+      await client.authenticate(config.TEST_USER, config.TEST_PASSWORD);
+    } catch (fallbackError) {
+      console.warn(`Could not authenticate for cleanup: ${fallbackError.message}`);
+    }
+  }
+
+  console.log('Deleting tracked resources...');
+  for (const [kind, describe, remove, entries] of kinds) {
+    if (entries.length === 0) {
+      continue;
+    }
+
+    let deleted = 0;
+    let gone = 0;
+    for (const entry of entries) {
+      const where = kind === 'tenants' ? '' : ` in ${entry.tenant}`;
+      try {
+        const response = await remove(client.forTenant(entry.tenant), entry);
+        if ([200, 202, 204].includes(response.status)) {
+          deleted++;
+        } else if (response.status === 404) {
+          gone++;
+        } else {
+          result.failed.push(`${describe(entry)}${where}: HTTP ${response.status}`);
+        }
+      } catch (error) {
+        result.failed.push(`${describe(entry)}${where}: ${error.message}`);
+      }
+    }
+
+    result.deleted += deleted;
+    console.log(`  ${kind}: ${deleted} deleted${gone ? `, ${gone} already gone` : ''}`);
+  }
+
+  if (result.failed.length > 0) {
+    console.warn('  Could not remove:');
+    for (const failure of result.failed) {
+      console.warn(`    ${failure}`);
+    }
+  }
+  console.log('');
+
+  return result;
+}
+
+/**
+ * Summarise the retries ApiClient recorded during the run
+ */
+function reportRetries(reportFile) {
+  if (!fs.existsSync(reportFile)) {
+    return;
+  }
+
+  const entries = fs.readFileSync(reportFile, 'utf8')
+    .split('\n')
+    .filter(Boolean)
+    .map(line => JSON.parse(line));
+
+  if (entries.length === 0) {
+    return;
+  }
+
+  console.log('\n========================================');
+  console.log('  Retried Requests');
+  console.log('========================================\n');
+
+  for (const entry of entries) {
+    const where = entry.test ? ` (${entry.test})` : '';
+    console.log(`  ${entry.method} ${entry.url} - ${entry.reason}, attempt ${entry.attempt}${where}`);
+  }
+
+  console.log(`\n${entries.length} retries recorded in ${path.relative(__dirname, reportFile)}`);
+}
+
+/**
+ * Summarize the per-suite contract reports by operation
+ */
+function reportContract(contractDir) {
+  if (!fs.existsSync(contractDir)) {
+    return;
+  }
+
+  const violations = fs.readdirSync(contractDir)
+    .filter(file => file.endsWith('.json'))
+    .flatMap(file => JSON.parse(fs.readFileSync(path.join(contractDir, file), 'utf8')).violations);
+
+  if (violations.length === 0) {
+    return;
+  }
+
+  console.log('\n========================================');
+  console.log('  Contract Violations');
+  console.log('========================================\n');
+
+  const byOperation = new Map();
+  for (const violation of violations) {
+    const key = `${violation.operation || `${violation.method} ${violation.url}`} ${violation.status}`;
+    const messages = byOperation.get(key) || new Set();
+    messages.add(violation.location ? `${violation.location}: ${violation.message}` : violation.message);
+    byOperation.set(key, messages);
+  }
+
+  for (const [operation, messages] of byOperation) {
+    console.log(`  ${operation}`);
+    for (const message of messages) {
+      console.log(`    ${message}`);
+    }
+  }
+
+  console.log(`\n${violations.length} violations recorded in ${path.relative(__dirname, contractDir)}/`);
+}
+
+/**
+ * Merge the per-suite coverage counts into COVERAGE_FILE and print hits per
+ * controller. Returns the report, or null without a spec or any counts.
+ */
+function reportCoverage(config) {
+  const { loadContract } = require('./helpers/contract');
+  const { buildCoverageReport } = require('./helpers/coverage');
+
+  const contract = loadContract();
+  if (!contract || !fs.existsSync(config.COVERAGE_DIR)) {
+    return null;
+  }
+
+  const suites = fs.readdirSync(config.COVERAGE_DIR)
+    .filter(file => file.endsWith('.json'))
+    .map(file => JSON.parse(fs.readFileSync(path.join(config.COVERAGE_DIR, file), 'utf8')));
+
+  const report = buildCoverageReport(contract, suites);
+  fs.writeFileSync(config.COVERAGE_FILE, JSON.stringify(report, null, 2));
+
+  console.log('\n========================================');
+  console.log('  Endpoint Coverage');
+  console.log('========================================\n');
+
+  for (const tag of report.byTag) {
+    console.log(`  ${(tag.tag || '(untagged)').padEnd(32)} ${String(tag.hit).padStart(4)}/${tag.total}`);
+  }
+
+  const undocumented = Object.keys(report.undocumented).length;
+  console.log(`\n${report.hit}/${report.total} operations hit (${report.percent}%)${undocumented ? `, ${undocumented} undocumented routes called` : ''}`);
+  console.log(`Missed operations and statuses seen are listed in ${path.relative(__dirname, config.COVERAGE_FILE)}`);
+
+  return report;
+}
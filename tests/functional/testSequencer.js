@@ -1,11 +1,19 @@
 const Sequencer = require('@jest/test-sequencer').default;
 
+const config = require('./config');
+
 /**
  * Custom test sequencer to ensure tests run in alphabetical order.
  * This ensures tenant creation (03-tenant) runs before dependent tests.
+ *
+ * Parallel runs keep Jest's own order (failed, then slowest suites first),
+ * which spreads the long suites over the workers.
  */
 class AlphabeticalSequencer extends Sequencer {
   sort(tests) {
+    if (config.PARALLEL) {
+      return super.sort(tests);
+    }
     return [...tests].sort((a, b) => a.path.localeCompare(b.path));
   }
 }